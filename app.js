@@ -2,6 +2,8 @@
    Liberal Markets — app.js
    Full client logic
    - Tape loads from static tape.json (GitHub Actions)
+   - Named watchlists (localStorage) pick the tape rows from
+     tape.json + heatmap.json symbols
    - Restores: filters, sorting, pinning, export pins,
      density toggle, and Cmd/Ctrl+K quick search modal.
    ============================================================ */
@@ -125,16 +127,49 @@ function loadNotePins() {
   }
 }
 
-/* ---------------- Config ---------------- */
+/**
+ * @typedef {{id:string, name:string, syms:string[]}} Watchlist
+ * @typedef {{active:string, lists:Watchlist[]}} WatchlistState
+ */
 
-const WATCH = [
-  { sym: "10yusy.b", name: "US 10Y Yield" },
-  { sym: "usdeur", name: "USD/EUR" },
-  { sym: "cb.f", name: "Brent" },
-  { sym: "^spx", name: "S&P 500" },
-  { sym: "xauusd", name: "Gold" },
-  { sym: "asts.us", name: "ASTS" },
-];
+/**
+ * Persist watchlists to localStorage.
+ * @param {WatchlistState} wl
+ */
+function saveWatchlists(wl) {
+  localStorage.setItem("lw_watchlists", JSON.stringify(wl));
+}
+
+/**
+ * Coerce stored or imported JSON into a usable watchlist state.
+ * @param {any} raw
+ * @returns {WatchlistState|null} null when there is nothing usable
+ */
+function normalizeWatchlists(raw) {
+  const lists = (Array.isArray(raw?.lists) ? raw.lists : [])
+    .filter(l => l && typeof l.id === "string" && Array.isArray(l.syms))
+    .map(l => ({
+      id: l.id,
+      name: String(l.name || "Untitled").slice(0, 40),
+      syms: [...new Set(l.syms.map(s => String(s).toLowerCase()).filter(Boolean))],
+    }));
+  if (!lists.length) return null;
+  const active = lists.some(l => l.id === raw.active) ? raw.active : lists[0].id;
+  return { active, lists };
+}
+
+/**
+ * Load watchlists from localStorage.
+ * @returns {WatchlistState|null} null until the user saves one (tape.json order is the default)
+ */
+function loadWatchlists() {
+  try {
+    const raw = localStorage.getItem("lw_watchlists");
+    return raw ? normalizeWatchlists(JSON.parse(raw)) : null;
+  } catch {
+    return null;
+  }
+}
 
 /**
  * @typedef {Object} Post
@@ -151,10 +186,7 @@ const WATCH = [
 let POSTS = [];
 
 async function loadPosts() {
-  const day = new Date().toISOString().slice(0, 10);
-  const res = await fetch(`data/posts.json?v=${day}`, { cache: "no-store" });
-  if (!res.ok) throw new Error("Failed to load posts.json");
-  const json = await res.json();
+  const json = await window.LMData.json("data/posts.json");
   POSTS = Array.isArray(json.posts) ? json.posts : [];
 }
 
@@ -162,32 +194,69 @@ async function loadPosts() {
 
 /**
  * Load tape.json generated by GitHub Actions.
- * Cache-bust daily so visitors get the latest close after the daily update.
  * @returns {Promise<Array<any>>}
  */
 async function loadTapeFromJson() {
-  const day = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-  const res = await fetch(`/tape.json?v=${day}`, { cache: "no-store" });
-  if (!res.ok) throw new Error(`Failed to load tape.json (${res.status})`);
-  const data = await res.json();
+  const data = await window.LMData.json("tape.json");
   return Array.isArray(data.items) ? data.items : [];
 }
 
 
 
 /**
- * Render the tape panel from tape.json.
+ * Load heatmap.json (same workflow as tape.json). Optional: the tape works without it.
+ * @returns {Promise<Array<any>>}
+ */
+async function loadHeatmapFromJson() {
+  try {
+    const data = await window.LMData.json("heatmap.json");
+    return Array.isArray(data.items) ? data.items : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Quotes by symbol from both payloads; tape.json wins where they overlap.
+ * Null until renderTape() has loaded them.
+ * @type {{tapeSyms:string[], bySym:Map<string, any>}|null}
+ */
+let TAPE_DATA = null;
+
+/** @type {WatchlistState|null} */
+let watchlists = loadWatchlists();
+
+/**
+ * Saved watchlists, or a single "Tape" list in tape.json order until the user edits.
+ * @returns {WatchlistState}
+ */
+function currentWatchlists() {
+  return watchlists || {
+    active: "tape",
+    lists: [{ id: "tape", name: "Tape", syms: TAPE_DATA ? [...TAPE_DATA.tapeSyms] : [] }],
+  };
+}
+
+/** @returns {Watchlist} */
+function activeWatchlist() {
+  const wl = currentWatchlists();
+  return wl.lists.find(l => l.id === wl.active) || wl.lists[0];
+}
+
+/**
+ * Render the tape panel: fetch tape.json + heatmap.json, then the active watchlist.
  */
 async function renderTape() {
   const list = document.getElementById("tape");
   if (!list) return;
 
   // placeholder
-  setHTML(list, WATCH.map(w => `
+  const pending = activeWatchlist().syms;
+  setHTML(list, (pending.length ? pending : ["—"]).map(sym => `
     <li class="tick">
       <div class="tickLeft">
-        <span class="badge">${esc(w.sym.toUpperCase())}</span>
-        <span class="tickName">${esc(w.name)}</span>
+        <span class="badge">${esc(sym.toUpperCase())}</span>
+        <span class="tickName"></span>
       </div>
       <div class="tickRight">
         <div>—</div>
@@ -203,20 +272,47 @@ async function renderTape() {
     setHTML(list, `<li class="muted">Tape unavailable</li>`);
     return;
   }
+  const heatmap = await loadHeatmapFromJson();
 
-  const bySym = new Map(items.map(i => [i.sym, i]));
-  const rows = WATCH.map(w => {
-    const d = bySym.get(w.sym);
-    return d && d.ok ? d : { ...w, ok: false };
-  });
-
+  const bySym = new Map(heatmap.map(i => [String(i.sym).toLowerCase(), i]));
+  for (const i of items) bySym.set(String(i.sym).toLowerCase(), i);
+  TAPE_DATA = { tapeSyms: items.map(i => String(i.sym).toLowerCase()), bySym };
 
+  // Close date and update time come from data/manifest.json when it lists tape.json
   const dateEl = document.getElementById("lastSync");
-  const latestDate = rows.filter(r => r.ok).map(r => r.date).sort().pop();
-  if (dateEl) dateEl.textContent = latestDate ? `Close: ${latestDate}` : "Close: —";
+  const info = await window.LMData.fileInfo("tape.json");
+  const latestDate = info?.last || items.filter(i => i.ok).map(i => i.date).sort().pop();
+  if (dateEl) {
+    dateEl.textContent = latestDate ? `Close: ${latestDate}` : "Close: —";
+    if (info?.updated) dateEl.title = `Updated ${new Date(info.updated).toLocaleString()}`;
+  }
+
+  renderTapeRows();
+  renderWatchControls();
+}
+
+/**
+ * Render the active watchlist's rows from the loaded quotes.
+ */
+function renderTapeRows() {
+  const list = document.getElementById("tape");
+  if (!list || !TAPE_DATA) return;
+
+  const watch = activeWatchlist();
+  if (!watch.syms.length) {
+    setHTML(list, `<li class="muted">This watchlist is empty. Use Edit to add symbols.</li>`);
+    return;
+  }
+
+  // Stale items carry the last good close from an earlier run (see fetch-tape.mjs)
+  const rows = watch.syms.map(sym => {
+    const d = TAPE_DATA.bySym.get(sym);
+    return d && (d.ok || d.stale) ? d : { sym, name: d?.name || sym, ok: false };
+  });
+
 
   setHTML(list, rows.map(d => {
-    if (!d.ok || !Number.isFinite(Number(d.close))) {
+    if (!(d.ok || d.stale) || !Number.isFinite(Number(d.close))) {
       return `
         <li class="tick">
           <div class="tickLeft">
@@ -235,6 +331,22 @@ async function renderTape() {
     const up = Number.isFinite(deltaPct) ? deltaPct >= 0 : true;
     const deltaClass = up ? "deltaUp" : "deltaDown";
 
+    if (d.stale) {
+      const asOf = d.date || String(d.lastGoodAt || "").slice(0, 10) || "earlier";
+      return `
+        <li class="tick isStale" title="${esc(`Feed failed this run; last good value from ${asOf}`)}">
+          <div class="tickLeft">
+            <span class="badge">${esc(String(d.sym).toUpperCase())}</span>
+            <span class="tickName">${esc(String(d.name))}</span>
+          </div>
+          <div class="tickRight">
+            <div>${Number(d.close).toFixed(2)}</div>
+            <div class="delta"><span>as of ${esc(asOf)}</span></div>
+          </div>
+        </li>
+      `;
+    }
+
     return `
       <li class="tick">
         <div class="tickLeft">
@@ -253,6 +365,145 @@ async function renderTape() {
   }).join(""));
 }
 
+/* ---------------- Watchlist editor ---------------- */
+
+/**
+ * Symbols that can go on a watchlist: everything in tape.json and heatmap.json.
+ * @returns {Array<{sym:string, name:string}>}
+ */
+function watchUniverse() {
+  if (!TAPE_DATA) return [];
+  return [...TAPE_DATA.bySym.values()].map(d => ({ sym: String(d.sym).toLowerCase(), name: String(d.name || d.sym) }));
+}
+
+/**
+ * Apply a change to the watchlists, persist, and re-render the tape.
+ * The first edit turns the default "Tape" list into a saved one.
+ * @param {(wl: WatchlistState) => void} mutate
+ */
+function updateWatchlists(mutate) {
+  const wl = currentWatchlists();
+  mutate(wl);
+  watchlists = normalizeWatchlists(wl);
+  if (watchlists) saveWatchlists(watchlists);
+  else localStorage.removeItem("lw_watchlists");
+  renderTapeRows();
+  renderWatchControls();
+}
+
+/**
+ * Watchlist picker and (when open) the editor for the active list.
+ */
+function renderWatchControls() {
+  const select = /** @type {HTMLSelectElement|null} */ (document.getElementById("watchSelect"));
+  const editor = document.getElementById("watchEditor");
+  const wl = currentWatchlists();
+  const watch = activeWatchlist();
+
+  if (select) {
+    setHTML(select, wl.lists.map(l => `
+      <option value="${esc(l.id)}"${l.id === watch.id ? " selected" : ""}>${esc(l.name)}</option>
+    `).join(""));
+  }
+  if (!editor || editor.hidden) return;
+
+  const names = new Map(watchUniverse().map(u => [u.sym, u.name]));
+  const available = watchUniverse().filter(u => !watch.syms.includes(u.sym));
+
+  setHTML(editor, `
+    <div class="watchRow">
+      <input class="watchInput" id="watchName" type="text" maxlength="40" value="${esc(watch.name)}" aria-label="Watchlist name" />
+      <button class="watchBtn" type="button" data-watch-action="new">New</button>
+      <button class="watchBtn" type="button" data-watch-action="delete"${wl.lists.length < 2 ? " disabled" : ""}>Delete</button>
+    </div>
+    <ol class="watchSyms">
+      ${watch.syms.map((sym, i) => `
+        <li class="watchSym">
+          <span class="badge">${esc(sym.toUpperCase())}</span>
+          <span class="tickName">${esc(names.get(sym) || "")}</span>
+          <button class="watchBtn" type="button" data-watch-move="${i}:-1" aria-label="Move ${esc(sym)} up"${i === 0 ? " disabled" : ""}>↑</button>
+          <button class="watchBtn" type="button" data-watch-move="${i}:1" aria-label="Move ${esc(sym)} down"${i === watch.syms.length - 1 ? " disabled" : ""}>↓</button>
+          <button class="watchBtn" type="button" data-watch-remove="${i}" aria-label="Remove ${esc(sym)}">×</button>
+        </li>
+      `).join("")}
+    </ol>
+    <div class="watchRow">
+      <select class="watchInput" id="watchAdd" aria-label="Symbol to add">
+        ${available.map(u => `<option value="${esc(u.sym)}">${esc(u.sym.toUpperCase())} · ${esc(u.name)}</option>`).join("")}
+      </select>
+      <button class="watchBtn" type="button" data-watch-action="add"${available.length ? "" : " disabled"}>Add</button>
+    </div>
+  `);
+}
+
+/**
+ * Wire the watchlist picker, Edit toggle and editor buttons.
+ */
+function initWatchlistEditor() {
+  const select = /** @type {HTMLSelectElement|null} */ (document.getElementById("watchSelect"));
+  const editBtn = document.getElementById("watchEdit");
+  const editor = document.getElementById("watchEditor");
+  if (!select || !editBtn || !editor) return;
+
+  select.addEventListener("change", () => {
+    updateWatchlists(wl => { wl.active = select.value; });
+  });
+
+  editBtn.addEventListener("click", () => {
+    editor.hidden = !editor.hidden;
+    editBtn.setAttribute("aria-pressed", String(!editor.hidden));
+    renderWatchControls();
+  });
+
+  editor.addEventListener("change", (e) => {
+    const t = /** @type {HTMLElement} */ (e.target);
+    if (t.id !== "watchName") return;
+    const name = /** @type {HTMLInputElement} */ (t).value.trim();
+    if (name) updateWatchlists(wl => { wl.lists.find(l => l.id === wl.active).name = name; });
+  });
+
+  editor.addEventListener("click", (e) => {
+    const t = /** @type {HTMLElement} */ (e.target);
+    const btn = t.closest("button");
+    if (!btn || btn.disabled) return;
+
+    const move = btn.getAttribute("data-watch-move");
+    if (move) {
+      const [i, dir] = move.split(":").map(Number);
+      updateWatchlists(wl => {
+        const syms = wl.lists.find(l => l.id === wl.active).syms;
+        [syms[i], syms[i + dir]] = [syms[i + dir], syms[i]];
+      });
+      return;
+    }
+
+    const remove = btn.getAttribute("data-watch-remove");
+    if (remove) {
+      updateWatchlists(wl => { wl.lists.find(l => l.id === wl.active).syms.splice(Number(remove), 1); });
+      return;
+    }
+
+    const action = btn.getAttribute("data-watch-action");
+    if (action === "add") {
+      const add = /** @type {HTMLSelectElement|null} */ (document.getElementById("watchAdd"));
+      if (add?.value) updateWatchlists(wl => { wl.lists.find(l => l.id === wl.active).syms.push(add.value); });
+    } else if (action === "new") {
+      const id = `wl-${Date.now().toString(36)}`;
+      updateWatchlists(wl => {
+        wl.lists.push({ id, name: `List ${wl.lists.length + 1}`, syms: [] });
+        wl.active = id;
+      });
+    } else if (action === "delete") {
+      const watch = activeWatchlist();
+      if (!window.confirm(`Delete watchlist "${watch.name}"?`)) return;
+      updateWatchlists(wl => {
+        wl.lists = wl.lists.filter(l => l.id !== wl.active);
+        wl.active = wl.lists[0]?.id;
+      });
+    }
+  });
+}
+
 /* ---------------- Posts / Filters / UI ---------------- */
 
 const state = { filter: "all", q: "", sort: "new" };
@@ -439,71 +690,46 @@ function renderModalList(posts) {
 
 
 /**
- * Load a CSV and return the latest (last) non-empty numeric row.
- * Assumes header: date,value and date is YYYY-MM-DD.
- * @param {string} csvPath
- * @returns {Promise<{date:string, value:number} | null>}
+ * Hero stat slots → series registry ids (data/series.json).
+ * Paths and number formatting come from the registry entry.
  */
-async function loadLatestFromCsv(csvPath) {
-  const day = new Date().toISOString().slice(0, 10);
-  const res = await fetch(`${csvPath}?v=${day}`, { cache: "no-store" });
-  if (!res.ok) return null;
-
-  const text = await res.text();
-  const lines = text.trim().split("\n").filter(Boolean);
-  if (lines.length <= 1) return null;
-
-  // Walk backwards to find the latest valid numeric value
-  for (let i = lines.length - 1; i >= 1; i--) {
-    const [dateRaw, valRaw] = lines[i].split(",");
-    const date = (dateRaw ?? "").trim();
-    const value = Number((valRaw ?? "").trim());
-    if (date && Number.isFinite(value)) return { date, value };
-  }
-  return null;
-}
+const HERO_INDICATORS = [
+  { valId: "cpiVal", labelId: "cpiLabel", series: "CPIAUCSL" },
+  { valId: "unrateVal", labelId: "unrateLabel", series: "UNRATE" },
+  { valId: "gdpVal", labelId: "gdpLabel", series: "GDPC1" },
+  { valId: "mincVal", labelId: "mincLabel", series: "MEHOINUSA646N" },
+  { valId: "mhouVal", labelId: "mhouLabel", series: "MSPUS" },
+  { valId: "ratioVal", labelId: "ratioLabel", series: "HOUSE_TO_INCOME_RATIO" },
+];
 
 /**
  * Render economic indicators in the hero stats from /data CSVs.
  */
 async function renderHeroIndicators() {
-  const cpiVal = document.getElementById("cpiVal");
-  const unrateVal = document.getElementById("unrateVal");
-  const gdpVal = document.getElementById("gdpVal");
-  const mincVal = document.getElementById("mincVal");
-  const mhouVal = document.getElementById("mhouVal");
-  const ratioVal = document.getElementById("ratioVal");
-
-  const cpiLabel = document.getElementById("cpiLabel");
-  const unrateLabel = document.getElementById("unrateLabel");
-  const gdpLabel = document.getElementById("gdpLabel");
-  const mincLabel = document.getElementById("mincLabel");
-  const mhouLabel = document.getElementById("mhouLabel");
-  const ratioLabel = document.getElementById("ratioLabel");
-
-  const [cpi, unrate, gdp, income, house, ratio] = await Promise.all([
-    loadLatestFromCsv("/data/CPIAUCSL.csv"),
-    loadLatestFromCsv("/data/UNRATE.csv"),
-    loadLatestFromCsv("/data/GDPC1.csv"),
-    loadLatestFromCsv("/data/MEHOINUSA646N.csv"),
-    loadLatestFromCsv("/data/MSPUS.csv"),
-    loadLatestFromCsv("/data/HOUSE_TO_INCOME_RATIO.csv"),
-  ]);
-
-  if (cpiVal) cpiVal.textContent = cpi ? cpi.value.toFixed(3) : "—";
-  if (unrateVal) unrateVal.textContent = unrate ? `${unrate.value.toFixed(1)}%` : "—";
-  if (gdpVal) gdpVal.textContent = gdp ? gdp.value.toFixed(0) : "—";
-  if (mincVal) mincVal.textContent = income ? income.value.toFixed(0) : "—";  
-  if (mhouVal) mhouVal.textContent = house ? house.value.toFixed(0) : "—";
-  if (ratioVal) ratioVal.textContent = ratio ? ratio.value.toFixed(0) : "—";
-  // Optional: keep it minimalist by putting dates in the label
-
-}
+  const slots = HERO_INDICATORS
+    .map(h => ({ ...h, valEl: document.getElementById(h.valId), labelEl: document.getElementById(h.labelId) }))
+    .filter(h => h.valEl);
+  if (!slots.length) return;
 
+  const registry = window.SeriesRegistry || null;
 
+  await Promise.all(slots.map(async (slot) => {
+    const entry = registry ? await registry.find(slot.series) : null;
+    const latest = await window.LMData.latest(`data/${slot.series}.csv`);
 
+    if (!latest) {
+      slot.valEl.textContent = "—";
+      return;
+    }
 
+    slot.valEl.textContent = registry
+      ? registry.format(entry, latest.value)
+      : latest.value.toLocaleString(undefined, { maximumFractionDigits: 2 });
 
+    // Keep it minimalist: the series title and observation date live in the label tooltip.
+    if (slot.labelEl && entry) slot.labelEl.title = `${entry.title} · ${latest.date}`;
+  }));
+}
 
 /* ---------------- Init ---------------- */
 
@@ -521,6 +747,7 @@ async function renderHeroIndicators() {
 
   // initial renders
   renderTape();
+  initWatchlistEditor();
   renderHeroIndicators();
 
   document.addEventListener("keydown", (e) => {
@@ -541,6 +768,11 @@ async function renderHeroIndicators() {
       notePins = loadNotePins();
       renderRail(pinSet);
     }
+    if (e.key === "lw_watchlists") {
+      watchlists = loadWatchlists();
+      renderTapeRows();
+      renderWatchControls();
+    }
   });
 
   // Also refresh when returning to the tab/page (covers back-navigation cases).
@@ -689,7 +921,15 @@ async function renderHeroIndicators() {
     return;
   }
 
-    // Export pins
+    // Import pins + watchlists (a file from Export pins)
+    const importBtn = t.closest("#importBtn");
+    if (importBtn) {
+      e.preventDefault();
+      document.getElementById("importFile")?.click();
+      return;
+    }
+
+    // Export pins (and watchlists)
     const exportBtn = t.closest("#exportBtn");
     if (exportBtn) {
       e.preventDefault();
@@ -713,7 +953,7 @@ async function renderHeroIndicators() {
 
       const blob = new Blob([
         JSON.stringify(
-          { exportedAt: new Date().toISOString(), pinnedPosts, pinnedNotes },
+          { exportedAt: new Date().toISOString(), pinnedPosts, pinnedNotes, watchlists: currentWatchlists() },
           null,
           2
         )
@@ -729,6 +969,46 @@ async function renderHeroIndicators() {
     }
   });
 
+  const importFile = /** @type {HTMLInputElement|null} */ (document.getElementById("importFile"));
+  if (importFile) {
+    importFile.addEventListener("change", async () => {
+      const file = importFile.files?.[0];
+      importFile.value = "";
+      if (!file) return;
+
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch {
+        window.alert("That file is not a Liberal Markets export.");
+        return;
+      }
+
+      for (const p of Array.isArray(data?.pinnedPosts) ? data.pinnedPosts : []) {
+        if (p?.id) pinSet.add(String(p.id));
+      }
+      savePins(pinSet);
+
+      const known = new Set((notePins || []).map(n => n.id));
+      const notes = (Array.isArray(data?.pinnedNotes) ? data.pinnedNotes : [])
+        .filter(n => n?.id && !known.has(n.id))
+        .map(({ id, title, excerpt, url, ts }) => ({ id, title, excerpt, url, ts }));
+      notePins = [...(notePins || []), ...notes];
+      saveNotePins(notePins);
+
+      const imported = normalizeWatchlists(data?.watchlists);
+      if (imported) {
+        watchlists = imported;
+        saveWatchlists(watchlists);
+      }
+
+      renderPosts(selectPosts(state), pinSet);
+      renderRail(pinSet);
+      renderTapeRows();
+      renderWatchControls();
+    });
+  }
+
   // Modal quick search: ⌘K / Ctrl+K
   const modal = /** @type {HTMLDialogElement|null} */ (document.getElementById("modal"));
   const modalQ = /** @type {HTMLInputElement|null} */ (document.getElementById("modalQ"));
@@ -0,0 +1,144 @@
+/**
+ * Build data/manifest.json: every data file the site serves, with
+ *   hash     first 16 hex chars of its SHA-256 (LMData requests file?h=<hash>)
+ *   bytes
+ *   rows     CSV data rows, or the length of a JSON file's item list
+ *   first / last   first and last observation dates, when the file has dates
+ *   updated  the JSON payload's generatedAt, else when this hash first appeared
+ *
+ * Each data workflow runs this after writing its files. The manifest is only
+ * rewritten when some entry changed, so a run that fetched nothing new commits nothing.
+ *
+ *   node scripts/build-manifest.mjs
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import LMData from "./data.js";
+
+const DATA_DIR = "data";
+const MANIFEST_PATH = path.join(DATA_DIR, "manifest.json");
+const ROOT_FILES = ["tape.json", "heatmap.json"];
+const HASH_LENGTH = 16;
+
+/**
+ * @typedef {{hash:string, bytes:number, rows?:number, first?:string, last?:string, updated:string}} ManifestEntry
+ */
+
+/**
+ * Data files under dir (recursive), as "/"-separated repo-relative paths.
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+async function listDataFiles(dir) {
+  const out = [];
+  for (const ent of await fs.readdir(dir, { withFileTypes: true })) {
+    const rel = path.join(dir, ent.name);
+    if (ent.isDirectory()) out.push(...await listDataFiles(rel));
+    else if (/\.(csv|json)$/.test(ent.name) && rel !== MANIFEST_PATH) out.push(rel.split(path.sep).join("/"));
+  }
+  return out;
+}
+
+/**
+ * Row count and date range for a CSV (rows with a numeric value only).
+ * @param {string} text
+ */
+function csvStats(text) {
+  const points = LMData.parseSeries(text);
+  return {
+    rows: LMData.parseCsv(text).rows.length,
+    first: points[0]?.d,
+    last: points.at(-1)?.d,
+  };
+}
+
+/**
+ * Item count, date range and generatedAt for a JSON payload. Items are the top-level
+ * array, or its items / series / feeds list; dates come from item.date or item.published.
+ * @param {string} text
+ */
+function jsonStats(text) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    return {};
+  }
+  const items = Array.isArray(payload) ? payload
+    : ["items", "series", "feeds"].map(k => payload?.[k]).find(Array.isArray);
+  const dates = (items || [])
+    .map(it => String(it?.date || it?.published || "").slice(0, 10))
+    .filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d))
+    .sort();
+  return {
+    rows: items ? items.length : undefined,
+    first: dates[0],
+    last: dates.at(-1),
+    generatedAt: typeof payload?.generatedAt === "string" ? payload.generatedAt : undefined,
+  };
+}
+
+/**
+ * @param {Object<string, ManifestEntry>} [previous] entries from the last manifest
+ * @param {string} [now]
+ * @returns {Promise<Object<string, ManifestEntry>>}
+ */
+export async function buildManifestFiles(previous = {}, now = new Date().toISOString()) {
+  const rootFiles = [];
+  for (const name of ROOT_FILES) {
+    try {
+      await fs.access(name);
+      rootFiles.push(name);
+    } catch {
+      // not generated yet
+    }
+  }
+
+  const files = {};
+  for (const rel of [...rootFiles, ...await listDataFiles(DATA_DIR)].sort()) {
+    const buf = await fs.readFile(rel);
+    const text = buf.toString("utf8");
+    const hash = crypto.createHash("sha256").update(buf).digest("hex").slice(0, HASH_LENGTH);
+    const { generatedAt, ...stats } = rel.endsWith(".csv") ? csvStats(text) : jsonStats(text);
+    const prev = previous[rel];
+
+    const entry = { hash, bytes: buf.length };
+    for (const [k, v] of Object.entries(stats)) {
+      if (v !== undefined) entry[k] = v;
+    }
+    entry.updated = generatedAt || (prev?.hash === hash && prev.updated) || now;
+    files[rel] = entry;
+  }
+  return files;
+}
+
+async function main() {
+  let previous = null;
+  try {
+    previous = JSON.parse(await fs.readFile(MANIFEST_PATH, "utf8"));
+  } catch {
+    // first build
+  }
+
+  const now = new Date().toISOString();
+  const files = await buildManifestFiles(previous?.files || {}, now);
+
+  if (previous && JSON.stringify(previous.files) === JSON.stringify(files)) {
+    console.log(`${MANIFEST_PATH} unchanged (${Object.keys(files).length} files)`);
+    return;
+  }
+
+  const changed = Object.keys(files).filter(f => previous?.files?.[f]?.hash !== files[f].hash);
+  await fs.writeFile(MANIFEST_PATH, JSON.stringify({ version: 1, generatedAt: now, files }, null, 2) + "\n", "utf8");
+  console.log(`Wrote ${MANIFEST_PATH}: ${Object.keys(files).length} files, ${changed.length} changed`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
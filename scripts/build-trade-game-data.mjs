@@ -1,6 +1,7 @@
 import { readFile, mkdir, writeFile } from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { fetchWithRetry } from "./http.mjs";
 
 const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.resolve(SCRIPT_DIR, "..");
@@ -97,7 +98,7 @@ async function fetchTradeRows(dataset, year = YEAR) {
     measures: "Trade Value"
   });
   const url = `https://api-v2.oec.world/tesseract/data.jsonrecords?${params}`;
-  const response = await fetch(url, { headers: { Accept: "application/json" } });
+  const response = await fetchWithRetry(url, { headers: { Accept: "application/json" } }, { label: "OEC" });
 
   if (!response.ok) {
     throw new Error(`OEC request failed: ${response.status} ${response.statusText}`);
@@ -118,7 +119,7 @@ async function fetchBilateralRows() {
     measures: "Trade Value"
   });
   const url = `https://api-v2.oec.world/tesseract/data.jsonrecords?${params}`;
-  const response = await fetch(url, { headers: { Accept: "application/json" } });
+  const response = await fetchWithRetry(url, { headers: { Accept: "application/json" } }, { label: "OEC bilateral" });
 
   if (!response.ok) {
     throw new Error(`OEC bilateral request failed: ${response.status} ${response.statusText}`);
@@ -131,7 +132,7 @@ async function fetchBilateralRows() {
 
 async function fetchGdpRows() {
   const url = `https://api.worldbank.org/v2/country/all/indicator/NY.GDP.MKTP.CD?date=${YEAR}&format=json&per_page=500`;
-  const response = await fetch(url, { headers: { Accept: "application/json" } });
+  const response = await fetchWithRetry(url, { headers: { Accept: "application/json" } }, { label: "World Bank GDP" });
 
   if (!response.ok) {
     throw new Error(`World Bank GDP request failed: ${response.status} ${response.statusText}`);
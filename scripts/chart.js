@@ -1,101 +1,828 @@
 /**
+ * chart.js
+ * The site's one line-chart library: dashboard cards (trumptracker, asts, markets,
+ * model, the homepage) and solo/export mode (chartgrab.html) share renderWireChart;
+ * what differs between them is options, not code.
+ *
  * @typedef {{ t: number, v: number, d: string }} Point
+ * @typedef {{ date: string, label: string, category?: string, window?: {before: number, after: number}, windowDays?: {before: number, after: number}, source?: string }} MarkerDef
+ *   an event: a dated line, optionally with shaded window days either side of it
+ * @typedef {{ categories: Object<string, {label: string, color?: string, default?: boolean}>, events: MarkerDef[] }} EventCatalog
+ * @typedef {{ id: string, label: string, color?: string, default?: boolean, source?: string, bands: {start: string, end?: string, label: string, color?: string}[] }} BandLayer
+ *   labelled background bands (recessions, presidential terms...); a band without end is ongoing
+ * @typedef {{ points: Point[], label?: string, color?: string, axis?: "left"|"right", unit?: string, meta?: Object|null }} LineSpec
+ *   one line of an overlay chart; meta is its registry entry, unit as data-unit
  */
 
 /**
- * Parse a simple CSV with header: date,value
- * Accepts ISO dates (YYYY-MM-DD) or FRED-style (YYYY-MM-01).
- * @param {string} csvText
- * @returns {Point[]}
+ * Load a series CSV through LMData (scripts/data.js): one fetch per file per page,
+ * shared parser, paths resolved for GitHub Pages subpaths.
+ * Market history files (date,open,high,low,close,volume) chart their close column.
+ * @param {string} path
+ * @returns {Promise<Point[]>}
+ */
+function loadSeries(path) {
+  return window.LMData.series(path);
+}
+
+/**
+ * Load data/revisions/<ID>.csv (date,old_value,new_value,detected_at) as first prints.
+ * The file is append-only, so the first row for a date carries the original print.
+ * Missing file -> empty map (series never revised since we started archiving); files
+ * the manifest doesn't list are not requested.
+ * @param {string} seriesId
+ * @returns {Promise<Map<string, number>>} date -> first printed value
+ */
+async function loadRevisions(seriesId) {
+  const firstPrints = new Map();
+  if (!seriesId) return firstPrints;
+
+  const path = `data/revisions/${seriesId}.csv`;
+  try {
+    if (!await window.LMData.listed(path)) return firstPrints;
+    const { rows } = await window.LMData.csv(path);
+    for (const [date, oldValue] of rows) {
+      const v = Number(oldValue);
+      if (!date || !Number.isFinite(v) || firstPrints.has(date)) continue;
+      firstPrints.set(date, v);
+    }
+  } catch {
+    // Revisions are optional; the chart renders without the overlay.
+  }
+  return firstPrints;
+}
+
+/** Point-to-point move (%) that makes a day with archived headlines clickable. */
+const NEWS_MOVE_PCT = 2;
+
+let newsDaysPromise = null;
+
+/**
+ * Headline counts per day from the news archive index (data/news/index.json),
+ * fetched once per page. Missing index -> empty object (no news links); not
+ * requested when the manifest doesn't list it.
+ * @returns {Promise<Object<string, number>>}
+ */
+function loadNewsDays() {
+  if (!newsDaysPromise) {
+    const path = "data/news/index.json";
+    newsDaysPromise = window.LMData.listed(path)
+      .then(listed => (listed ? window.LMData.json(path) : null))
+      .then(index => (index && typeof index.days === "object" ? index.days : {}))
+      .catch(() => ({}));
+  }
+  return newsDaysPromise;
+}
+
+let eventsPromise = null;
+
+/**
+ * Event marker catalog (data/events.json), fetched once per page. Missing or
+ * unreadable catalog -> no markers.
+ * @returns {Promise<EventCatalog>}
+ */
+function loadEvents() {
+  if (!eventsPromise) {
+    eventsPromise = window.LMData.json("data/events.json")
+      .then(catalog => ({
+        categories: catalog?.categories && typeof catalog.categories === "object" ? catalog.categories : {},
+        events: Array.isArray(catalog?.events) ? catalog.events : [],
+      }))
+      .catch(() => ({ categories: {}, events: [] }));
+  }
+  return eventsPromise;
+}
+
+let bandsPromise = null;
+
+/**
+ * Band layers (data/bands.json, resolved from data/regimes.json by
+ * scripts/derive-bands.mjs), fetched once per page. Missing file -> no bands.
+ * @returns {Promise<BandLayer[]>}
+ */
+function loadBands() {
+  if (!bandsPromise) {
+    bandsPromise = window.LMData.json("data/bands.json")
+      .then(payload => (Array.isArray(payload?.layers) ? payload.layers : []))
+      .catch(() => []);
+  }
+  return bandsPromise;
+}
+
+/**
+ * Solo/export palette: fixed colors on white, so a screenshot looks the same
+ * whatever page CSS is loaded.
+ */
+const SOLO_THEME = {
+  mono: "ui-monospace",
+  text: "#344e41",
+  textSoft: "rgba(52,78,65,0.60)",
+  gridMajor: "rgba(52,78,65,0.22)",
+  gridMinor: "rgba(52,78,65,0.22)",
+  line: "#3a5a40",
+  lineGlow: "rgba(52,78,65,0.25)",
+  point: "#3a5a40",
+  crosshair: "#344e41",
+  windowFillTop: "rgba(88,129,87,0.06)",
+  windowFillBottom: "rgba(58,90,64,0.11)",
+  windowStroke: "rgba(52,78,65,0.14)",
+  hazeBottom: "rgba(88,129,87,0.10)",
+  hazeMid: "rgba(88,129,87,0.04)",
+  areaBottom: "rgba(58,90,64,0.20)",
+  areaMid: "rgba(58,90,64,0.10)",
+  areaTop: "rgba(58,90,64,0.02)",
+  overlay: ["#e07a5f", "#3d5a80", "#bc8a2f", "#7d5a80"],
+};
+
+/**
+ * Dashboard palette from the page's --chart-* custom properties (the --c-* palette
+ * as fallback). Without a document (worker / offscreen rendering) the fallbacks apply.
+ * @returns {Object<string, string>}
+ */
+function cssChartTheme() {
+  const css = typeof document !== "undefined" ? getComputedStyle(document.documentElement) : null;
+  const readColor = (name, fallback) => css?.getPropertyValue(name).trim() || fallback;
+  const ink = readColor("--c-ink", "#344e41");
+  const forest = readColor("--c-forest", "#3a5a40");
+  const moss = readColor("--c-moss", "#588157");
+  return {
+    mono: readColor("--mono", "ui-monospace"),
+    text: readColor("--chart-text", ink),
+    textSoft: readColor("--chart-text-soft", "rgba(52,78,65,0.72)"),
+    gridMajor: readColor("--chart-grid-major", "rgba(52,78,65,0.24)"),
+    gridMinor: readColor("--chart-grid-minor", "rgba(52,78,65,0.14)"),
+    line: readColor("--chart-line", forest),
+    lineGlow: readColor("--chart-line-glow", "rgba(52,78,65,0.28)"),
+    point: readColor("--chart-point", moss),
+    crosshair: readColor("--chart-crosshair", ink),
+    windowFillTop: readColor("--chart-window-fill-top", "rgba(88,129,87,0.06)"),
+    windowFillBottom: readColor("--chart-window-fill-bottom", "rgba(58,90,64,0.11)"),
+    windowStroke: readColor("--chart-window-stroke", "rgba(52,78,65,0.14)"),
+    hazeBottom: readColor("--chart-haze-bottom", "rgba(88,129,87,0.10)"),
+    hazeMid: readColor("--chart-haze-mid", "rgba(88,129,87,0.04)"),
+    areaBottom: "rgba(76,214,155,0.24)",
+    areaMid: "rgba(76,214,155,0.12)",
+    areaTop: "rgba(76,214,155,0.02)",
+    // Overlay lines after the first: --chart-line-2, --chart-line-3, ...
+    overlay: [
+      readColor("--chart-line-2", "#e07a5f"),
+      readColor("--chart-line-3", "#3d5a80"),
+      readColor("--chart-line-4", "#bc8a2f"),
+      readColor("--chart-line-5", "#7d5a80"),
+    ],
+  };
+}
+
+/**
+ * @param {"css"|"solo"|Object<string, string>} [theme] a preset, or overrides on the CSS palette
+ * @returns {Object<string, string>}
+ */
+function chartTheme(theme) {
+  if (theme === "solo") return { ...SOLO_THEME };
+  if (theme && typeof theme === "object") return { ...cssChartTheme(), ...theme };
+  return cssChartTheme();
+}
+
+/**
+ * Range tab key -> window length in ms: "6m", "1y", "5y", "10y"...; "all" (or
+ * anything else) -> null.
+ * @param {string} r
+ * @returns {number|null}
  */
-function parseSeriesCSV(csvText) {
-  const lines = csvText.trim().split(/\r?\n/);
-  if (lines.length < 2) return [];
+function rangeToMs(r) {
+  const m = /^(\d+)([my])$/.exec(String(r || ""));
+  if (!m) return null;
+  const year = 1000 * 60 * 60 * 24 * 365.25;
+  return Number(m[1]) * (m[2] === "y" ? year : year / 12);
+}
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/** Toolbar transforms (log scale is a separate toggle that combines with any of them). */
+const TRANSFORMS = [
+  { id: "level", label: "level" },
+  { id: "yoy", label: "YoY %" },
+  { id: "mom", label: "MoM % ann." },
+  { id: "index", label: "indexed = 100" },
+  { id: "real", label: "real (CPI)" },
+];
+
+/** Deflator for "real": CPI-U, rebased to its latest print (today's dollars). */
+const DEFLATOR_PATH = "data/CPIAUCSL.csv";
 
+/** URL parameter holding every chart's transform: ?tx=CPIAUCSL:yoy,SP500:index:2020-01-02:log */
+const TRANSFORM_PARAM = "tx";
+
+/** URL parameter holding every zoomed chart's window: ?zoom=CPIAUCSL:2019-01-01:2021-06-30 */
+const ZOOM_PARAM = "zoom";
+
+/**
+ * @typedef {{ mode: string, base: string, log: boolean }} TransformState
+ *   base is the "indexed" date (YYYY-MM-DD; "" = start of the visible range)
+ */
+
+/**
+ * Median gap between observations (0 for fewer than two points). MoM needs a series
+ * at least monthly; quarterly and annual ones have nothing a month back.
+ * @param {Point[]} points
+ * @returns {number} ms
+ */
+function medianSpacing(points) {
+  const gaps = [];
+  for (let i = 1; i < points.length; i++) gaps.push(points[i].t - points[i - 1].t);
+  if (!gaps.length) return 0;
+  gaps.sort((a, b) => a - b);
+  return gaps[Math.floor(gaps.length / 2)];
+}
+
+/**
+ * Calendar month of a time, counted from year 0 (UTC).
+ * @param {number} t
+ * @returns {number}
+ */
+function monthIndex(t) {
+  const d = new Date(t);
+  return d.getUTCFullYear() * 12 + d.getUTCMonth();
+}
+
+/**
+ * The same day n calendar months earlier, clamped to the end of a shorter month
+ * (2024-03-31 -> 2024-02-29).
+ * @param {number} t
+ * @param {number} n
+ * @returns {number}
+ */
+function monthsBefore(t, n) {
+  const d = new Date(t);
+  const month = d.getUTCMonth() - n;
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  return Date.UTC(d.getUTCFullYear(), month, Math.min(d.getUTCDate(), lastDay), d.getUTCHours(), d.getUTCMinutes());
+}
+
+/**
+ * Apply a value transform to a whole series (before range slicing, so the first
+ * visible YoY value has its year-ago observation). "index" is applied after slicing.
+ * @param {Point[]} points
+ * @param {string} mode level | yoy | mom | real
+ * @param {Point[]|null} deflator CPI points, for real
+ * @returns {Point[]}
+ */
+function transformPoints(points, mode, deflator) {
   const out = [];
-  for (let i = 1; i < lines.length; i++) {
-    const raw = lines[i].trim();
-    if (!raw) continue;
-    const [dateStr, valStr] = raw.split(",").map(s => (s ?? "").trim());
-    const t = Date.parse(dateStr);
-    const v = Number(valStr);
-    if (!Number.isFinite(t) || !Number.isFinite(v)) continue;
-    out.push({ t, v, d: dateStr });
-  }
-  out.sort((a, b) => a.t - b.t);
+  if (mode === "yoy" || mode === "mom") {
+    // YoY: vs. the same month a year earlier. MoM: vs. the month before, compounded to
+    // an annual rate. Monthly and sparser series pair observations by calendar month;
+    // daily and weekly ones take the last observation on or before the same date, if
+    // it is within a week (weekends, holidays, weekday drift).
+    const months = mode === "yoy" ? 12 : 1;
+    const byMonth = medianSpacing(points) >= 28 * DAY_MS ? new Map(points.map(p => [monthIndex(p.t), p])) : null;
+    for (const p of points) {
+      let prev;
+      if (byMonth) {
+        prev = byMonth.get(monthIndex(p.t) - months);
+      } else {
+        const target = monthsBefore(p.t, months);
+        prev = pointAsOf(points, target);
+        if (prev && target - prev.t > 7 * DAY_MS) prev = null;
+      }
+      if (!prev || prev === p || !prev.v) continue;
+      const ratio = p.v / prev.v;
+      if (mode === "mom" && ratio <= 0) continue;
+      out.push({ ...p, v: mode === "yoy" ? (ratio - 1) * 100 : (ratio ** 12 - 1) * 100 });
+    }
+    return out;
+  }
+  if (mode === "real") {
+    const latest = deflator?.at(-1)?.v;
+    if (!latest) return out;
+    for (const p of points) {
+      const cpi = pointAsOf(deflator, p.t);
+      if (cpi?.v) out.push({ ...p, v: p.v * (latest / cpi.v) });
+    }
+    return out;
+  }
+  return points;
+}
+
+/**
+ * Per-chart entries of a URL parameter: ?name=KEY:field:field,KEY2:field
+ * @param {string} name
+ * @returns {Map<string, string[]>} chart key -> fields
+ */
+function readKeyedParam(name) {
+  const out = new Map();
+  const raw = new URLSearchParams(location.search).get(name) || "";
+  for (const entry of raw.split(",")) {
+    const [key, ...fields] = entry.split(":");
+    if (key) out.set(key, fields);
+  }
   return out;
 }
 
 /**
- * Fetch a CSV with cache-busting by day.
- * Resolves path relative to document.baseURI, stripping leading slash for GitHub Pages.
- * @param {string} path
- * @returns {Promise<Point[]>}
+ * Set (fields) or drop (null) one chart's entry of a keyed URL parameter, with
+ * replaceState so tweaking a chart doesn't fill the back button.
+ * @param {string} name
+ * @param {string} key
+ * @param {string[]|null} fields
  */
-async function loadSeries(path) {
-  const day = new Date().toISOString().slice(0, 10);
+function writeKeyedParam(name, key, fields) {
+  const all = readKeyedParam(name);
+  if (fields) all.set(key, fields.filter(Boolean));
+  else all.delete(key);
+
+  const url = new URL(location.href);
+  const value = Array.from(all, ([k, f]) => [k, ...f].join(":")).join(",");
+  if (value) url.searchParams.set(name, value);
+  else url.searchParams.delete(name);
+  history.replaceState(history.state, "", url.toString());
+}
 
-  // GitHub Pages usually serves sites from a subpath (/REPO/...).
-  // Absolute URLs like `/data/...` will incorrectly hit the domain root and 404.
-  // So we resolve relative to document.baseURI and strip a leading slash.
-  const rel = (typeof path === "string" && path.startsWith("/")) ? path.slice(1) : path;
-  const url = new URL(rel, document.baseURI);
-  url.searchParams.set("v", day);
+/**
+ * Every chart's transform from the page URL.
+ * @returns {Map<string, TransformState>} chart key -> state
+ */
+function readTransformParam() {
+  const out = new Map();
+  for (const [key, fields] of readKeyedParam(TRANSFORM_PARAM)) {
+    const state = { mode: "level", base: "", log: false };
+    for (const f of fields) {
+      if (f === "log") state.log = true;
+      else if (/^\d{4}-\d{2}-\d{2}$/.test(f)) state.base = f;
+      else if (TRANSFORMS.some(t => t.id === f)) state.mode = f;
+    }
+    out.set(key, state);
+  }
+  return out;
+}
 
-  const res = await fetch(url.toString(), { cache: "no-store" });
-  if (!res.ok) throw new Error(`CSV fetch failed: ${res.status}`);
-  const text = await res.text();
-  return parseSeriesCSV(text);
+/**
+ * Store one chart's transform in the page URL (level + linear drops it).
+ * @param {string} key
+ * @param {TransformState} state
+ */
+function writeTransformParam(key, state) {
+  writeKeyedParam(TRANSFORM_PARAM, key, state.mode === "level" && !state.log ? null : [
+    state.mode,
+    state.mode === "index" && state.base ? state.base : "",
+    state.log ? "log" : "",
+  ]);
+}
+
+/**
+ * A chart's zoom window from the page URL.
+ * @param {string} key
+ * @returns {{start: number, end: number}|null}
+ */
+function readZoomParam(key) {
+  const [from, to] = readKeyedParam(ZOOM_PARAM).get(key) || [];
+  const start = Date.parse(from);
+  const end = Date.parse(to);
+  return Number.isFinite(start) && Number.isFinite(end) && end > start ? { start, end } : null;
+}
+
+/**
+ * Store one chart's zoom window in the page URL (null drops it).
+ * @param {string} key
+ * @param {{start: number, end: number}|null} zoom
+ */
+function writeZoomParam(key, zoom) {
+  const day = (t) => new Date(t).toISOString().slice(0, 10);
+  writeKeyedParam(ZOOM_PARAM, key, zoom ? [day(zoom.start), day(zoom.end)] : null);
+}
+
+/**
+ * Nearest point to t in a time-sorted list.
+ * @param {Point[]} pts
+ * @param {number} t
+ * @returns {Point|null}
+ */
+function nearestByTime(pts, t) {
+  if (!pts.length) return null;
+  let lo = 0, hi = pts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (pts[mid].t < t) lo = mid + 1;
+    else hi = mid;
+  }
+  const a = pts[Math.max(0, lo - 1)];
+  const b = pts[lo];
+  return (Math.abs(a.t - t) < Math.abs(b.t - t)) ? a : b;
+}
+
+/**
+ * Latest point at or before t (a monthly series "as of" a daily date), or null.
+ * @param {Point[]} pts
+ * @param {number} t
+ * @returns {Point|null}
+ */
+function pointAsOf(pts, t) {
+  let lo = 0, hi = pts.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (pts[mid].t <= t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo ? pts[lo - 1] : null;
+}
+
+/**
+ * An http(s) URL as given, else "" (event sources become click targets).
+ * @param {string} [value]
+ * @returns {string}
+ */
+function webUrl(value) {
+  try {
+    return /^https?:$/.test(new URL(value).protocol) ? String(value) : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Normalize renderWireChart's series argument to lines: a Point[] is one line
+ * described by opts.meta; a LineSpec[] is an overlay. With exactly two lines the
+ * second defaults to the right axis; otherwise lines share the left one.
+ * @param {Point[]|LineSpec[]} series
+ * @param {Object} opts
+ * @param {Object<string, any>} theme
+ */
+function normalizeLines(series, opts, theme) {
+  const specs = Array.isArray(series?.[0]?.points) ? series : [{ points: series || [], meta: opts.meta || null }];
+  return specs.map((spec, i) => ({
+    points: spec.points || [],
+    data: [],
+    label: spec.label || spec.meta?.title || (i === 0 ? opts.title : "") || `Series ${i + 1}`,
+    color: spec.color || (i === 0 ? theme.line : theme.overlay[(i - 1) % theme.overlay.length]),
+    axis: spec.axis === "left" || spec.axis === "right" ? spec.axis : (specs.length === 2 && i === 1 ? "right" : "left"),
+    unit: spec.unit || "",
+    meta: spec.meta || (i === 0 ? opts.meta || null : null),
+    cache: new Map(),
+  }));
+}
+
+/** Exported images: title band above the chart, source/date line below it (CSS px). */
+const EXPORT_HEAD = 40;
+const EXPORT_FOOT = 30;
+const EXPORT_FONT = "system-ui, -apple-system, 'Segoe UI', sans-serif";
+
+/**
+ * @typedef {Object} ChartExporter
+ * @property {(scale: number) => HTMLCanvasElement} canvas PNG-ready image at 1x/2x/3x
+ * @property {() => string} svg standalone SVG document
+ * @property {() => string} csv the visible lines over the visible range
+ * @property {(format: "png"|"svg"|"csv", scale?: number) => void} download
+ */
+
+/** Exporters of the charts on the page, by canvas (exportChartGrid reads them). */
+const chartExports = new WeakMap();
+
+/**
+ * A canvas stand-in that records renderWireChart's drawing as SVG, for vector export.
+ * Covers the part of CanvasRenderingContext2D the chart uses (paths, rects, text,
+ * linear gradients, dashes, alpha); transforms and shadows are ignored, so draw at dpr 1.
+ * @param {number} width CSS px
+ * @param {number} height
+ * @returns {{width: number, height: number, getContext: () => Object, markup: () => string}}
+ */
+function svgSurface(width, height) {
+  const esc = (v) => String(v).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+  const num = (v) => String(Math.round(v * 100) / 100);
+  const measurer = typeof document !== "undefined" ? document.createElement("canvas").getContext("2d") : null;
+  const STATE = ["fillStyle", "strokeStyle", "lineWidth", "globalAlpha", "font", "textAlign", "textBaseline", "lineJoin", "lineCap"];
+  const ANCHOR = { right: "end", end: "end", center: "middle" };
+  const BASELINE = { top: "text-before-edge", hanging: "hanging", middle: "central", bottom: "text-after-edge" };
+
+  let body = [];
+  let gradients = [];
+  let path = "";
+  let dash = [];
+  const stack = [];
+
+  const paint = (style) => (style && typeof style === "object" ? `url(#${style.id})` : esc(style));
+  const alpha = () => (ctx.globalAlpha < 1 ? ` opacity="${num(ctx.globalAlpha)}"` : "");
+  const strokeAttrs = () =>
+    ` fill="none" stroke="${paint(ctx.strokeStyle)}" stroke-width="${num(ctx.lineWidth)}"` +
+    ` stroke-linejoin="${ctx.lineJoin}" stroke-linecap="${ctx.lineCap}"` +
+    (dash.length ? ` stroke-dasharray="${dash.join(" ")}"` : "") + alpha();
+  const rectAttrs = (x, y, w, h) => `x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}"`;
+
+  const ctx = {
+    fillStyle: "#000",
+    strokeStyle: "#000",
+    lineWidth: 1,
+    globalAlpha: 1,
+    font: "10px sans-serif",
+    textAlign: "start",
+    textBaseline: "alphabetic",
+    lineJoin: "miter",
+    lineCap: "butt",
+    shadowColor: "",
+    shadowBlur: 0,
+    save() {
+      stack.push({ dash, ...Object.fromEntries(STATE.map(k => [k, ctx[k]])) });
+    },
+    restore() {
+      const saved = stack.pop();
+      if (!saved) return;
+      dash = saved.dash;
+      for (const k of STATE) ctx[k] = saved[k];
+    },
+    setTransform() {},
+    scale() {},
+    setLineDash(segments) {
+      dash = segments.slice();
+    },
+    clearRect(x, y, w, h) {
+      // The chart clears the whole surface before each draw: start over
+      if (x <= 0 && y <= 0 && w >= width && h >= height) {
+        body = [];
+        gradients = [];
+      }
+    },
+    beginPath() {
+      path = "";
+    },
+    moveTo(x, y) {
+      path += `M${num(x)} ${num(y)}`;
+    },
+    lineTo(x, y) {
+      path += `L${num(x)} ${num(y)}`;
+    },
+    closePath() {
+      path += "Z";
+    },
+    roundRect(x, y, w, h, r = 0) {
+      const rr = Math.min(Number(r) || 0, w / 2, h / 2);
+      const arc = (ex, ey) => `A${num(rr)} ${num(rr)} 0 0 1 ${num(ex)} ${num(ey)}`;
+      path += `M${num(x + rr)} ${num(y)}H${num(x + w - rr)}${arc(x + w, y + rr)}V${num(y + h - rr)}` +
+        `${arc(x + w - rr, y + h)}H${num(x + rr)}${arc(x, y + h - rr)}V${num(y + rr)}${arc(x + rr, y)}Z`;
+    },
+    fill() {
+      if (path) body.push(`<path d="${path}" fill="${paint(ctx.fillStyle)}"${alpha()}/>`);
+    },
+    stroke() {
+      if (path) body.push(`<path d="${path}"${strokeAttrs()}/>`);
+    },
+    fillRect(x, y, w, h) {
+      body.push(`<rect ${rectAttrs(x, y, w, h)} fill="${paint(ctx.fillStyle)}"${alpha()}/>`);
+    },
+    strokeRect(x, y, w, h) {
+      body.push(`<rect ${rectAttrs(x, y, w, h)}${strokeAttrs()}/>`);
+    },
+    fillText(text, x, y) {
+      const anchor = ANCHOR[ctx.textAlign] ? ` text-anchor="${ANCHOR[ctx.textAlign]}"` : "";
+      const baseline = BASELINE[ctx.textBaseline] ? ` dominant-baseline="${BASELINE[ctx.textBaseline]}"` : "";
+      body.push(`<text x="${num(x)}" y="${num(y)}" fill="${paint(ctx.fillStyle)}" style="font:${esc(ctx.font)}"${anchor}${baseline}${alpha()}>${esc(text)}</text>`);
+    },
+    measureText(text) {
+      if (measurer) {
+        measurer.font = ctx.font;
+        return measurer.measureText(text);
+      }
+      const px = Number(/(\d+(?:\.\d+)?)px/.exec(ctx.font)?.[1]) || 10;
+      return { width: String(text).length * px * 0.6 };
+    },
+    createLinearGradient(x1, y1, x2, y2) {
+      const gradient = {
+        id: `lmg${gradients.length}`,
+        stops: [],
+        addColorStop(offset, color) {
+          gradient.stops.push([offset, color]);
+        },
+        markup: () => `<linearGradient id="${gradient.id}" gradientUnits="userSpaceOnUse" x1="${num(x1)}" y1="${num(y1)}" x2="${num(x2)}" y2="${num(y2)}">` +
+          gradient.stops.map(([o, c]) => `<stop offset="${o}" stop-color="${esc(c)}"/>`).join("") + "</linearGradient>",
+      };
+      gradients.push(gradient);
+      return gradient;
+    },
+  };
+
+  return {
+    width,
+    height,
+    getContext: () => ctx,
+    markup: () => (gradients.length ? `<defs>${gradients.map(g => g.markup()).join("")}</defs>` : "") + body.join(""),
+  };
+}
+
+/**
+ * First opaque background behind el (the card, else the page), for exported images.
+ * @param {Element} el
+ * @returns {string}
+ */
+function exportBackground(el) {
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    const bg = getComputedStyle(node).backgroundColor;
+    if (bg && bg !== "transparent" && !/rgba\(.*,\s*0\)$/.test(bg)) return bg;
+  }
+  return "#ffffff";
+}
+
+/**
+ * Title above and source/date line below an exported chart, on a real 2D context or
+ * an svgSurface one.
+ * @param {Object} ctx
+ * @param {{width: number, height: number, title: string, source: string, stamp: string, background: string, theme: Object}} info
+ *   height is the chart's, without head and foot
+ */
+function paintExportFrame(ctx, info) {
+  const { width, height, theme } = info;
+  ctx.save();
+  ctx.fillStyle = info.background;
+  ctx.fillRect(0, 0, width, height + EXPORT_HEAD + EXPORT_FOOT);
+
+  ctx.textBaseline = "middle";
+  ctx.textAlign = "left";
+  ctx.fillStyle = theme.text;
+  ctx.font = `600 15px ${EXPORT_FONT}`;
+  ctx.fillText(info.title, 14, EXPORT_HEAD / 2 + 2);
+
+  const footY = EXPORT_HEAD + height + EXPORT_FOOT / 2;
+  ctx.fillStyle = theme.textSoft;
+  ctx.font = `10px ${theme.mono}`;
+  ctx.fillText(info.source, 14, footY);
+  ctx.textAlign = "right";
+  ctx.fillText(info.stamp, width - 14, footY);
+  ctx.restore();
+}
+
+/**
+ * Standalone SVG document around svgSurface markup.
+ * @param {number} width
+ * @param {number} height
+ * @param {string} inner
+ */
+function svgDocument(width, height, inner) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${inner}</svg>\n`;
+}
+
+/**
+ * Save a Blob through a temporary download link.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download every chart in container as one PNG, cards laid out in their on-screen rows
+ * (chartgrab's grid). Each card is its export image: title, chart, source/date footer.
+ * @param {Element} container
+ * @param {{scale?: number, filename?: string}} [opts]
+ */
+function exportChartGrid(container, { scale = 2, filename = "charts" } = {}) {
+  const box = container.getBoundingClientRect();
+  const parts = Array.from(container.querySelectorAll("canvas.wireChart"))
+    .map(canvas => ({ rect: canvas.getBoundingClientRect(), exporter: chartExports.get(canvas) }))
+    .filter(p => p.exporter)
+    .sort((a, b) => a.rect.top - b.rect.top || a.rect.left - b.rect.left);
+  if (!parts.length) return;
+
+  // Exports are taller than their canvases, so rows keep their columns but are restacked
+  const gap = parseFloat(getComputedStyle(container).rowGap) || 14;
+  const rows = [];
+  for (const part of parts) {
+    part.image = part.exporter.canvas(scale);
+    const row = rows.at(-1);
+    if (row && Math.abs(row.top - part.rect.top) < 4) row.parts.push(part);
+    else rows.push({ top: part.rect.top, parts: [part] });
+  }
+  const rowHeight = (row) => Math.max(...row.parts.map(p => p.image.height / scale));
+  const height = rows.reduce((sum, row) => sum + rowHeight(row), 0) + gap * (rows.length - 1);
+
+  const out = document.createElement("canvas");
+  out.width = Math.round(box.width * scale);
+  out.height = Math.round(height * scale);
+  const ctx = out.getContext("2d");
+  ctx.scale(scale, scale);
+  ctx.fillStyle = exportBackground(container);
+  ctx.fillRect(0, 0, box.width, height);
+  let y = 0;
+  for (const row of rows) {
+    for (const p of row.parts) ctx.drawImage(p.image, p.rect.left - box.left, y, p.image.width / scale, p.image.height / scale);
+    y += rowHeight(row) + gap;
+  }
+  out.toBlob(blob => blob && downloadBlob(blob, `${filename}@${scale}x.png`), "image/png");
 }
 
 /**
  * Render a blueprint wireframe line chart with hover tooltip.
- * @param {HTMLCanvasElement} canvas
- * @param {Point[]} series
- * @param {{title?: string, root?: Document|Element}} opts
+ * @param {HTMLCanvasElement|OffscreenCanvas|ReturnType<typeof svgSurface>} canvas
+ * @param {Point[]|LineSpec[]} series one line, or several overlaid (each with its own
+ *   color, legend entry and left/right axis; the tooltip lists every line's value)
+ * @param {Object} opts
+ * @param {string} [opts.title]
+ * @param {Document|Element|null} [opts.root] card holding the tip, pills and range tabs
+ * @param {Object|null} [opts.meta] the (first) series' registry entry (data/series.json)
+ *   when one is known, merged with its data/<ID>.meta.json sidecar by SeriesRegistry.describe
+ * @param {Map<string, number>} [opts.revisions] date -> first print; enables the
+ *   "first print vs. latest" toggle
+ * @param {Object<string, number>} [opts.newsDays] date -> headline count; big-move days
+ *   and marker days click through to that day's archived headlines on markets.html
+ * @param {"dashboard"|"solo"} [opts.mode] solo (chartgrab, export): fixed palette, fills
+ *   its container, no first-print toggle or news links. Also data-mode="solo".
+ * @param {"css"|"solo"|Object<string, string>} [opts.theme] defaults by mode
+ * @param {"fixed"|"container"} [opts.fit] fixed: data-height clamped to 200-340px;
+ *   container: CSS decides. Also data-fit.
+ * @param {EventCatalog} [opts.events] event markers (data/events.json via loadEvents)
+ * @param {string[]} [opts.categories] event categories shown at first (also
+ *   data-events="election,fed"); default: the catalog's default categories. The
+ *   legend under the chart toggles them.
+ * @param {MarkerDef[]|false} [opts.markers] replaces the catalog's events; false for none
+ * @param {BandLayer[]|false} [opts.bands] background band layers (data/bands.json via loadBands)
+ * @param {string[]} [opts.bandLayers] band layers shown at first (also
+ *   data-bands="recession,president", "none" for none); default: layers not marked
+ *   default:false. They share the legend with the event categories.
+ * @param {string[]|false} [opts.ranges] range tabs this chart honours (default: any
+ *   .chartTab[data-range] in root); false ignores the tabs
+ * @param {string} [opts.defaultRange] when no tab is active (default "5y")
+ * @param {{start: string|number, end: string|number}} [opts.zoom] initial custom window
+ *   (dates or ms); the URL's ?zoom= entry for opts.key wins. Drag on the chart selects a
+ *   window, shift-drag pans, ctrl/⌘-wheel or a pinch zooms, double-click resets.
+ * @param {boolean} [opts.overview] false hides the overview strip under the chart
+ * @param {{unit?: string, format?: (value: number, mode: string) => string}} [opts.axis]
+ *   unit as data-unit ("currency", "percent", "number"...) for the first line; format
+ *   replaces the built-in axis/tooltip/pill formatting
+ * @param {Partial<TransformState>} [opts.transform] initial transform (also
+ *   data-transform="yoy"); the URL's ?tx= entry for opts.key wins
+ * @param {string} [opts.key] chart key for ?tx= persistence; without it the choice is not saved
+ * @param {boolean} [opts.transforms] false hides the transform toolbar
+ * @param {Point[]} [opts.deflator] CPI points for "real" (else fetched on first use)
+ * @param {{l?: number, r?: number, t?: number, b?: number}} [opts.pad]
+ * @param {number} [opts.width] CSS-pixel size, required for an OffscreenCanvas
+ * @param {number} [opts.height]
+ * @param {number} [opts.dpr] device pixel ratio for an OffscreenCanvas (default 1)
+ * @param {boolean} [opts.offscreen] draw once at width x height x dpr, no DOM (export
+ *   renders into detached canvases and svgSurface)
+ * @returns {ChartExporter|undefined} PNG/SVG/CSV export of an on-page chart
  */
 function renderWireChart(canvas, series, opts = {}) {
-  const root = opts.root || canvas.closest(".chartCard") || document;
-  const tip = root.querySelector(".chartTip");
-  const rangeEl = root.querySelector(".chartRange");
-  const latestEl = root.querySelector(".chartLatest");
-  const titleEl = root.querySelector(".chartTitleText");
-
-  const css = getComputedStyle(document.documentElement);
-  const ink = css.getPropertyValue("--c-ink").trim() || "#344e41";
-  const forest = css.getPropertyValue("--c-forest").trim() || "#3a5a40";
-  const moss = css.getPropertyValue("--c-moss").trim() || "#588157";
-  const readColor = (name, fallback) => css.getPropertyValue(name).trim() || fallback;
-  const chartText = readColor("--chart-text", ink);
-  const chartTextSoft = readColor("--chart-text-soft", "rgba(52,78,65,0.72)");
-  const chartGridMajor = readColor("--chart-grid-major", "rgba(52,78,65,0.24)");
-  const chartGridMinor = readColor("--chart-grid-minor", "rgba(52,78,65,0.14)");
-  const chartLine = readColor("--chart-line", forest);
-  const chartLineGlow = readColor("--chart-line-glow", "rgba(52,78,65,0.28)");
-  const chartPoint = readColor("--chart-point", moss);
-  const chartCrosshair = readColor("--chart-crosshair", ink);
-  const chartWindowFillTop = readColor("--chart-window-fill-top", "rgba(88,129,87,0.06)");
-  const chartWindowFillBottom = readColor("--chart-window-fill-bottom", "rgba(58,90,64,0.11)");
-  const chartWindowStroke = readColor("--chart-window-stroke", "rgba(52,78,65,0.14)");
-  const chartHazeBottom = readColor("--chart-haze-bottom", "rgba(88,129,87,0.10)");
-  const chartHazeMid = readColor("--chart-haze-mid", "rgba(88,129,87,0.04)");
+  const attr = (name) => (typeof canvas.getAttribute === "function" ? canvas.getAttribute(name) || "" : "");
+  const offscreen = opts.offscreen || typeof canvas.getBoundingClientRect !== "function";
+  const solo = (opts.mode || attr("data-mode")) === "solo";
+  const fit = opts.fit || attr("data-fit") || (solo ? "container" : "fixed");
+
+  const root = opts.root !== undefined
+    ? opts.root
+    : (canvas.closest?.(".chartCard") || (offscreen ? null : document));
+  const tip = root?.querySelector(".chartTip") || null;
+  const rangeEl = root?.querySelector(".chartRange") || null;
+  const latestEl = root?.querySelector(".chartLatest") || null;
+  const titleEl = root?.querySelector(".chartTitleText") || null;
+
+  const theme = chartTheme(opts.theme ?? (solo ? "solo" : "css"));
+  const mono = theme.mono;
+  const lines = normalizeLines(series, opts, theme);
 
   const ctx = canvas.getContext("2d");
   if (!ctx) return;
 
+  /** Current drawing size in CSS pixels. */
+  function size() {
+    if (offscreen) {
+      const dpr = opts.dpr || 1;
+      return { width: opts.width || canvas.width / dpr, height: opts.height || canvas.height / dpr };
+    }
+    return canvas.getBoundingClientRect();
+  }
+
   /** device pixel ratio scaling */
   function resize() {
-    const rect = canvas.getBoundingClientRect();
-    const dpr = Math.max(1, window.devicePixelRatio || 1);
+    if (offscreen) {
+      const dpr = opts.dpr || 1;
+      const { width, height } = size();
+      canvas.width = Math.floor(width * dpr);
+      canvas.height = Math.floor(height * dpr);
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      draw();
+      return;
+    }
 
-    // Prefer explicit height so charts don't balloon on wide screens.
-    const attrH = Number(canvas.getAttribute("data-height"));
-    const cssH = Number.isFinite(attrH) && attrH > 0 ? attrH : 260;
-    const clampedH = Math.max(200, Math.min(340, cssH));
+    const dpr = Math.max(1, window.devicePixelRatio || 1);
 
-    // Set the element's CSS size first so layout height matches the requested height.
-    canvas.style.width = "100%";
-    canvas.style.height = `${clampedH}px`;
+    if (fit === "container") {
+      // Fill the container (chartgrab): CSS dictates the height.
+      canvas.style.width = "100%";
+      canvas.style.height = "100%";
+    } else {
+      // Prefer explicit height so charts don't balloon on wide screens.
+      const attrH = Number(opts.height || attr("data-height"));
+      const cssH = Number.isFinite(attrH) && attrH > 0 ? attrH : 260;
+      const clampedH = Math.max(200, Math.min(340, cssH));
+
+      // Set the element's CSS size first so layout height matches the requested height.
+      canvas.style.width = "100%";
+      canvas.style.height = `${clampedH}px`;
+    }
 
     // Re-read size after CSS changes
     const rect2 = canvas.getBoundingClientRect();
@@ -107,60 +834,158 @@ function renderWireChart(canvas, series, opts = {}) {
     // Keep drawing coordinates in CSS pixels
     ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     draw();
+    drawOverview();
   }
 
   // Range selection (default comes from active tab if present)
-  const rangeButtons = Array.from(root.querySelectorAll(".chartTab[data-range]"));
+  const rangeButtons = opts.ranges === false ? [] : Array.from(root?.querySelectorAll(".chartTab[data-range]") || [])
+    .filter(btn => !opts.ranges || opts.ranges.includes(btn.getAttribute("data-range")));
 
   const getActiveRange = () => {
-    const active = root.querySelector(".chartTab.is-active");
-    return active?.getAttribute("data-range") || "5y";
+    const active = rangeButtons.find(btn => btn.classList.contains("is-active"));
+    return active?.getAttribute("data-range") || opts.defaultRange || "5y";
   };
 
-  const rangeToMs = (r) => {
-    const year = 1000 * 60 * 60 * 24 * 365.25;
-    if (r === "1y") return 1 * year;
-    if (r === "5y") return 5 * year;
-    if (r === "10y") return 10 * year;
-    return null; // all
+  // Transform (level, YoY, MoM, indexed, real) + log scale; persisted in ?tx= under opts.key
+  const persistKey = offscreen ? "" : (opts.key || "");
+  const view = {
+    mode: "level",
+    base: "",
+    log: false,
+    ...opts.transform,
+    ...(attr("data-transform") ? { mode: attr("data-transform") } : {}),
+    ...(persistKey ? readTransformParam().get(persistKey) : {}),
   };
+  let deflator = opts.deflator || null;
+  /** Start of the "indexed" base when view.base is blank, for the date input and axis label. */
+  let indexBaseT = NaN;
+
+  /** Line values under the current transform (index excepted), cached per mode. */
+  function transformed(line) {
+    const mode = view.mode === "index" ? "level" : view.mode;
+    if (!line.cache.has(mode)) line.cache.set(mode, transformPoints(line.points, mode, deflator));
+    return line.cache.get(mode);
+  }
 
+  // Custom window (brush, wheel/pinch, pan, overview strip, date inputs); overrides the
+  // range tabs until one is clicked. Persisted in ?zoom= under opts.key.
+  const extent = {
+    start: Math.min(...lines.map(l => l.points[0]?.t ?? Infinity)),
+    end: Math.max(...lines.map(l => l.points.at(-1)?.t ?? -Infinity)),
+  };
+  /** Narrowest window: a few observations of the first line. */
+  const minSpan = Math.max(2 * DAY_MS, (4 * (extent.end - extent.start)) / Math.max(1, lines[0].points.length - 1));
+
+  /** A window moved inside the data and at least minSpan wide. */
+  function clampZoom(win) {
+    const full = extent.end - extent.start;
+    const span = Math.min(full, Math.max(Math.min(minSpan, full), win.end - win.start));
+    const start = Math.min(extent.end - span, Math.max(extent.start, win.start));
+    return { start, end: start + span };
+  }
+
+  /** The active range tab's window, measured back from the latest point of any line. */
+  function presetWindow() {
+    const ms = rangeToMs(getActiveRange());
+    return { start: ms ? Math.max(extent.start, extent.end - ms) : extent.start, end: extent.end };
+  }
+
+  const initialZoom = (persistKey && readZoomParam(persistKey)) || (opts.zoom && {
+    start: typeof opts.zoom.start === "number" ? opts.zoom.start : Date.parse(opts.zoom.start),
+    end: typeof opts.zoom.end === "number" ? opts.zoom.end : Date.parse(opts.zoom.end),
+  });
+  let zoom = initialZoom && initialZoom.end > initialZoom.start && Number.isFinite(extent.start)
+    ? clampZoom(initialZoom)
+    : null;
+  /** Tab to restore when the zoom is reset. */
+  let presetRange = getActiveRange();
+  if (zoom) setTabsActive(null);
+  /** Keeps the from/to inputs in step with the drawn window (set once they exist). */
+  let syncZoomInputs = () => {};
+  /** Redraws the overview strip (set once it exists). */
+  let drawOverview = () => {};
+
+  /**
+   * Highlight the tab for range (null: none, while zoomed).
+   * @param {string|null} range
+   */
+  function setTabsActive(range) {
+    rangeButtons.forEach(b => {
+      const on = b.getAttribute("data-range") === range;
+      b.classList.toggle("is-active", on);
+      b.setAttribute("aria-selected", on ? "true" : "false");
+    });
+  }
+
+  /** Slice every line to the zoom window, else the active range. */
   const sliceSeries = () => {
-    const r = getActiveRange();
-    const ms = rangeToMs(r);
-    if (!series.length) return [];
-    if (!ms) return series.slice();
-    const maxT = series.at(-1)?.t ?? 0;
-    const startT = Math.max(series[0]?.t ?? 0, maxT - ms);
-    return series.filter(p => p.t >= startT);
+    const win = zoom || presetWindow();
+    indexBaseT = view.base ? Date.parse(view.base) : win.start;
+    for (const line of lines) {
+      let pts = transformed(line);
+      if (view.mode === "index") {
+        const base = pointAsOf(pts, indexBaseT) || pts.find(p => p.t >= indexBaseT);
+        pts = base?.v ? pts.map(p => ({ ...p, v: (p.v / base.v) * 100 })) : [];
+      }
+      line.data = pts.filter(p => p.t >= win.start && p.t <= win.end);
+    }
+    return lines[0].data;
   };
 
+  // data is the primary (first) line; first prints and news links follow it
   let data = sliceSeries();
 
-  const pad = { l: 64, r: 20, t: 30, b: 42 };
+  // First print vs. latest (only offered for a single series with recorded revisions)
+  const firstPrints = !solo && lines.length === 1 && opts.revisions instanceof Map ? opts.revisions : new Map();
+  let showFirstPrint = false;
+  const firstPrintOf = (p) => (firstPrints.has(p.d) ? firstPrints.get(p.d) : p.v);
+
+  // Archived headlines by day; newsDate is the hovered day a click opens, if any.
+  // Otherwise a click on a hovered event with a source opens sourceUrl.
+  const newsDays = (!solo && opts.newsDays) || {};
+  let newsDate = null;
+  let sourceUrl = null;
+
+  const pad = { l: 64, r: 20, t: 30, b: 42, ...opts.pad };
+  const minPadL = pad.l;
+  const minPadR = pad.r;
   let hover = null;
+  /** Drag in progress on the chart, and the brush rectangle it draws (CSS px). */
+  let drag = null;
+  let brush = null;
 
   /** significant dates state for current slice */
   let sig = [];
   let sigWins = [];
-  let axisMeta = {
-    kind: "number",
-    mag: { divisor: 1, suffix: "", word: "" },
-    unitLabel: "Value",
-  };
+  let bandWins = [];
+  /** @type {{left?: Object, right?: Object}} axis meta by side, rebuilt on every draw */
+  let axes = {};
+  const seriesMeta = lines[0].meta;
+  const sidecar = seriesMeta?.sidecar || null;
+  const footEl = root?.querySelector(".chartFoot .muted") || null;
 
   const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
-  const hintText = `${canvas.getAttribute("data-title") || opts.title || ""} ${canvas.getAttribute("data-csv") || ""}`.toLowerCase();
   const explicitUnit = String(
-    canvas.getAttribute("data-unit") ||
-    canvas.getAttribute("data-y-unit") ||
+    opts.axis?.unit ||
+    attr("data-unit") ||
+    attr("data-y-unit") ||
     ""
   ).trim().toLowerCase();
+  const lineUnit = (line, i) => String(line.unit || (i === 0 ? explicitUnit : "")).trim().toLowerCase();
+  const lineHint = (line, i) => (i === 0
+    ? `${attr("data-title") || opts.title || line.meta?.title || ""} ${attr("data-csv")}`
+    : `${line.label} ${line.meta?.title || ""}`).toLowerCase();
+
+  function inferValueKind(meta, unit, hintText) {
+    const registryFormat = String(meta?.format || "");
+    if (!unit && registryFormat) {
+      if (registryFormat === "currency" || registryFormat === "percent") return registryFormat;
+      return "number";
+    }
 
-  function inferValueKind(maxAbs) {
-    if (explicitUnit === "currency" || explicitUnit === "usd" || explicitUnit === "dollar") return "currency";
-    if (explicitUnit === "percent" || explicitUnit === "pct" || explicitUnit === "%") return "percent";
-    if (explicitUnit === "number" || explicitUnit === "index" || explicitUnit === "count") return "number";
+    if (unit === "currency" || unit === "usd" || unit === "dollar") return "currency";
+    if (unit === "percent" || unit === "pct" || unit === "%") return "percent";
+    if (unit === "number" || unit === "index" || unit === "count") return "number";
 
     if (
       /(^|[^a-z])(rate|yield|percent|percentage|unemployment|cpi yoy|pce yoy|chg%|delta%|pct|lfpr)([^a-z]|$)|%/.test(hintText)
@@ -192,21 +1017,62 @@ function renderWireChart(canvas, series, opts = {}) {
     return { divisor: 1, suffix: "", word: "" };
   }
 
-  function buildAxisMeta(minV, maxV) {
-    const maxAbs = Math.max(Math.abs(minV), Math.abs(maxV));
-    const kind = inferValueKind(maxAbs);
+  /**
+   * Units for one axis, described by the first line drawn on it.
+   * @param {number} minV
+   * @param {number} maxV
+   * @param {number} i index of that line
+   */
+  function buildAxisMeta(minV, maxV, i) {
+    const logNote = view.log && minV > 0 ? " · log scale" : "";
+    const plain = { divisor: 1, suffix: "", word: "" };
+    if (view.mode === "yoy" || view.mode === "mom") {
+      const unitLabel = view.mode === "yoy" ? "YoY change (%)" : "MoM change, annualized (%)";
+      return { kind: "percent", scale: 1, mag: plain, unitLabel: unitLabel + logNote };
+    }
+    if (view.mode === "index") {
+      const baseDate = Number.isFinite(indexBaseT) ? new Date(indexBaseT).toISOString().slice(0, 10) : "start";
+      return { kind: "number", scale: 1, mag: plain, unitLabel: `Index (${baseDate} = 100)${logNote}` };
+    }
+
+    const line = lines[i];
+    const meta = line.meta;
+    const unit = lineUnit(line, i);
+    const lineSidecar = meta?.sidecar || null;
+    const valueScale = Number(meta?.scale) || 1;
+    const maxAbs = Math.max(Math.abs(minV), Math.abs(maxV)) * valueScale;
+    const kind = inferValueKind(meta, unit, lineHint(line, i));
     const mag = magnitudeFor(maxAbs, kind);
+    const baseWord =
+      meta?.format === "index" ? "Index" :
+      meta?.format === "ratio" ? "Ratio" :
+      meta?.format === "count" ? "Count" :
+      "Units";
+    // Index/ratio units carry their base period ("Index 1982-1984=100"), so show them verbatim.
+    const verbatimUnits =
+      !unit && lineSidecar?.unitsShort && (meta?.format === "index" || meta?.format === "ratio")
+        ? lineSidecar.unitsShort
+        : "";
+    const adjust = lineSidecar?.seasonalAdjustmentShort && lineSidecar.seasonalAdjustmentShort !== "NA"
+      ? ` · ${lineSidecar.seasonalAdjustmentShort}`
+      : "";
     const unitLabel =
-      kind === "currency"
-        ? (mag.word ? `USD (${mag.word})` : "USD")
-        : kind === "percent"
-          ? "Percent (%)"
-          : (mag.word ? `Units (${mag.word})` : "Units");
-    return { kind, mag, unitLabel };
+      (verbatimUnits && !mag.word)
+        ? verbatimUnits
+        : kind === "currency"
+          ? (mag.word ? `USD (${mag.word})` : "USD")
+          : kind === "percent"
+            ? "Percent (%)"
+            : (mag.word ? `${baseWord} (${mag.word})` : baseWord);
+    const realNote = view.mode === "real" && deflator?.length
+      ? ` · real, ${deflator.at(-1).d.slice(0, 7)} dollars`
+      : "";
+    return { kind, scale: valueScale, mag, unitLabel: unitLabel + adjust + realNote + logNote };
   }
 
   function formatYValue(value, meta, mode = "axis") {
-    const scaled = value / meta.mag.divisor;
+    if (typeof opts.axis?.format === "function") return opts.axis.format(value, mode);
+    const scaled = (value * (meta.scale || 1)) / meta.mag.divisor;
     const abs = Math.abs(scaled);
     let maxFrac = abs >= 100 ? 0 : abs >= 10 ? 1 : 2;
     if (mode === "tooltip" && abs < 1) maxFrac = 3;
@@ -220,129 +1086,537 @@ function renderWireChart(canvas, series, opts = {}) {
     return `${sign}${num}${meta.mag.suffix}`;
   }
 
+  /** Format a line's value with its axis units. */
+  const formatLineValue = (line, v, mode) => formatYValue(v, axes[line.axis] || axes.left || axes.right, mode);
+
+  // Event markers: opts.markers, else the catalog, filtered to the shown categories
+  const categories = opts.events?.categories || {};
+  const shownCategories = new Set(
+    opts.categories ||
+    (attr("data-events") ? attr("data-events").split(",").map(c => c.trim()) : null) ||
+    Object.keys(categories).filter(id => categories[id]?.default !== false)
+  );
+  const categoryColor = (m) => categories[m.category]?.color || "";
+
   /**
-   * Significant markers you want on the chart.
-   * NOTE: Verify the April tariff date if you mean a different day.
-   * @returns {{ t:number, label:string, windowDays?: {before:number, after:number} }[]}
+   * Significant markers for this chart
+   * @type {{ t:number, label:string, category:string, source:string, windowDays?: {before:number, after:number} }[]}
    */
-  function significantMarkers() {
-    const mk = (iso, label, windowDays) => ({
-      t: Date.parse(iso),
-      label,
-      windowDays,
-    });
-
-    return [
-      mk("2021-01-20", "Biden Inauguration"),
-      mk("2022-08-16", "IRA Signed (Inflation Reduction Act)"),
-      mk("2025-01-20", "Trump 2nd Inauguration"),
-      mk("2025-04-02", "Liberation Day Tariffs", { before: 7, after: 21 }),
-    ].filter(m => Number.isFinite(m.t));
-  }
+  const significantMarkers = (opts.markers === false ? [] : (opts.markers || opts.events?.events || []))
+    .map(m => ({
+      t: Date.parse(m.date),
+      label: m.label,
+      category: m.category || "",
+      source: webUrl(m.source),
+      windowDays: m.windowDays || m.window,
+    }))
+    .filter(m => Number.isFinite(m.t));
+
+  /** Uncategorised markers (and unknown categories) are always shown. */
+  const markerShown = (m) => !categories[m.category] || shownCategories.has(m.category);
 
   /**
-   * Markers inside [minT, maxT]
+   * Shown markers inside [minT, maxT]
    * @param {number} minT
    * @param {number} maxT
-   * @returns {{t:number,label:string,windowDays?:{before:number,after:number}}[]}
+   * @returns {{t:number,label:string,category:string,source:string,windowDays?:{before:number,after:number}}[]}
    */
   function markersInRange(minT, maxT) {
-    return significantMarkers().filter(m => m.t >= minT && m.t <= maxT);
+    return significantMarkers.filter(m => markerShown(m) && m.t >= minT && m.t <= maxT);
   }
 
   /**
-   * Shading windows for markers that have windowDays
-   * @param {{t:number,label:string,windowDays?:{before:number,after:number}}[]} markers
+   * Shading windows: windowDays around dated markers
+   * @param {{t:number,label:string,category:string,source:string,windowDays?:{before:number,after:number}}[]} markers
    * @param {number} minT
    * @param {number} maxT
-   * @returns {{start:number,end:number,label:string,t:number}[]}
+   * @returns {{start:number,end:number,label:string,source:string,t:number}[]}
    */
   function markerWindows(markers, minT, maxT) {
-    const day = 1000 * 60 * 60 * 24;
     const out = [];
     for (const m of markers) {
       if (!m.windowDays) continue;
-      const start = m.t - (m.windowDays.before ?? 0) * day;
-      const end = m.t + (m.windowDays.after ?? 0) * day;
+      const start = m.t - (m.windowDays.before ?? 0) * DAY_MS;
+      const end = m.t + (m.windowDays.after ?? 0) * DAY_MS;
       if (end < minT || start > maxT) continue;
       out.push({
         start: Math.max(start, minT),
         end: Math.min(end, maxT),
         label: m.label,
+        source: m.source,
         t: m.t,
       });
     }
     return out;
   }
 
+  // Band layers: opts.bands, shown per opts.bandLayers / data-bands / the layer's default
+  const bandLayers = (opts.bands || [])
+    .filter(l => l?.id && Array.isArray(l.bands))
+    .map(l => ({
+      id: l.id,
+      label: l.label || l.id,
+      color: l.color || l.bands.find(b => b.color)?.color || "",
+      shown: l.default !== false,
+      bands: l.bands
+        .map(b => ({
+          start: Date.parse(b.start),
+          end: b.end ? Date.parse(b.end) : Infinity,
+          label: b.label || "",
+          color: b.color || l.color || "",
+        }))
+        .filter(b => Number.isFinite(b.start)),
+    }));
+  const shownLayers = new Set(
+    opts.bandLayers ||
+    (attr("data-bands") ? attrList(canvas, "data-bands") : null) ||
+    bandLayers.filter(l => l.shown).map(l => l.id)
+  );
+
+  /**
+   * Shown bands overlapping [minT, maxT], clipped to it; row is the layer's label row.
+   * @param {number} minT
+   * @param {number} maxT
+   * @returns {{start:number,end:number,label:string,color:string,row:number}[]}
+   */
+  function bandsInRange(minT, maxT) {
+    const out = [];
+    bandLayers.filter(l => shownLayers.has(l.id)).forEach((layer, row) => {
+      for (const b of layer.bands) {
+        if (b.end < minT || b.start > maxT) continue;
+        out.push({ start: Math.max(b.start, minT), end: Math.min(b.end, maxT), label: b.label, color: b.color, row });
+      }
+    });
+    return out;
+  }
+
   // Hook up range selector buttons (optional)
   if (rangeButtons.length) {
     rangeButtons.forEach((btn) => {
       btn.addEventListener("click", () => {
-        rangeButtons.forEach(b => {
-          b.classList.toggle("is-active", b === btn);
-          b.setAttribute("aria-selected", b === btn ? "true" : "false");
-        });
+        setTabsActive(btn.getAttribute("data-range"));
+        zoom = null;
+        persistZoom();
         hover = null;
         data = sliceSeries();
         sig = [];
         sigWins = [];
+        bandWins = [];
         if (tip) tip.classList.remove("is-on");
         resize(); // redraw using new slice + current size
       });
     });
   }
 
+  const controlsEl = root?.querySelector(".chartControls");
+  if (controlsEl && firstPrints.size) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "chartTab chartTab--toggle";
+    btn.textContent = "first print";
+    btn.title = "Overlay the first published value of each revised observation";
+    btn.setAttribute("aria-pressed", "false");
+    btn.addEventListener("click", () => {
+      showFirstPrint = !showFirstPrint;
+      btn.setAttribute("aria-pressed", String(showFirstPrint));
+      draw();
+    });
+    controlsEl.appendChild(btn);
+  }
+
+  // Transforms that make sense for the first line: no % change of a rate, no MoM of a
+  // quarterly or annual series, no deflating a non-price.
+  const baseKind = inferValueKind(lines[0].meta, lineUnit(lines[0], 0), lineHint(lines[0], 0));
+  const transformOk = (id) => {
+    if (id === "yoy") return baseKind !== "percent";
+    if (id === "mom") return baseKind !== "percent" && medianSpacing(lines[0].points) <= 31 * DAY_MS;
+    if (id === "real") return baseKind === "currency";
+    return TRANSFORMS.some(t => t.id === id);
+  };
+
+  /** "real" needs CPI: fetch it on first use and redraw. */
+  function ensureDeflator() {
+    if (view.mode !== "real" || deflator) return;
+    loadSeries(DEFLATOR_PATH).then((pts) => {
+      deflator = pts;
+      for (const line of lines) line.cache.delete("real");
+      data = sliceSeries();
+      draw();
+    }).catch(() => {});
+  }
+
+  if (!transformOk(view.mode)) view.mode = "level";
+  data = sliceSeries();
+  ensureDeflator();
+
+  /** Re-slice after a transform change. */
+  function applyTransform() {
+    if (persistKey) writeTransformParam(persistKey, view);
+    ensureDeflator();
+    hover = null;
+    data = sliceSeries();
+    if (tip) tip.classList.remove("is-on");
+    draw();
+  }
+
+  if (controlsEl && opts.transforms !== false) {
+    const bar = document.createElement("div");
+    bar.className = "chartTransforms";
+
+    const select = document.createElement("select");
+    select.className = "chartSelect";
+    select.setAttribute("aria-label", "Transform");
+    for (const t of TRANSFORMS) {
+      const opt = document.createElement("option");
+      opt.value = t.id;
+      opt.textContent = t.label;
+      opt.disabled = !transformOk(t.id);
+      select.appendChild(opt);
+    }
+    select.value = view.mode;
+
+    const dateInput = document.createElement("input");
+    dateInput.type = "date";
+    dateInput.className = "chartDate";
+    dateInput.setAttribute("aria-label", "Index base date (= 100)");
+    const syncDate = () => {
+      dateInput.hidden = view.mode !== "index";
+      dateInput.value = view.base || (Number.isFinite(indexBaseT) ? new Date(indexBaseT).toISOString().slice(0, 10) : "");
+    };
+
+    const logBtn = document.createElement("button");
+    logBtn.type = "button";
+    logBtn.className = "chartTab chartTab--toggle";
+    logBtn.textContent = "log";
+    logBtn.title = "Logarithmic value axis";
+    logBtn.setAttribute("aria-pressed", String(view.log));
+
+    select.addEventListener("change", () => {
+      view.mode = select.value;
+      applyTransform();
+      syncDate();
+    });
+    dateInput.addEventListener("change", () => {
+      view.base = dateInput.value;
+      applyTransform();
+    });
+    logBtn.addEventListener("click", () => {
+      view.log = !view.log;
+      logBtn.setAttribute("aria-pressed", String(view.log));
+      applyTransform();
+    });
+    rangeButtons.forEach(btn => btn.addEventListener("click", syncDate));
+
+    bar.append(select, dateInput, logBtn);
+    controlsEl.after(bar);
+    syncDate();
+  }
+
+  // Legend: one toggle per event category and band layer with something in this series' span
+  const wrapEl = root?.querySelector(".chartWrap");
+  if (wrapEl && !offscreen) {
+    const spanMin = Math.min(...lines.map(l => l.points[0]?.t ?? Infinity));
+    const spanMax = Math.max(...lines.map(l => l.points.at(-1)?.t ?? -Infinity));
+    const present = Object.keys(categories).filter(id =>
+      significantMarkers.some(m => m.category === id && m.t >= spanMin && m.t <= spanMax));
+    const presentLayers = bandLayers.filter(l => l.bands.some(b => b.end >= spanMin && b.start <= spanMax));
+
+    /** A chip toggling id in `shown`; band chips get a square swatch. */
+    const chipFor = (id, label, color, shown, isBand) => {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = isBand ? "chartChip chartChip--band" : "chartChip";
+      chip.setAttribute("aria-pressed", String(shown.has(id)));
+      const dot = document.createElement("span");
+      dot.className = "chartChipDot";
+      dot.style.background = color || "";
+      chip.append(dot, label || id);
+      chip.addEventListener("click", () => {
+        if (shown.has(id)) shown.delete(id);
+        else shown.add(id);
+        chip.setAttribute("aria-pressed", String(shown.has(id)));
+        draw();
+      });
+      return chip;
+    };
+
+    if (present.length || presentLayers.length) {
+      const legend = document.createElement("div");
+      legend.className = "chartLegend";
+      legend.setAttribute("aria-label", "Event markers and bands");
+      for (const id of present) {
+        legend.appendChild(chipFor(id, categories[id].label, categories[id].color, shownCategories, false));
+      }
+      for (const layer of presentLayers) {
+        legend.appendChild(chipFor(layer.id, layer.label, layer.color, shownLayers, true));
+      }
+      wrapEl.after(legend);
+    }
+  }
+
+  /** Store the zoom window in ?zoom= (dropped when back on the tabs). */
+  function persistZoom() {
+    if (persistKey) writeZoomParam(persistKey, zoom);
+  }
+
+  /**
+   * Show a custom window (null: back to the tab it replaced) and redraw.
+   * @param {{start: number, end: number}|null} next
+   * @param {boolean} [persist] false while a drag is still moving it
+   */
+  function setZoom(next, persist = true) {
+    if (next && !zoom) {
+      presetRange = getActiveRange();
+      setTabsActive(null);
+    } else if (!next && zoom) {
+      setTabsActive(presetRange);
+    }
+    zoom = next && Number.isFinite(extent.start) ? clampZoom(next) : null;
+    if (persist) persistZoom();
+    hover = null;
+    data = sliceSeries();
+    if (tip) tip.classList.remove("is-on");
+    draw();
+    drawOverview();
+  }
+
+  /** The window on screen: the zoom, else what the last draw showed. */
+  const currentWindow = () => zoom || (frame ? { start: frame.minT, end: frame.minT + frame.spanT } : presetWindow());
+
+  const isoDay = (t) => new Date(t).toISOString().slice(0, 10);
+
+  // From/to date inputs (any window), plus a reset while zoomed
+  if (controlsEl && Number.isFinite(extent.start)) {
+    const dateInput = (label) => {
+      const input = document.createElement("input");
+      input.type = "date";
+      input.className = "chartDate";
+      input.min = isoDay(extent.start);
+      input.max = isoDay(extent.end);
+      input.setAttribute("aria-label", label);
+      return input;
+    };
+    const fromInput = dateInput("From date");
+    const toInput = dateInput("To date");
+    const sep = document.createElement("span");
+    sep.className = "chartZoomSep";
+    sep.textContent = "→";
+
+    const resetBtn = document.createElement("button");
+    resetBtn.type = "button";
+    resetBtn.className = "chartTab chartTab--toggle";
+    resetBtn.textContent = "reset";
+    resetBtn.title = "Back to the range tabs (or double-click the chart)";
+    resetBtn.addEventListener("click", () => setZoom(null));
+
+    const onDates = () => {
+      const start = Date.parse(fromInput.value);
+      const end = Date.parse(toInput.value);
+      if (Number.isFinite(start) && Number.isFinite(end) && end > start) setZoom({ start, end });
+    };
+    fromInput.addEventListener("change", onDates);
+    toInput.addEventListener("change", onDates);
+
+    syncZoomInputs = (startT, endT) => {
+      if (document.activeElement !== fromInput) fromInput.value = isoDay(startT);
+      if (document.activeElement !== toInput) toInput.value = isoDay(endT);
+      resetBtn.hidden = !zoom;
+    };
+
+    const bar = document.createElement("div");
+    bar.className = "chartZoom";
+    bar.append(fromInput, sep, toInput, resetBtn);
+    const after = controlsEl.nextElementSibling?.classList.contains("chartTransforms") ? controlsEl.nextElementSibling : controlsEl;
+    after.after(bar);
+  }
+
+  // Overview strip: the first line's whole history with the visible window; drag the
+  // window to pan, its edges to resize, elsewhere to jump there
+  if (wrapEl && !offscreen && !solo && opts.overview !== false && lines[0].points.length >= 2) {
+    const strip = document.createElement("canvas");
+    strip.className = "chartOverview";
+    strip.setAttribute("aria-hidden", "true"); // the date inputs are the accessible control
+    wrapEl.after(strip);
+    const sctx = strip.getContext("2d");
+    const inset = 4;
+    const fullSpan = (extent.end - extent.start) || 1;
+    const ox = (t, w) => inset + ((t - extent.start) / fullSpan) * (w - 2 * inset);
+    const otAt = (px, w) => extent.start + ((px - inset) / (w - 2 * inset)) * fullSpan;
+    const pts = lines[0].points;
+    const minV = Math.min(...pts.map(p => p.v));
+    const maxV = Math.max(...pts.map(p => p.v));
+
+    drawOverview = () => {
+      const rect = strip.getBoundingClientRect();
+      if (!rect.width || !sctx) return;
+      const dpr = Math.max(1, window.devicePixelRatio || 1);
+      strip.width = Math.floor(rect.width * dpr);
+      strip.height = Math.floor(rect.height * dpr);
+      sctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      const { width: w, height: h } = rect;
+      const oy = (v) => h - 4 - ((v - minV) / ((maxV - minV) || 1)) * (h - 8);
+
+      sctx.clearRect(0, 0, w, h);
+      sctx.strokeStyle = lines[0].color;
+      sctx.globalAlpha = 0.7;
+      sctx.lineWidth = 1;
+      sctx.beginPath();
+      sctx.moveTo(ox(pts[0].t, w), oy(pts[0].v));
+      for (let i = 1; i < pts.length; i++) sctx.lineTo(ox(pts[i].t, w), oy(pts[i].v));
+      sctx.stroke();
+
+      // Dim outside the window, outline it, and draw grab handles on its edges
+      const win = currentWindow();
+      const x0 = ox(win.start, w);
+      const x1 = ox(win.end, w);
+      sctx.globalAlpha = 1;
+      sctx.fillStyle = theme.windowFillBottom;
+      sctx.fillRect(0, 0, x0, h);
+      sctx.fillRect(x1, 0, w - x1, h);
+      sctx.strokeStyle = theme.crosshair;
+      sctx.globalAlpha = 0.7;
+      sctx.strokeRect(x0 + 0.5, 0.5, Math.max(1, x1 - x0 - 1), h - 1);
+      sctx.fillStyle = theme.crosshair;
+      sctx.fillRect(x0 - 1.5, h / 2 - 6, 3, 12);
+      sctx.fillRect(x1 - 1.5, h / 2 - 6, 3, 12);
+    };
+
+    let stripDrag = null;
+    strip.addEventListener("pointerdown", (e) => {
+      const w = strip.getBoundingClientRect().width;
+      const px = e.clientX - strip.getBoundingClientRect().left;
+      let win = currentWindow();
+      const x0 = ox(win.start, w);
+      const x1 = ox(win.end, w);
+      let mode = "move";
+      if (Math.abs(px - x0) <= 6) mode = "start";
+      else if (Math.abs(px - x1) <= 6) mode = "end";
+      else if (px < x0 || px > x1) {
+        const half = (win.end - win.start) / 2;
+        setZoom({ start: otAt(px, w) - half, end: otAt(px, w) + half }, false);
+        win = currentWindow();
+      }
+      stripDrag = { mode, px, w, win };
+      strip.setPointerCapture(e.pointerId);
+    });
+    strip.addEventListener("pointermove", (e) => {
+      if (!stripDrag) return;
+      const { mode, px, w, win } = stripDrag;
+      const dt = ((e.clientX - strip.getBoundingClientRect().left - px) / (w - 2 * inset)) * fullSpan;
+      if (mode === "move") setZoom({ start: win.start + dt, end: win.end + dt }, false);
+      else if (mode === "start") setZoom({ start: Math.max(extent.start, Math.min(win.start + dt, win.end - minSpan)), end: win.end }, false);
+      else setZoom({ start: win.start, end: Math.min(extent.end, Math.max(win.end + dt, win.start + minSpan)) }, false);
+    });
+    const endStripDrag = () => {
+      if (!stripDrag) return;
+      stripDrag = null;
+      persistZoom();
+    };
+    strip.addEventListener("pointerup", endStripDrag);
+    strip.addEventListener("pointercancel", endStripDrag);
+  }
+
+  /** x/y mapping for the current draw; nearestPoint reads the x span. */
+  let frame = null;
+
   function draw() {
-    const w = canvas.getBoundingClientRect().width;
-    const h = canvas.getBoundingClientRect().height;
+    const { width: w, height: h } = size();
 
     ctx.clearRect(0, 0, w, h);
 
+    const drawn = lines.filter(l => l.data.length >= 2);
+
     // If no data, draw a polite placeholder
-    if (data.length < 2) {
+    if (!drawn.length) {
+      frame = null;
       ctx.globalAlpha = 0.85;
-      ctx.fillStyle = chartTextSoft;
-      ctx.font = `12px ${css.getPropertyValue("--mono") || "ui-monospace"}`;
+      ctx.fillStyle = theme.textSoft;
+      ctx.font = `12px ${mono}`;
       ctx.fillText("No data to plot.", pad.l, pad.t + 14);
       ctx.globalAlpha = 1;
       return;
     }
 
-    const minV = Math.min(...data.map(p => p.v));
-    const maxV = Math.max(...data.map(p => p.v));
-    const spanV = (maxV - minV) || 1;
-    axisMeta = buildAxisMeta(minV, maxV);
+    const firstPrintData = showFirstPrint && view.mode === "level" ? data.map(p => ({ t: p.t, v: firstPrintOf(p) })) : [];
+
+    // One value scale per side; each side is labelled with the units of its first line.
+    axes = {};
+    const scales = {};
+    for (const side of ["left", "right"]) {
+      const onSide = drawn.filter(l => l.axis === side);
+      if (!onSide.length) continue;
+      const values = onSide.flatMap(l => l.data.map(p => p.v));
+      if (side === lines[0].axis) values.push(...firstPrintData.map(p => p.v));
+      const minV = Math.min(...values);
+      const maxV = Math.max(...values);
+      const spanV = (maxV - minV) || 1;
+      // Log scale needs positive values; YoY/MoM can go negative, so those stay linear.
+      const log = view.log && minV > 0 && maxV > minV;
+      axes[side] = buildAxisMeta(minV, maxV, lines.indexOf(onSide[0]));
+      const ticks = Array.from({ length: 4 }, (_, i) => (log ? minV * (maxV / minV) ** (i / 3) : minV + (i / 3) * spanV));
+      scales[side] = { minV, maxV, spanV, log, ticks, labels: ticks.map(v => formatYValue(v, axes[side], "axis")) };
+    }
 
-    const axisTicks = Array.from({ length: 4 }, (_, i) => minV + (i / 3) * spanV);
-    const axisTickLabels = axisTicks.map(v => formatYValue(v, axisMeta, "axis"));
     ctx.save();
-    ctx.font = `11px ${css.getPropertyValue("--mono") || "ui-monospace"}`;
-    const widestTick = Math.max(...axisTickLabels.map(t => ctx.measureText(t).width), 0);
-    ctx.font = `10px ${css.getPropertyValue("--mono") || "ui-monospace"}`;
-    const unitW = ctx.measureText(axisMeta.unitLabel).width;
+    for (const side of Object.keys(scales)) {
+      ctx.font = `11px ${mono}`;
+      const widestTick = Math.max(...scales[side].labels.map(t => ctx.measureText(t).width), 0);
+      ctx.font = `10px ${mono}`;
+      const unitW = ctx.measureText(axes[side].unitLabel).width;
+      scales[side].width = Math.ceil(Math.max(widestTick, unitW) + 30);
+    }
     ctx.restore();
-    pad.l = clamp(Math.ceil(Math.max(widestTick, unitW) + 30), 68, 132);
+    pad.l = scales.left ? clamp(scales.left.width, Math.max(minPadL, 68), 132) : Math.max(minPadL, 68);
+    pad.r = scales.right ? clamp(scales.right.width, Math.max(minPadR, 68), 132) : minPadR;
 
-    const minT = data[0].t;
-    const maxT2 = data.at(-1).t;
+    // Zoomed: exactly the window, so a brushed range lands on the pixels selected
+    const minT = zoom ? zoom.start : Math.min(...drawn.map(l => l.data[0].t));
+    const maxT2 = zoom ? zoom.end : Math.max(...drawn.map(l => l.data.at(-1).t));
     const spanT = (maxT2 - minT) || 1;
 
     const x = (t) => pad.l + ((t - minT) / spanT) * (w - pad.l - pad.r);
-    const y = (v) => pad.t + (1 - (v - minV) / spanV) * (h - pad.t - pad.b);
+    const y = (v, side = "left") => {
+      const sc = scales[side] || scales.left || scales.right;
+      const frac = sc.log ? Math.log(v / sc.minV) / Math.log(sc.maxV / sc.minV) : (v - sc.minV) / sc.spanV;
+      return pad.t + (1 - frac) * (h - pad.t - pad.b);
+    };
+    frame = { minT, spanT, w };
+    syncZoomInputs(minT, maxT2);
 
     // Subtle vignette to make the plot feel "framed"
     // Bottom-weighted haze (tape-style, subtle)
     ctx.save();
     const haze = ctx.createLinearGradient(0, h - pad.b, 0, pad.t);
-    haze.addColorStop(0, chartHazeBottom);
-    haze.addColorStop(0.45, chartHazeMid);
+    haze.addColorStop(0, theme.hazeBottom);
+    haze.addColorStop(0.45, theme.hazeMid);
     haze.addColorStop(1, "rgba(88,129,87,0.00)");
     ctx.fillStyle = haze;
     ctx.fillRect(pad.l, pad.t, (w - pad.l - pad.r), (h - pad.t - pad.b));
     ctx.restore();
 
-    // Significant markers (only the ones you want)
+    // Band layers: flat fills under the grid, labelled along the bottom where they fit
+    bandWins = bandsInRange(minT, maxT2);
+    if (bandWins.length) {
+      ctx.save();
+      ctx.font = `10px ${mono}`;
+      ctx.textBaseline = "bottom";
+      for (const band of bandWins) {
+        const x0 = x(band.start);
+        const bw = Math.max(1, x(band.end) - x0);
+        ctx.globalAlpha = 0.14;
+        ctx.fillStyle = band.color || theme.windowFillBottom;
+        ctx.fillRect(x0, pad.t, bw, (h - pad.t - pad.b));
+
+        if (band.label && ctx.measureText(band.label).width + 8 <= bw) {
+          ctx.globalAlpha = 0.8;
+          ctx.fillStyle = theme.textSoft;
+          ctx.fillText(band.label, x0 + 4, h - pad.b - 4 - band.row * 12);
+        }
+      }
+      ctx.restore();
+    }
+
+    // Significant markers: a line per dated event, optional shading window around it
     sig = markersInRange(minT, maxT2);
     sigWins = markerWindows(sig, minT, maxT2);
 
@@ -354,14 +1628,14 @@ function renderWireChart(canvas, series, opts = {}) {
         const x1 = x(win.end);
 
         const g = ctx.createLinearGradient(0, pad.t, 0, h - pad.b);
-        g.addColorStop(0, chartWindowFillTop);
-        g.addColorStop(1, chartWindowFillBottom);
+        g.addColorStop(0, theme.windowFillTop);
+        g.addColorStop(1, theme.windowFillBottom);
         ctx.fillStyle = g;
 
         ctx.fillRect(x0, pad.t, Math.max(1, x1 - x0), (h - pad.t - pad.b));
 
         // subtle border so it reads as intentional
-        ctx.strokeStyle = chartWindowStroke;
+        ctx.strokeStyle = theme.windowStroke;
         ctx.lineWidth = 1;
         ctx.strokeRect(
           x0 + 0.5,
@@ -380,7 +1654,7 @@ function renderWireChart(canvas, series, opts = {}) {
     const gridN = 6;
     for (let i = 0; i <= gridN; i++) {
       const yy = pad.t + (i / gridN) * (h - pad.t - pad.b);
-      ctx.strokeStyle = chartGridMajor;
+      ctx.strokeStyle = theme.gridMajor;
       ctx.beginPath();
       ctx.moveTo(pad.l, yy);
       ctx.lineTo(w - pad.r, yy);
@@ -390,7 +1664,7 @@ function renderWireChart(canvas, series, opts = {}) {
     const vN = 8;
     for (let i = 0; i <= vN; i++) {
       const xx = pad.l + (i / vN) * (w - pad.l - pad.r);
-      ctx.strokeStyle = chartGridMinor;
+      ctx.strokeStyle = theme.gridMinor;
       ctx.beginPath();
       ctx.moveTo(xx, pad.t);
       ctx.lineTo(xx, h - pad.b);
@@ -400,7 +1674,7 @@ function renderWireChart(canvas, series, opts = {}) {
 
     // Baseline emphasis
     ctx.save();
-    ctx.strokeStyle = chartGridMajor;
+    ctx.strokeStyle = theme.gridMajor;
     ctx.globalAlpha = 0.95;
     ctx.lineWidth = 1.25;
     ctx.beginPath();
@@ -412,12 +1686,12 @@ function renderWireChart(canvas, series, opts = {}) {
     // Significant marker lines + baseline triangles + labels
     if (sig.length) {
       ctx.save();
-      ctx.strokeStyle = chartTextSoft;
-      ctx.fillStyle = chartTextSoft;
+      ctx.strokeStyle = theme.textSoft;
+      ctx.fillStyle = theme.textSoft;
       ctx.globalAlpha = 0.72;
       ctx.lineWidth = 1;
 
-      ctx.font = `10px ${css.getPropertyValue("--mono") || "ui-monospace"}`;
+      ctx.font = `10px ${mono}`;
 
       // simple label collision avoidance: only label if far enough from previous label
       let lastLabelX = -Infinity;
@@ -425,6 +1699,8 @@ function renderWireChart(canvas, series, opts = {}) {
 
       for (const m of sig) {
         const px = clamp(x(m.t), pad.l, w - pad.r);
+        ctx.strokeStyle = categoryColor(m) || theme.textSoft;
+        ctx.fillStyle = ctx.strokeStyle;
 
         // vertical line
         ctx.beginPath();
@@ -458,91 +1734,148 @@ function renderWireChart(canvas, series, opts = {}) {
       ctx.restore();
     }
 
-    // Axis labels (left)
+    // Axis labels (left, and right for a second axis)
     ctx.save();
-    ctx.fillStyle = chartText;
+    ctx.fillStyle = theme.text;
     ctx.globalAlpha = 0.94;
-    ctx.font = `11px ${css.getPropertyValue("--mono") || "ui-monospace"}`;
-    ctx.textAlign = "right";
+    ctx.font = `11px ${mono}`;
     ctx.textBaseline = "middle";
 
-    for (let i = 0; i < axisTicks.length; i++) {
-      const yy = y(axisTicks[i]);
-      ctx.fillText(axisTickLabels[i], pad.l - 10, yy);
+    for (const side of Object.keys(scales)) {
+      const sc = scales[side];
+      ctx.textAlign = side === "left" ? "right" : "left";
+      const tx = side === "left" ? pad.l - 10 : w - pad.r + 10;
+      for (let i = 0; i < sc.ticks.length; i++) {
+        ctx.fillText(sc.labels[i], tx, y(sc.ticks[i], side));
+      }
     }
 
-    ctx.fillStyle = chartTextSoft;
+    ctx.fillStyle = theme.textSoft;
     ctx.globalAlpha = 0.88;
-    ctx.font = `10px ${css.getPropertyValue("--mono") || "ui-monospace"}`;
-    ctx.textAlign = "left";
+    ctx.font = `10px ${mono}`;
     ctx.textBaseline = "alphabetic";
-    ctx.fillText(axisMeta.unitLabel, 10, Math.max(12, pad.t - 14));
+    if (axes.left) {
+      ctx.textAlign = "left";
+      ctx.fillText(axes.left.unitLabel, 10, Math.max(12, pad.t - 14));
+    }
+    if (axes.right) {
+      ctx.textAlign = "right";
+      ctx.fillText(axes.right.unitLabel, w - 10, Math.max(12, pad.t - 14));
+    }
 
     // Date range labels
     const d0 = new Date(minT);
     const d1 = new Date(maxT2);
-    ctx.fillStyle = chartTextSoft;
+    ctx.fillStyle = theme.textSoft;
     ctx.globalAlpha = 0.82;
     ctx.textAlign = "left";
     ctx.fillText(d0.toISOString().slice(0, 10), pad.l, h - 12);
     const endStr = d1.toISOString().slice(0, 10);
     const endW = ctx.measureText(endStr).width;
     ctx.fillText(endStr, w - pad.r - endW, h - 12);
-    ctx.restore();
-
-    // Area gradient (tape-style fade, bottom-weighted)
-    ctx.save();
-    const grad = ctx.createLinearGradient(0, h - pad.b, 0, pad.t);
-    grad.addColorStop(0, "rgba(76,214,155,0.24)");
-    grad.addColorStop(0.45, "rgba(76,214,155,0.12)");
-    grad.addColorStop(1, "rgba(76,214,155,0.02)");
-    ctx.fillStyle = grad;
-    ctx.beginPath();
-    ctx.moveTo(x(data[0].t), h - pad.b);
-    for (const p of data) ctx.lineTo(x(p.t), y(p.v));
-    ctx.lineTo(x(data.at(-1).t), h - pad.b);
-    ctx.closePath();
-    ctx.fill();
-    ctx.restore();
 
-    // Line
-    ctx.save();
-    ctx.strokeStyle = chartLine;
-    ctx.lineWidth = 2.55;
-    ctx.lineJoin = "round";
-    ctx.lineCap = "round";
-    ctx.shadowColor = chartLineGlow;
-    ctx.shadowBlur = 6;
-    ctx.globalAlpha = hover ? 1 : 0.92;
-    ctx.beginPath();
-    ctx.moveTo(x(data[0].t), y(data[0].v));
-    for (let i = 1; i < data.length; i++) {
-      ctx.lineTo(x(data[i].t), y(data[i].v));
+    // Legend (overlays only), centred between the date labels
+    if (lines.length > 1) {
+      const items = lines.map(l => ({ line: l, w: 18 + ctx.measureText(l.label).width }));
+      const gap = 14;
+      let lx = (w - items.reduce((sum, it) => sum + it.w, 0) - gap * (items.length - 1)) / 2;
+      for (const it of items) {
+        ctx.globalAlpha = it.line.data.length >= 2 ? 0.92 : 0.4;
+        ctx.strokeStyle = it.line.color;
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        ctx.moveTo(lx, h - 16);
+        ctx.lineTo(lx + 12, h - 16);
+        ctx.stroke();
+        ctx.fillStyle = theme.textSoft;
+        ctx.fillText(it.line.label, lx + 18, h - 12);
+        lx += it.w + gap;
+      }
     }
-    ctx.stroke();
     ctx.restore();
 
-    // Points (sparingly)
-    ctx.save();
-    ctx.fillStyle = chartPoint;
-    ctx.globalAlpha = 0.72;
-    const step = Math.max(1, Math.floor(data.length / 22));
-    for (let i = 0; i < data.length; i += step) {
-      const px = x(data[i].t);
-      const py = y(data[i].v);
+    // Area gradient (tape-style fade, bottom-weighted), single series only
+    if (lines.length === 1) {
+      ctx.save();
+      const grad = ctx.createLinearGradient(0, h - pad.b, 0, pad.t);
+      grad.addColorStop(0, theme.areaBottom);
+      grad.addColorStop(0.45, theme.areaMid);
+      grad.addColorStop(1, theme.areaTop);
+      ctx.fillStyle = grad;
       ctx.beginPath();
-      ctx.roundRect(px - 2, py - 2, 4, 4, 2);
+      ctx.moveTo(x(data[0].t), h - pad.b);
+      for (const p of data) ctx.lineTo(x(p.t), y(p.v));
+      ctx.lineTo(x(data.at(-1).t), h - pad.b);
+      ctx.closePath();
       ctx.fill();
+      ctx.restore();
+    }
+
+    // Lines, primary last so it sits on top
+    for (const line of drawn.slice().reverse()) {
+      const primary = line === lines[0];
+      ctx.save();
+      ctx.strokeStyle = line.color;
+      ctx.lineWidth = primary ? 2.55 : 2;
+      ctx.lineJoin = "round";
+      ctx.lineCap = "round";
+      if (primary) {
+        ctx.shadowColor = theme.lineGlow;
+        ctx.shadowBlur = 6;
+      }
+      ctx.globalAlpha = hover ? 1 : 0.92;
+      ctx.beginPath();
+      ctx.moveTo(x(line.data[0].t), y(line.data[0].v, line.axis));
+      for (let i = 1; i < line.data.length; i++) {
+        ctx.lineTo(x(line.data[i].t), y(line.data[i].v, line.axis));
+      }
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // First print overlay (dashed)
+    if (firstPrintData.length) {
+      ctx.save();
+      ctx.strokeStyle = theme.textSoft;
+      ctx.lineWidth = 1.6;
+      ctx.setLineDash([5, 4]);
+      ctx.lineJoin = "round";
+      ctx.beginPath();
+      ctx.moveTo(x(firstPrintData[0].t), y(firstPrintData[0].v));
+      for (let i = 1; i < firstPrintData.length; i++) {
+        ctx.lineTo(x(firstPrintData[i].t), y(firstPrintData[i].v));
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.font = `10px ${mono}`;
+      ctx.fillStyle = theme.textSoft;
+      ctx.textAlign = "right";
+      ctx.fillText("- - first print   — latest", w - pad.r, Math.max(12, pad.t - 14));
+      ctx.restore();
+    }
+
+    // Points (sparingly)
+    for (const line of drawn) {
+      ctx.save();
+      ctx.fillStyle = line === lines[0] ? theme.point : line.color;
+      ctx.globalAlpha = 0.72;
+      const step = Math.max(1, Math.floor(line.data.length / 22));
+      for (let i = 0; i < line.data.length; i += step) {
+        const px = x(line.data[i].t);
+        const py = y(line.data[i].v, line.axis);
+        ctx.beginPath();
+        ctx.roundRect(px - 2, py - 2, 4, 4, 2);
+        ctx.fill();
+      }
+      ctx.restore();
     }
-    ctx.restore();
 
-    // Hover crosshair
+    // Hover crosshair: vertical at the hovered date, a dot on every line's value there
     if (hover) {
       const px = x(hover.t);
-      const py = y(hover.v);
 
       ctx.save();
-      ctx.strokeStyle = chartCrosshair;
+      ctx.strokeStyle = theme.crosshair;
       ctx.globalAlpha = 0.7;
       ctx.lineWidth = 1;
 
@@ -551,55 +1884,221 @@ function renderWireChart(canvas, series, opts = {}) {
       ctx.lineTo(px, h - pad.b);
       ctx.stroke();
 
-      ctx.beginPath();
-      ctx.moveTo(pad.l, py);
-      ctx.lineTo(w - pad.r, py);
-      ctx.stroke();
+      if (lines.length === 1) {
+        const py = y(hover.v);
+        ctx.beginPath();
+        ctx.moveTo(pad.l, py);
+        ctx.lineTo(w - pad.r, py);
+        ctx.stroke();
+      }
 
       ctx.globalAlpha = 1;
-      ctx.fillStyle = chartLine;
-      ctx.beginPath();
-      ctx.roundRect(px - 4, py - 4, 8, 8, 3);
-      ctx.fill();
+      for (const line of drawn) {
+        const p = line === hover.line ? hover : pointAsOf(line.data, hover.t);
+        if (!p) continue;
+        ctx.fillStyle = line.color;
+        ctx.beginPath();
+        ctx.roundRect(x(p.t) - 4, y(p.v, line.axis) - 4, 8, 8, 3);
+        ctx.fill();
+      }
+      ctx.restore();
+    }
+
+    // Brush selection while dragging
+    if (brush) {
+      const bx0 = clamp(Math.min(brush.x0, brush.x1), pad.l, w - pad.r);
+      const bx1 = clamp(Math.max(brush.x0, brush.x1), pad.l, w - pad.r);
+      ctx.save();
+      ctx.fillStyle = theme.windowFillBottom;
+      ctx.fillRect(bx0, pad.t, bx1 - bx0, (h - pad.t - pad.b));
+      ctx.strokeStyle = theme.crosshair;
+      ctx.globalAlpha = 0.6;
+      ctx.setLineDash([4, 3]);
+      ctx.strokeRect(bx0 + 0.5, pad.t + 0.5, Math.max(1, bx1 - bx0 - 1), (h - pad.t - pad.b) - 1);
       ctx.restore();
     }
 
     // Header pills
     if (rangeEl) rangeEl.textContent = `${new Date(minT).toISOString().slice(0, 7)} → ${new Date(maxT2).toISOString().slice(0, 7)}`;
     if (latestEl) {
-      const last = data.at(-1);
-      latestEl.textContent = `Latest: ${formatYValue(last.v, axisMeta, "pill")}`;
+      latestEl.textContent = lines.length === 1
+        ? `Latest: ${formatYValue(data.at(-1).v, axes[lines[0].axis], "pill")}`
+        : `Latest: ${drawn.map(l => `${l.label} ${formatLineValue(l, l.data.at(-1).v, "pill")}`).join(" · ")}`;
     }
     if (titleEl) {
-      const t = canvas.getAttribute("data-title");
+      const t = attr("data-title") || opts.title || (lines.length > 1 ? lines.map(l => l.label).join(" vs ") : seriesMeta?.title);
       if (t) titleEl.textContent = t;
     }
+    if (footEl && sidecar) {
+      const parts = [
+        `Source: ${sidecar.source || "FRED"}`,
+        sidecar.frequency,
+        sidecar.seasonalAdjustment,
+        sidecar.lastUpdated ? `updated ${String(sidecar.lastUpdated).slice(0, 10)}` : "",
+      ].filter(Boolean);
+      footEl.textContent = parts.join(" • ");
+      footEl.title = sidecar.units || "";
+    }
   }
 
+  /**
+   * Point nearest the mouse across all lines, tagged with its line.
+   * @param {number} mouseX
+   * @returns {(Point & {line: Object})|null}
+   */
   function nearestPoint(mouseX) {
-    if (!data.length) return null;
-    const w = canvas.getBoundingClientRect().width;
-    const padL = pad.l, padR = pad.r;
+    if (!frame) return null;
+    const { minT, spanT, w } = frame;
 
     // Map mouseX back to t
-    const minT = data[0].t;
-    const maxT = data.at(-1).t;
-    const spanT = (maxT - minT) || 1;
+    const clampedX = Math.max(pad.l, Math.min(w - pad.r, mouseX));
+    const tGuess = minT + ((clampedX - pad.l) / (w - pad.l - pad.r)) * spanT;
+
+    let best = null;
+    for (const line of lines) {
+      const p = nearestByTime(line.data, tGuess);
+      if (p && (!best || Math.abs(p.t - tGuess) < Math.abs(best.t - tGuess))) best = { ...p, line };
+    }
+    return best;
+  }
+
+  // Export: the chart as it stands (transform, window, shown markers and bands) redrawn
+  // off the page, framed with its title, source and date range
+  /** renderWireChart options reproducing this chart on another surface. */
+  const exportOpts = (width, height, dpr) => ({
+    ...opts,
+    root: null,
+    offscreen: true,
+    width,
+    height,
+    dpr,
+    theme,
+    key: "",
+    revisions: undefined,
+    newsDays: undefined,
+    categories: [...shownCategories],
+    bandLayers: [...shownLayers],
+    transform: { ...view },
+    zoom: currentWindow(),
+    deflator: deflator || undefined,
+  });
+
+  /** Title, source and date line for the export frame. */
+  function exportInfo() {
+    const win = currentWindow();
+    const title = titleEl?.textContent.trim() ||
+      attr("data-title") || opts.title || lines.map(l => l.label).join(" vs ");
+    const transform = view.mode === "level" ? "" : TRANSFORMS.find(t => t.id === view.mode)?.label || "";
+    const source = footEl?.textContent.trim() || (sidecar ? `Source: ${sidecar.source || "FRED"}` : "");
+    return {
+      title: [title, transform, view.log ? "log" : ""].filter(Boolean).join(" · "),
+      source,
+      stamp: `${isoDay(win.start)} → ${isoDay(win.end)} · exported ${isoDay(Date.now())}`,
+      background: exportBackground(root instanceof Element ? root : canvas),
+      theme,
+      from: isoDay(win.start),
+      to: isoDay(win.end),
+    };
+  }
+
+  /**
+   * The framed chart on a new canvas, scale device pixels per CSS pixel.
+   * @param {number} [scale]
+   * @returns {HTMLCanvasElement}
+   */
+  function exportCanvas(scale = 1) {
+    const { width, height } = size();
+    const chart = document.createElement("canvas");
+    renderWireChart(chart, series, exportOpts(width, height, scale));
+
+    const out = document.createElement("canvas");
+    out.width = Math.round(width * scale);
+    out.height = Math.round((height + EXPORT_HEAD + EXPORT_FOOT) * scale);
+    const octx = out.getContext("2d");
+    octx.scale(scale, scale);
+    paintExportFrame(octx, { ...exportInfo(), width, height });
+    octx.drawImage(chart, 0, EXPORT_HEAD, width, height);
+    return out;
+  }
+
+  /** The framed chart as a standalone SVG document. */
+  function exportSvg() {
+    const { width, height } = size();
+    const chart = svgSurface(width, height);
+    renderWireChart(chart, series, exportOpts(width, height, 1));
+    const frameSurface = svgSurface(width, height + EXPORT_HEAD + EXPORT_FOOT);
+    paintExportFrame(frameSurface.getContext(), { ...exportInfo(), width, height });
+    return svgDocument(width, height + EXPORT_HEAD + EXPORT_FOOT,
+      `${frameSurface.markup()}<g transform="translate(0 ${EXPORT_HEAD})">${chart.markup()}</g>`);
+  }
+
+  /** The visible range of every line, one row per date, values as drawn (transformed). */
+  function exportCsv() {
+    const cell = (v) => (/[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+    const suffix = view.mode === "level" ? "" : ` (${TRANSFORMS.find(t => t.id === view.mode)?.label || view.mode})`;
+    const rows = new Map();
+    lines.forEach((line, i) => {
+      for (const p of line.data) {
+        if (!rows.has(p.d)) rows.set(p.d, []);
+        rows.get(p.d)[i] = String(Number(p.v.toFixed(6)));
+      }
+    });
+    const header = ["date", ...lines.map(l => l.label + suffix)].map(cell).join(",");
+    const body = [...rows.keys()].sort().map(d => [d, ...lines.map((_, i) => rows.get(d)[i] ?? "")].join(","));
+    return [header, ...body].join("\n") + "\n";
+  }
+
+  /**
+   * Save the chart as <key>_<from>_<to>[@2x].png|svg|csv.
+   * @param {"png"|"svg"|"csv"} format
+   * @param {number} [scale] png only
+   */
+  function exportChart(format, scale = 2) {
+    const info = exportInfo();
+    const slug = String(opts.key || info.title || "chart").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "chart";
+    const name = `${slug}_${info.from}_${info.to}`;
+    if (format === "svg") {
+      downloadBlob(new Blob([exportSvg()], { type: "image/svg+xml" }), `${name}.svg`);
+    } else if (format === "csv") {
+      downloadBlob(new Blob([exportCsv()], { type: "text/csv" }), `${name}.csv`);
+    } else {
+      exportCanvas(scale).toBlob(blob => blob && downloadBlob(blob, `${name}@${scale}x.png`), "image/png");
+    }
+  }
 
-    const clampedX = Math.max(padL, Math.min(w - padR, mouseX));
-    const tGuess = minT + ((clampedX - padL) / (w - padL - padR)) * spanT;
+  if (offscreen) {
+    resize();
+    return;
+  }
 
-    // binary search nearest
-    let lo = 0, hi = data.length - 1;
-    while (lo < hi) {
-      const mid = (lo + hi) >> 1;
-      if (data[mid].t < tGuess) lo = mid + 1;
-      else hi = mid;
+  /** @type {ChartExporter} */
+  const exporter = { canvas: exportCanvas, svg: exportSvg, csv: exportCsv, download: exportChart };
+  chartExports.set(canvas, exporter);
+
+  const exportFoot = root?.querySelector(".chartFoot");
+  if (exportFoot && !solo) {
+    const select = document.createElement("select");
+    select.className = "chartSelect chartExport";
+    select.setAttribute("aria-label", "Export chart");
+    for (const [value, label] of [
+      ["", "export…"],
+      ["png:1", "PNG 1x"],
+      ["png:2", "PNG 2x"],
+      ["png:3", "PNG 3x"],
+      ["svg", "SVG"],
+      ["csv", "CSV (visible range)"],
+    ]) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      select.appendChild(opt);
     }
-    const i = lo;
-    const a = data[Math.max(0, i - 1)];
-    const b = data[i];
-    return (Math.abs(a.t - tGuess) < Math.abs(b.t - tGuess)) ? a : b;
+    select.addEventListener("change", () => {
+      const [format, scale] = select.value.split(":");
+      select.value = "";
+      if (format) exportChart(format, Number(scale) || 2);
+    });
+    exportFoot.appendChild(select);
   }
 
   canvas.addEventListener("mousemove", (e) => {
@@ -629,45 +2128,233 @@ function renderWireChart(canvas, series, opts = {}) {
           const dist = Math.abs(m.t - hover.t);
           if (dist < bestDist) { bestDist = dist; best = m; }
         }
-        return (best && bestDist <= 3 * day) ? best.label : null;
-      })();
-
-      const inSigWindow = (() => {
-        for (const win of sigWins) {
-          if (hover.t >= win.start && hover.t <= win.end) return win.label;
-        }
-        return null;
+        return (best && bestDist <= 3 * day) ? best : null;
       })();
 
-      const sigLabel = nearestSig || inSigWindow;
+      const inSigWindow = sigWins.find(win => hover.t >= win.start && hover.t <= win.end) || null;
+      const marker = nearestSig || inSigWindow;
+
+      const bandLabels = bandWins
+        .filter(b => b.label && hover.t >= b.start && hover.t <= b.end)
+        .map(b => b.label);
+
+      const sigLabel = [marker?.label, ...bandLabels].filter(Boolean).join("  •  ");
+
+      // News links follow the primary line's raw move into the hovered date
+      const raw = lines[0].points;
+      const primary = pointAsOf(raw, hover.t);
+      const prev = primary ? raw[raw.indexOf(primary) - 1] : null;
+      const movePct = prev && prev.v ? ((primary.v - prev.v) / Math.abs(prev.v)) * 100 : 0;
+      const headlines = newsDays[hover.d] || 0;
+      newsDate = headlines && (nearestSig || Math.abs(movePct) >= NEWS_MOVE_PCT) ? hover.d : null;
+      sourceUrl = !newsDate && marker?.source ? marker.source : null;
+      canvas.style.cursor = newsDate || sourceUrl ? "pointer" : "";
+
+      const revisedLabel = showFirstPrint && view.mode === "level" && firstPrints.has(hover.d)
+        ? `first print ${formatLineValue(lines[0], firstPrints.get(hover.d), "tooltip")}`
+        : null;
+
+      // Every line's value as of the hovered date (mixed frequencies carry forward)
+      const values = lines.length === 1
+        ? formatLineValue(lines[0], hover.v, "tooltip")
+        : lines
+          .map(l => {
+            const p = l === hover.line ? hover : pointAsOf(l.data, hover.t);
+            return p ? `${l.label} ${formatLineValue(l, p.v, "tooltip")}` : null;
+          })
+          .filter(Boolean)
+          .join("  •  ");
 
       tip.textContent =
-        `${hover.d}  •  ${formatYValue(hover.v, axisMeta, "tooltip")}` +
-        (sigLabel ? `  •  ${sigLabel}` : "");
+        `${hover.d}  •  ${values}` +
+        (revisedLabel ? `  •  ${revisedLabel}` : "") +
+        (sigLabel ? `  •  ${sigLabel}` : "") +
+        (newsDate ? `  •  ${headlines} headlines (click)` : "") +
+        (sourceUrl ? `  •  source: ${new URL(sourceUrl).hostname.replace(/^www\./, "")} (click)` : "");
+    }
+  });
+
+  // Zoom and pan: drag selects a window, shift-drag pans, two fingers pinch (and pan),
+  // ctrl/⌘-wheel zooms around the pointer (trackpad pinches arrive that way; a plain
+  // wheel keeps scrolling the page), double-click resets. Pointer events cover touch.
+  const pointers = new Map(); // pointerId -> x in CSS px
+  let suppressClick = false;
+  canvas.style.touchAction = "pan-y";
+
+  /** Time under a canvas x, clamped to the plot. */
+  const tAt = (px) => frame.minT + ((clamp(px, pad.l, frame.w - pad.r) - pad.l) / (frame.w - pad.l - pad.r)) * frame.spanT;
+  const pointerX = (e) => e.clientX - canvas.getBoundingClientRect().left;
+
+  canvas.addEventListener("pointerdown", (e) => {
+    if (!frame || (e.pointerType === "mouse" && e.button !== 0)) return;
+    suppressClick = false;
+    pointers.set(e.pointerId, pointerX(e));
+    canvas.setPointerCapture(e.pointerId);
+    if (pointers.size === 2) {
+      const [a, b] = [...pointers.values()];
+      drag = { kind: "pinch", dist: Math.abs(a - b) || 1, t: tAt((a + b) / 2), win: currentWindow() };
+      brush = null;
+    } else if (pointers.size === 1) {
+      drag = e.shiftKey
+        ? { kind: "pan", x: pointerX(e), win: currentWindow() }
+        : { kind: "brush", x: pointerX(e) };
+    }
+  });
+
+  canvas.addEventListener("pointermove", (e) => {
+    if (!drag || !pointers.has(e.pointerId)) return;
+    pointers.set(e.pointerId, pointerX(e));
+    const plotW = frame.w - pad.l - pad.r;
+    if (drag.kind === "brush") {
+      brush = { x0: drag.x, x1: pointerX(e) };
+      draw();
+    } else if (drag.kind === "pan") {
+      const dt = -((pointerX(e) - drag.x) / plotW) * (drag.win.end - drag.win.start);
+      setZoom({ start: drag.win.start + dt, end: drag.win.end + dt }, false);
+    } else if (pointers.size === 2) {
+      // Keep the time first pinched under the fingers' midpoint
+      const [a, b] = [...pointers.values()];
+      const span = ((drag.win.end - drag.win.start) * drag.dist) / (Math.abs(a - b) || 1);
+      const start = drag.t - (((a + b) / 2 - pad.l) / plotW) * span;
+      setZoom({ start, end: start + span }, false);
     }
   });
 
+  const endDrag = (e) => {
+    if (!pointers.delete(e.pointerId) || !drag) return;
+    const done = drag;
+    drag = null;
+    if (done.kind === "brush") {
+      const picked = brush && Math.abs(brush.x1 - brush.x0) >= 6 ? [tAt(brush.x0), tAt(brush.x1)].sort((a, b) => a - b) : null;
+      brush = null;
+      if (picked) {
+        suppressClick = true;
+        setZoom({ start: picked[0], end: picked[1] });
+      } else {
+        draw();
+      }
+    } else {
+      suppressClick = true;
+      persistZoom();
+    }
+  };
+  canvas.addEventListener("pointerup", endDrag);
+  canvas.addEventListener("pointercancel", endDrag);
+
+  canvas.addEventListener("wheel", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || !frame) return;
+    e.preventDefault();
+    const win = currentWindow();
+    const t = tAt(pointerX(e));
+    const factor = Math.exp(clamp(e.deltaY, -100, 100) * 0.005);
+    setZoom({ start: t - (t - win.start) * factor, end: t + (win.end - t) * factor });
+  }, { passive: false });
+
+  canvas.addEventListener("dblclick", () => {
+    if (zoom) setZoom(null);
+  });
+
+  canvas.addEventListener("click", () => {
+    if (suppressClick) {
+      suppressClick = false;
+      return;
+    }
+    if (sourceUrl) {
+      window.open(sourceUrl, "_blank", "noopener");
+      return;
+    }
+    if (!newsDate) return;
+    const url = new URL("markets.html", document.baseURI);
+    url.hash = `news=${newsDate}`;
+    window.open(url.toString(), "_blank", "noopener");
+  });
+
   canvas.addEventListener("mouseleave", () => {
     hover = null;
+    newsDate = null;
+    sourceUrl = null;
+    canvas.style.cursor = "";
     if (tip) tip.classList.remove("is-on");
     draw();
   });
 
   window.addEventListener("resize", resize, { passive: true });
   resize();
+  return exporter;
 }
 
+/**
+ * Comma-separated attribute as a trimmed list ("a.csv, b.csv" -> ["a.csv", "b.csv"]).
+ * @param {Element} el
+ * @param {string} name
+ * @returns {string[]}
+ */
+function attrList(el, name) {
+  return String(el.getAttribute(name) || "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Render every canvas.wireChart with data-csv or data-series. Either may list several
+ * files/IDs to overlay them; data-axis ("left,right") picks each line's axis. Solo
+ * canvases (data-mode="solo") skip the revisions and news lookups they don't show.
+ * data-optional charts a file only once the manifest lists it; until then the card
+ * is hidden and nothing is requested (e.g. a history the workflow hasn't written yet).
+ * Each chart's transform (?tx=) and zoom window (?zoom=) are kept in the URL under its
+ * id, else its series list.
+ */
 async function initWireCharts() {
-  const canvases = Array.from(document.querySelectorAll("canvas.wireChart[data-csv]"));
+  const canvases = Array.from(document.querySelectorAll("canvas.wireChart[data-csv], canvas.wireChart[data-series]"));
   if (!canvases.length) return;
 
+  const registry = window.SeriesRegistry || null;
+  const keyCounts = new Map();
+
   await Promise.all(canvases.map(async (canvas) => {
-    const csvPath = canvas.getAttribute("data-csv");
-    if (!csvPath) return;
+    const ids = attrList(canvas, "data-series");
+    const csvs = attrList(canvas, "data-csv");
+    // ?tx= key: the series list, suffixed when the same series is charted twice on a page
+    const baseKey = canvas.id || (ids.length ? ids : csvs.map(c => c.split("/").pop().replace(/\.csv$/, ""))).join("+");
+    const n = (keyCounts.get(baseKey) || 0) + 1;
+    keyCounts.set(baseKey, n);
+    const key = n > 1 ? `${baseKey}~${n}` : baseKey;
+    const axisList = attrList(canvas, "data-axis");
+    const count = Math.max(ids.length, csvs.length);
+    if (!count) return;
+    const solo = canvas.getAttribute("data-mode") === "solo";
+    const csvPaths = Array.from({ length: count }, (_, i) => csvs[i] || `data/${ids[i]}.csv`);
+
+    if (canvas.hasAttribute("data-optional")) {
+      const infos = await Promise.all(csvPaths.map(p => window.LMData.fileInfo(p)));
+      if (!infos.every(Boolean)) {
+        (canvas.closest(".chartCard") || canvas).hidden = true;
+        return;
+      }
+    }
 
     try {
-      const series = await loadSeries(csvPath);
-      renderWireChart(canvas, series, { root: canvas.closest(".chartCard") || document });
+      const lines = await Promise.all(Array.from({ length: count }, async (_, i) => {
+        const csvPath = csvPaths[i];
+        const meta = registry ? await registry.describe(ids[i] || csvPath) : null;
+        const points = await loadSeries(csvPath);
+        const label = meta?.title || ids[i] || csvPath.split("/").pop().replace(/\.csv$/, "");
+        return { points, meta, label, axis: axisList[i] };
+      }));
+      const [revisions, newsDays, events, bands] = await Promise.all([
+        solo || count > 1 ? null : loadRevisions(lines[0].meta?.id || ids[0]),
+        solo ? null : loadNewsDays(),
+        loadEvents(),
+        loadBands(),
+      ]);
+      renderWireChart(canvas, count > 1 ? lines : lines[0].points, {
+        root: canvas.closest(".chartCard") || document,
+        meta: lines[0].meta,
+        mode: solo ? "solo" : "dashboard",
+        key,
+        events,
+        bands,
+        revisions: revisions || undefined,
+        newsDays: newsDays || undefined,
+      });
     } catch (err) {
       const root = canvas.closest(".chartCard") || document;
       const tip = root.querySelector(".chartTip");
@@ -682,7 +2369,12 @@ async function initWireCharts() {
 }
 
 window.initWireCharts = initWireCharts;
+window.renderWireChart = renderWireChart;
+window.exportChartGrid = exportChartGrid;
 
-document.addEventListener("DOMContentLoaded", () => {
-  initWireCharts();
-});
+// No document in a worker (or a test's vm context): renderWireChart + svgSurface only
+if (typeof document !== "undefined") {
+  document.addEventListener("DOMContentLoaded", () => {
+    initWireCharts();
+  });
+}
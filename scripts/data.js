@@ -0,0 +1,411 @@
+/**
+ * data.js
+ * One place to load and parse the site's data files:
+ * - parseCsv / parseSeries: the only CSV parsers (header or not, CRLF, BOM,
+ *   FRED "." for missing, market files charted by their close column)
+ * - text / json / csv / series / latest: fetch through one memo per page, so a file
+ *   requested by five widgets is fetched once and concurrent requests share it
+ * - paths resolve against document.baseURI (leading "/" stripped) so the site works
+ *   from a GitHub Pages subpath
+ * - data/manifest.json (scripts/build-manifest.mjs) is read first, revalidated on
+ *   every page load; files it lists are requested as file?h=<hash> with normal HTTP
+ *   caching, so a workflow commit is visible as soon as the manifest changes
+ * - IndexedDB keeps the last copy of every file with its content hash: when that
+ *   matches the manifest, no request is made; when the network fails, the last copy
+ *   is served (sw.js keeps its own HTTP-level copy for the installable pages)
+ *
+ * Loaded by pages as window.LMData and imported by the Node scripts (CommonJS default
+ * export) for the parsers only; fetching is browser-only.
+ * Hashes are the first 16 hex chars of the file's SHA-256.
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.LMData = api;
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  /**
+   * @typedef {{ t: number, v: number, d: string }} Point
+   * @typedef {{header: string[], rows: string[][]}} Csv
+   */
+
+  const MANIFEST_PATH = "data/manifest.json";
+  const DB_NAME = "lm-data";
+  const DB_STORE = "files";
+  const HASH_LENGTH = 16;
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}/;
+
+  // --- Parsing (shared with Node) ---
+
+  /**
+   * Split one CSV line. Handles double-quoted fields ("a,b" and "" escapes).
+   * @param {string} line
+   * @returns {string[]}
+   */
+  function splitCsvLine(line) {
+    if (!line.includes("\"")) return line.split(",").map((s) => s.trim());
+    const out = [];
+    let cur = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === "\"" && line[i + 1] === "\"") {
+          cur += "\"";
+          i++;
+        } else if (ch === "\"") {
+          quoted = false;
+        } else {
+          cur += ch;
+        }
+      } else if (ch === "\"") {
+        quoted = true;
+      } else if (ch === ",") {
+        out.push(cur.trim());
+        cur = "";
+      } else {
+        cur += ch;
+      }
+    }
+    out.push(cur.trim());
+    return out;
+  }
+
+  /**
+   * Parse CSV text into a lowercased header and trimmed rows. A file whose first
+   * cell is already a date has no header (header is []).
+   * @param {string} text
+   * @returns {Csv}
+   */
+  function parseCsv(text) {
+    const lines = String(text || "")
+      .replace(/^\uFEFF/, "")
+      .split(/\r?\n/)
+      .filter((line) => line.trim());
+    if (!lines.length) return { header: [], rows: [] };
+
+    const first = splitCsvLine(lines[0]);
+    const hasHeader = !DATE_RE.test(first[0] || "");
+    return {
+      header: hasHeader ? first.map((h) => h.toLowerCase()) : [],
+      rows: lines.slice(hasHeader ? 1 : 0).map(splitCsvLine),
+    };
+  }
+
+  /**
+   * Column holding the values: opts.column if named, else "close" (market files),
+   * else "value", else the second column (FRED's DATE,<ID>).
+   * @param {string[]} header
+   * @param {string} [column]
+   * @returns {number}
+   */
+  function valueColumn(header, column) {
+    for (const name of [column, "close", "value"]) {
+      const idx = name ? header.indexOf(String(name).toLowerCase()) : -1;
+      if (idx > 0) return idx;
+    }
+    return 1;
+  }
+
+  /**
+   * True for cells that mean "no observation": blank, FRED's ".", NaN.
+   * @param {string} raw
+   * @returns {boolean}
+   */
+  function isMissing(raw) {
+    return raw == null || raw === "" || raw === "." || !Number.isFinite(Number(raw));
+  }
+
+  /**
+   * Date/value points sorted by time, missing values dropped.
+   * @param {string} text
+   * @param {{column?: string}} [opts]
+   * @returns {Point[]}
+   */
+  function parseSeries(text, opts = {}) {
+    const { header, rows } = parseCsv(text);
+    const idx = valueColumn(header, opts.column);
+    const out = [];
+    for (const row of rows) {
+      const d = row[0];
+      const raw = row[idx];
+      if (!d || isMissing(raw)) continue;
+      const t = Date.parse(d);
+      if (!Number.isFinite(t)) continue;
+      out.push({ t, v: Number(raw), d });
+    }
+    out.sort((a, b) => a.t - b.t);
+    return out;
+  }
+
+  /**
+   * date -> raw value cell, missing markers included, for writers that round-trip a
+   * file (the FRED fetcher keeps "." so it can tell a late print from a revision).
+   * @param {string} text
+   * @param {{column?: string}} [opts]
+   * @returns {Map<string, string>}
+   */
+  function parseSeriesMap(text, opts = {}) {
+    const { header, rows } = parseCsv(text);
+    const idx = valueColumn(header, opts.column);
+    const map = new Map();
+    for (const row of rows) {
+      if (row[0]) map.set(row[0], row[idx] ?? "");
+    }
+    return map;
+  }
+
+  // --- Fetching (browser) ---
+
+  /** @type {Map<string, Promise<string>>} */
+  const memo = new Map();
+
+  /** @type {Map<string, string>} */
+  const hashes = new Map();
+
+  /** @type {Promise<Map<string, Object>|null>|null} */
+  let manifestPromise = null;
+
+  /** @type {Promise<IDBDatabase|null>|null} */
+  let dbPromise = null;
+
+  /**
+   * Resolve a data path relative to document.baseURI so GitHub Pages subpaths work.
+   * @param {string} path
+   * @returns {URL}
+   */
+  function resolveUrl(path) {
+    const rel = (typeof path === "string" && path.startsWith("/")) ? path.slice(1) : path;
+    return new URL(rel, document.baseURI);
+  }
+
+  /** Cache key for a path: resolved URL without query or hash. */
+  function fileKey(path) {
+    const url = resolveUrl(path);
+    return `${url.origin}${url.pathname}`;
+  }
+
+  /**
+   * Register content hashes (path -> hash), e.g. from a manifest. Files whose stored
+   * copy has the same hash are served from IndexedDB; the hash also versions the URL.
+   * @param {Object<string, string>} map
+   */
+  function setHashes(map) {
+    for (const [path, hash] of Object.entries(map || {})) {
+      if (hash) hashes.set(fileKey(path), String(hash));
+    }
+  }
+
+  /**
+   * Load the manifest once per page (until refresh()) and register its hashes.
+   * Missing or unreadable manifest -> null; loaders fall back to day cache-busting.
+   * @returns {Promise<Map<string, Object>|null>} file key -> manifest entry
+   */
+  function loadManifest() {
+    if (!manifestPromise) {
+      manifestPromise = (async () => {
+        const res = await fetch(resolveUrl(MANIFEST_PATH).toString(), { cache: "no-cache" });
+        if (!res.ok) return null;
+        const files = (await res.json())?.files || {};
+        setHashes(Object.fromEntries(Object.entries(files).map(([p, f]) => [p, f?.hash])));
+        return new Map(Object.entries(files).map(([p, f]) => [fileKey(p), f]));
+      })().catch(() => null);
+    }
+    return manifestPromise;
+  }
+
+  /**
+   * Manifest entry for a file: {hash, bytes, rows, first, last, updated}, or null.
+   * @param {string} path
+   * @returns {Promise<Object|null>}
+   */
+  async function fileInfo(path) {
+    const files = await loadManifest();
+    return files?.get(fileKey(path)) || null;
+  }
+
+  /**
+   * Whether a file is worth requesting: listed in the manifest, or no manifest to ask.
+   * Optional files (sidecars, revisions, the news index) check this first so a page
+   * load doesn't fire uncached 404s for files that were never written.
+   * @param {string} path
+   * @returns {Promise<boolean>}
+   */
+  async function isListed(path) {
+    const files = await loadManifest();
+    return !files || files.has(fileKey(path));
+  }
+
+  /**
+   * Forget fetched files and the manifest, so the next request sees new commits
+   * (the markets heatmap Refresh button).
+   */
+  function refresh() {
+    memo.clear();
+    manifestPromise = null;
+  }
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === "undefined") return resolve(null);
+        try {
+          const req = indexedDB.open(DB_NAME, 1);
+          req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE, { keyPath: "path" });
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => resolve(null);
+          req.onblocked = () => resolve(null);
+        } catch {
+          resolve(null); // private mode / disabled storage
+        }
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<{path:string, hash:string, text:string, savedAt:number}|null>}
+   */
+  async function idbGet(key) {
+    const db = await openDb();
+    if (!db) return null;
+    return new Promise((resolve) => {
+      try {
+        const req = db.transaction(DB_STORE, "readonly").objectStore(DB_STORE).get(key);
+        req.onsuccess = () => resolve(req.result || null);
+        req.onerror = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+  }
+
+  async function idbPut(record) {
+    const db = await openDb();
+    if (!db) return;
+    try {
+      db.transaction(DB_STORE, "readwrite").objectStore(DB_STORE).put(record);
+    } catch {
+      // quota or closed database: the network copy is still returned
+    }
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Promise<string>}
+   */
+  async function contentHash(text) {
+    if (typeof crypto !== "undefined" && crypto.subtle) {
+      const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+      return Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("").slice(0, HASH_LENGTH);
+    }
+    return "";
+  }
+
+  /**
+   * Fetch a file as text, once per page. Files in the manifest are versioned by hash;
+   * anything else (or everything, without a manifest) is cache-busted by day.
+   * @param {string} path
+   * @returns {Promise<string>} rejects with err.status set for HTTP errors
+   */
+  function fetchText(path) {
+    const key = fileKey(path);
+    if (memo.has(key)) return memo.get(key);
+
+    const p = (async () => {
+      await loadManifest();
+      const known = hashes.get(key) || "";
+      if (known) {
+        const stored = await idbGet(key);
+        if (stored && stored.hash === known) return stored.text;
+      }
+
+      const url = resolveUrl(path);
+      if (known) url.searchParams.set("h", known);
+      else url.searchParams.set("v", new Date().toISOString().slice(0, 10));
+
+      let text;
+      try {
+        const res = await fetch(url.toString(), { cache: known ? "default" : "no-store" });
+        if (!res.ok) {
+          const err = new Error(`${path}: HTTP ${res.status}`);
+          err.status = res.status;
+          throw err;
+        }
+        text = await res.text();
+      } catch (err) {
+        // Offline or flaky network: fall back to the last copy. A real 404 is not retried.
+        const stored = err?.status ? null : await idbGet(key);
+        if (stored) return stored.text;
+        throw err;
+      }
+
+      // Store the hash of what actually arrived: a file edited by hand since the last
+      // manifest build never matches and is re-fetched until the manifest catches up.
+      idbPut({ path: key, hash: await contentHash(text), text, savedAt: Date.now() });
+      return text;
+    })();
+
+    memo.set(key, p);
+    p.catch(() => memo.delete(key));
+    return p;
+  }
+
+  /**
+   * @param {string} path
+   * @returns {Promise<any>}
+   */
+  async function fetchJson(path) {
+    return JSON.parse(await fetchText(path));
+  }
+
+  /**
+   * @param {string} path
+   * @returns {Promise<Csv>}
+   */
+  async function fetchCsv(path) {
+    return parseCsv(await fetchText(path));
+  }
+
+  /**
+   * @param {string} path
+   * @param {{column?: string}} [opts]
+   * @returns {Promise<Point[]>}
+   */
+  async function fetchSeries(path, opts) {
+    return parseSeries(await fetchText(path), opts);
+  }
+
+  /**
+   * Latest observation of a series, or null when the file is missing or empty.
+   * @param {string} path
+   * @returns {Promise<{date:string, value:number}|null>}
+   */
+  async function fetchLatest(path) {
+    try {
+      const last = (await fetchSeries(path)).at(-1);
+      return last ? { date: last.d, value: last.v } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    parseCsv,
+    parseSeries,
+    parseSeriesMap,
+    isMissing,
+    resolveUrl,
+    setHashes,
+    manifest: loadManifest,
+    fileInfo,
+    listed: isListed,
+    refresh,
+    text: fetchText,
+    json: fetchJson,
+    csv: fetchCsv,
+    series: fetchSeries,
+    latest: fetchLatest,
+  };
+});
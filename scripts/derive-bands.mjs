@@ -0,0 +1,153 @@
+/**
+ * Band layers for the wire charts (recession shading, presidential terms, ...).
+ * /data/regimes.json declares the layers; each one either lists its bands by hand
+ *
+ *   { "id": "fed-hikes", "label": "Fed hiking cycles", "bands": [{ "start": "2022-03-16", "end": "2023-07-26", "label": "..." }] }
+ *
+ * or derives them from a 0/1 indicator series already in /data (the series needs a
+ * registry entry so fetch-fred-csv.mjs pulls it):
+ *
+ *   { "id": "recession", "label": "Recessions (NBER)", "from": { "series": "USREC", "label": "Recession" } }
+ *
+ * The committed layers are all listed by hand; the recession layer follows the NBER
+ * chronology with the same convention as USREC would give.
+ *
+ * - A derived band runs from the first period flagged 1 through the end of the last one
+ *   (USREC: the month after the NBER peak through the trough month).
+ * - from.label names derived bands ("2008–09 Recession"); from.names overrides by start date.
+ * - A band without end is ongoing.
+ * - Writes /data/bands.json, the resolved layers scripts/chart.js loads. A derived layer
+ *   whose series is missing keeps the bands from the previous bands.json.
+ *
+ * Run standalone to rebuild bands.json from what is already in /data:
+ *   node scripts/derive-bands.mjs
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import LMData from "./data.js";
+
+/**
+ * @typedef {{start: string, end?: string, label: string, color?: string}} Band
+ * @typedef {{id: string, label: string, color?: string, default?: boolean, source?: string, bands: Band[]}} BandLayer
+ */
+
+/**
+ * Read a JSON file, or null if it is missing or unreadable.
+ */
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Day before the period after `date` (monthly: last day of the month; quarterly: of the quarter).
+ * @param {string} date YYYY-MM-DD
+ * @param {number} months period length
+ */
+function periodEnd(date, months) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + months, 0);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * "2008–09 Recession", "2001 Recession", "1999–2000 Recession"
+ */
+function spanLabel(start, end, noun) {
+  const y0 = start.slice(0, 4);
+  const y1 = end.slice(0, 4);
+  if (y0 === y1) return `${y0} ${noun}`;
+  const tail = y0.slice(0, 2) === y1.slice(0, 2) ? y1.slice(2) : y1;
+  return `${y0}–${tail} ${noun}`;
+}
+
+/**
+ * Runs of 1s in an indicator series, as bands.
+ * @param {{d: string, v: number}[]} points ascending
+ * @param {{label?: string, names?: Object<string, string>}} from
+ * @returns {Band[]}
+ */
+function indicatorBands(points, from) {
+  const months = points.length > 1
+    ? Math.max(1, Math.round((Date.parse(points[1].d) - Date.parse(points[0].d)) / (30.44 * 24 * 60 * 60 * 1000)))
+    : 1;
+  const noun = from.label || "Band";
+  const bands = [];
+  let start = null;
+  for (let i = 0; i <= points.length; i++) {
+    const on = i < points.length && points[i].v >= 0.5;
+    if (on && start == null) start = points[i].d;
+    if (!on && start != null) {
+      const end = periodEnd(points[i - 1].d, months);
+      const band = { start, end, label: from.names?.[start] || spanLabel(start, end, noun) };
+      // Still flagged in the latest period: ongoing.
+      if (i === points.length) delete band.end;
+      bands.push(band);
+      start = null;
+    }
+  }
+  return bands;
+}
+
+/**
+ * Resolve every layer in regimes.json and write bands.json.
+ * @param {{dataDir: string}} opts
+ * @returns {Promise<BandLayer[]>}
+ */
+export async function runBandDerivations({ dataDir }) {
+  const regimes = await readJson(path.join(dataDir, "regimes.json"));
+  const declared = Array.isArray(regimes?.layers) ? regimes.layers.filter(l => l && typeof l.id === "string") : [];
+  if (!declared.length) {
+    console.log("Bands skipped (no layers in regimes.json)");
+    return [];
+  }
+
+  const outPath = path.join(dataDir, "bands.json");
+  const previous = await readJson(outPath);
+  const previousBands = new Map((previous?.layers || []).map(l => [l.id, l.bands || []]));
+
+  const layers = [];
+  for (const { from, bands, ...layer } of declared) {
+    let resolved = Array.isArray(bands) ? bands : [];
+    if (from?.series) {
+      let text = "";
+      try {
+        text = await fs.readFile(path.join(dataDir, `${from.series}.csv`), "utf8");
+      } catch {
+        // Not fetched yet: keep what we had.
+      }
+      const points = LMData.parseSeries(text);
+      if (points.length) {
+        resolved = indicatorBands(points, from);
+        console.log(`Bands: ${layer.id} (${resolved.length} bands) from ${from.series}`);
+      } else {
+        resolved = previousBands.get(layer.id) || [];
+        console.log(`Bands: ${layer.id} kept ${resolved.length} bands (missing ${from.series})`);
+      }
+    }
+    layers.push({ ...layer, bands: resolved });
+  }
+
+  const text = JSON.stringify({ version: 1, layers }, null, 2) + "\n";
+  if (JSON.stringify(previous?.layers) !== JSON.stringify(layers)) {
+    await fs.writeFile(outPath, text, "utf8");
+    console.log(`Wrote ${outPath}: ${layers.length} layers`);
+  }
+  return layers;
+}
+
+async function main() {
+  await runBandDerivations({ dataDir: "data" });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
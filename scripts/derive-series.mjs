@@ -0,0 +1,351 @@
+/**
+ * Derived series engine.
+ * Registry entries with source "derived" carry a `derive` block:
+ *
+ *   { "expr": "ratio(MSPUS, MEHOINUSA646N)", "align": "asof" }
+ *
+ * - expr is a small call expression over series ids and numbers, nestable:
+ *     ratio(a, b)            a / b (scales applied, result is unitless)
+ *     difference(a, b)       a - b
+ *     yoy(a)                 % change vs. the same date one year earlier
+ *     mom_annualized(a)      period-over-period % change, compounded to a year
+ *     rolling_mean(a, n)     trailing mean of n observations
+ *     real(a)                a deflated by CPIAUCSL, in latest-month dollars
+ *     per_capita(a, pop)     a / pop (scales applied, e.g. dollars per person)
+ * - Two-input ops align to the coarser input's dates. align "asof" takes the other
+ *   input's last value on/before each date; "period_mean" averages it over the period.
+ * - Writes /data/<ID>.csv and /data/<ID>.meta.json like any fetched series.
+ *
+ * Run standalone to rebuild derived CSVs from what is already in /data:
+ *   node scripts/derive-series.mjs
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import LMData from "./data.js";
+
+const DEFLATOR_ID = "CPIAUCSL";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {{date: string, value: number}} Obs
+ * @typedef {{points: Obs[], scale: number}} Evaluated
+ */
+
+/**
+ * Read series CSV into sorted array
+ */
+async function readSeriesCsv(filePath) {
+  let text = "";
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch {
+    return [];
+  }
+  return LMData.parseSeries(text).map(p => ({ date: p.d, value: p.v }));
+}
+
+/**
+ * Find latest value as-of target date
+ */
+function asOf(series, targetDate) {
+  let lo = 0, hi = series.length - 1, best = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (series[mid].date <= targetDate) {
+      best = series[mid].value;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return best;
+}
+
+/**
+ * Mean of observations with start <= date < end.
+ */
+function meanBetween(series, start, end) {
+  let sum = 0, n = 0;
+  for (const o of series) {
+    if (o.date < start) continue;
+    if (o.date >= end) break;
+    sum += o.value;
+    n++;
+  }
+  return n ? sum / n : null;
+}
+
+/**
+ * Median spacing between observations, in days.
+ */
+function medianGapDays(points) {
+  if (points.length < 2) return Infinity;
+  const gaps = [];
+  for (let i = 1; i < points.length; i++) {
+    gaps.push((Date.parse(points[i].date) - Date.parse(points[i - 1].date)) / DAY_MS);
+  }
+  gaps.sort((a, b) => a - b);
+  return gaps[gaps.length >> 1];
+}
+
+/**
+ * Tokenize + parse an expression like "rolling_mean(yoy(CPIAUCSL), 3)".
+ * @returns {{type:"call", name:string, args:any[]}|{type:"series", id:string}|{type:"number", value:number}}
+ */
+function parseExpr(src) {
+  const tokens = String(src).match(/[A-Za-z_][A-Za-z0-9_]*|-?\d+(?:\.\d+)?|[(),]/g) || [];
+  let i = 0;
+
+  const node = () => {
+    const tok = tokens[i++];
+    if (tok == null) throw new Error(`Unexpected end of expression: ${src}`);
+    if (/^-?\d/.test(tok)) return { type: "number", value: Number(tok) };
+    if (tokens[i] !== "(") return { type: "series", id: tok.toUpperCase() };
+
+    i++; // (
+    const args = [];
+    while (tokens[i] !== ")") {
+      args.push(node());
+      if (tokens[i] === ",") i++;
+      else if (tokens[i] !== ")") throw new Error(`Expected , or ) in expression: ${src}`);
+    }
+    i++; // )
+    return { type: "call", name: tok.toLowerCase(), args };
+  };
+
+  const root = node();
+  if (i !== tokens.length) throw new Error(`Trailing tokens in expression: ${src}`);
+  return root;
+}
+
+/**
+ * Align b onto a's dates (or a onto b's, whichever is coarser) and combine.
+ * @param {Evaluated} a
+ * @param {Evaluated} b
+ * @param {"asof"|"period_mean"} method
+ * @param {(av:number, bv:number) => number} fn
+ * @returns {Obs[]}
+ */
+function combineAligned(a, b, method, fn) {
+  const aIsBase = medianGapDays(a.points) >= medianGapDays(b.points);
+  const base = aIsBase ? a.points : b.points;
+  const other = aIsBase ? b.points : a.points;
+  if (!base.length || !other.length) return [];
+
+  const out = [];
+  for (let i = 0; i < base.length; i++) {
+    const { date } = base[i];
+    let ov;
+    if (method === "period_mean") {
+      const next = base[i + 1]?.date;
+      const end = next || new Date(2 * Date.parse(date) - Date.parse(base[i - 1]?.date ?? date)).toISOString().slice(0, 10);
+      ov = meanBetween(other, date, end);
+    } else {
+      ov = asOf(other, date);
+    }
+    if (!Number.isFinite(ov)) continue;
+
+    const value = aIsBase ? fn(base[i].value, ov) : fn(ov, base[i].value);
+    if (Number.isFinite(value)) out.push({ date, value });
+  }
+  return out;
+}
+
+/**
+ * Evaluate a parsed expression against series on disk.
+ * @param {any} node
+ * @param {{align: "asof"|"period_mean", load: (id:string) => Promise<Evaluated>}} ctx
+ * @returns {Promise<Evaluated>}
+ */
+async function evaluate(node, ctx) {
+  if (node.type === "series") return ctx.load(node.id);
+  if (node.type === "number") throw new Error("A bare number is only valid as an op argument");
+
+  const [first, second] = node.args;
+  const needSeries = (n) => {
+    if (!n || n.type === "number") throw new Error(`${node.name}() expects a series argument`);
+    return evaluate(n, ctx);
+  };
+
+  switch (node.name) {
+    case "ratio": {
+      const [a, b] = await Promise.all([needSeries(first), needSeries(second)]);
+      return {
+        points: combineAligned(a, b, ctx.align, (av, bv) => (bv === 0 ? NaN : (av * a.scale) / (bv * b.scale))),
+        scale: 1,
+      };
+    }
+    case "per_capita": {
+      const [a, pop] = await Promise.all([needSeries(first), needSeries(second)]);
+      return {
+        points: combineAligned(a, pop, ctx.align, (av, pv) => (pv === 0 ? NaN : (av * a.scale) / (pv * pop.scale))),
+        scale: 1,
+      };
+    }
+    case "difference": {
+      const [a, b] = await Promise.all([needSeries(first), needSeries(second)]);
+      return {
+        points: combineAligned(a, b, ctx.align, (av, bv) => (av * a.scale - bv * b.scale) / a.scale),
+        scale: a.scale,
+      };
+    }
+    case "real": {
+      const [a, cpi] = await Promise.all([needSeries(first), ctx.load(DEFLATOR_ID)]);
+      const latestCpi = cpi.points.at(-1)?.value;
+      if (!Number.isFinite(latestCpi)) return { points: [], scale: a.scale };
+      return {
+        points: combineAligned(a, cpi, ctx.align, (av, cv) => (cv === 0 ? NaN : av * (latestCpi / cv))),
+        scale: a.scale,
+      };
+    }
+    case "yoy": {
+      const a = await needSeries(first);
+      const byDate = new Map(a.points.map(o => [o.date, o.value]));
+      const points = [];
+      for (const o of a.points) {
+        const prev = byDate.get(`${Number(o.date.slice(0, 4)) - 1}${o.date.slice(4)}`);
+        if (Number.isFinite(prev) && prev !== 0) points.push({ date: o.date, value: (o.value / prev - 1) * 100 });
+      }
+      return { points, scale: 1 };
+    }
+    case "mom_annualized": {
+      const a = await needSeries(first);
+      const periodsPerYear = Math.max(1, Math.round(365.25 / medianGapDays(a.points)));
+      const points = [];
+      for (let i = 1; i < a.points.length; i++) {
+        const prev = a.points[i - 1].value;
+        if (prev <= 0 || a.points[i].value <= 0) continue;
+        points.push({ date: a.points[i].date, value: ((a.points[i].value / prev) ** periodsPerYear - 1) * 100 });
+      }
+      return { points, scale: 1 };
+    }
+    case "rolling_mean": {
+      const a = await needSeries(first);
+      const n = second?.type === "number" ? Math.max(1, Math.round(second.value)) : 3;
+      const points = [];
+      let sum = 0;
+      for (let i = 0; i < a.points.length; i++) {
+        sum += a.points[i].value;
+        if (i >= n) sum -= a.points[i - n].value;
+        if (i >= n - 1) points.push({ date: a.points[i].date, value: sum / n });
+      }
+      return { points, scale: a.scale };
+    }
+    default:
+      throw new Error(`Unknown derive op: ${node.name}`);
+  }
+}
+
+/**
+ * Series ids referenced by an expression (plus the deflator for real()).
+ */
+function inputsOf(node, out = new Set()) {
+  if (node.type === "series") out.add(node.id);
+  if (node.type === "call") {
+    if (node.name === "real") out.add(DEFLATOR_ID);
+    node.args.forEach(a => inputsOf(a, out));
+  }
+  return out;
+}
+
+/**
+ * Sidecar for a derived series, built from its registry entry and the rows written.
+ */
+function derivedMetaSidecar(entry, points) {
+  return {
+    id: entry.id,
+    title: entry.title,
+    source: "Derived",
+    units: entry.units,
+    unitsShort: entry.units,
+    frequency: entry.frequency.charAt(0).toUpperCase() + entry.frequency.slice(1),
+    frequencyShort: entry.frequency.charAt(0).toUpperCase(),
+    seasonalAdjustment: "Not Applicable",
+    seasonalAdjustmentShort: "NA",
+    observationStart: points[0]?.date ?? null,
+    observationEnd: points.at(-1)?.date ?? null,
+    lastUpdated: null,
+    notes: entry.derive?.notes || `Derived: ${entry.derive?.expr}`,
+    registryTitle: entry.title,
+  };
+}
+
+const formatNumber = (v) => String(Number(v.toFixed(6)));
+
+/**
+ * Compute every derived registry entry from CSVs in dataDir and write CSV + sidecar.
+ * Entries whose inputs are missing are skipped, not fatal.
+ * @param {{dataDir: string, registry: Array<Object>}} opts
+ * @returns {Promise<Array<{id:string, rows:number}>>}
+ */
+export async function runDerivations({ dataDir, registry }) {
+  const byId = new Map(registry.map(s => [s.id.toUpperCase(), s]));
+  const cache = new Map();
+
+  const load = (id) => {
+    if (!cache.has(id)) {
+      cache.set(id, readSeriesCsv(path.join(dataDir, `${id}.csv`)).then(points => ({
+        points,
+        scale: Number(byId.get(id)?.scale) || 1,
+      })));
+    }
+    return cache.get(id);
+  };
+
+  const written = [];
+  for (const entry of registry.filter(s => s.source === "derived")) {
+    if (!entry.derive?.expr) {
+      console.log(`Derived ${entry.id} skipped (no derive.expr)`);
+      continue;
+    }
+
+    const tree = parseExpr(entry.derive.expr);
+    const inputs = [...inputsOf(tree)];
+    const missing = [];
+    for (const id of inputs) {
+      if (!(await load(id)).points.length) missing.push(id);
+    }
+    if (missing.length) {
+      console.log(`Derived ${entry.id} skipped (missing ${missing.join(", ")})`);
+      continue;
+    }
+
+    const align = entry.derive.align === "period_mean" ? "period_mean" : "asof";
+    const { points } = await evaluate(tree, { align, load });
+    if (!points.length) {
+      console.log(`Derived ${entry.id} skipped (no overlapping observations)`);
+      continue;
+    }
+
+    const body = points.map(o => `${o.date},${formatNumber(o.value)}`).join("\n");
+    await fs.writeFile(path.join(dataDir, `${entry.id}.csv`), `date,value\n${body}\n`, "utf8");
+    await fs.writeFile(
+      path.join(dataDir, `${entry.id}.meta.json`),
+      JSON.stringify(derivedMetaSidecar(entry, points), null, 2) + "\n",
+      "utf8"
+    );
+
+    // Later derived entries may build on earlier ones.
+    cache.set(entry.id.toUpperCase(), Promise.resolve({ points, scale: Number(entry.scale) || 1 }));
+
+    console.log(`Derived: ${entry.id}.csv (${points.length} rows) = ${entry.derive.expr}`);
+    written.push({ id: entry.id, rows: points.length });
+  }
+  return written;
+}
+
+async function main() {
+  const dataDir = "data";
+  const json = JSON.parse(await fs.readFile(path.join(dataDir, "series.json"), "utf8"));
+  const registry = (Array.isArray(json?.series) ? json.series : []).filter(s => s && typeof s.id === "string");
+  await runDerivations({ dataDir, registry });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
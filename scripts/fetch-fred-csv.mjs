@@ -1,6 +1,11 @@
 /**
  * Fetch latest FRED observations and store/append/update CSVs per series.
+ * - Series list comes from /data/series.json (entries with source "fred")
  * - Writes to /data/<SERIES_ID>.csv
+ * - Writes FRED series metadata to /data/<SERIES_ID>.meta.json
+ * - Recomputes derived series (scripts/derive-series.mjs) once FRED pulls finish
+ * - Rebuilds chart band layers from data/regimes.json (scripts/derive-bands.mjs)
+ * - Appends revised observations to /data/revisions/<SERIES_ID>.csv (never rewritten)
  * - De-dupes by date
  * - Updates the value if the date exists (handles revisions)
  * - Incremental pulls with revision backfill window
@@ -8,6 +13,11 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { fileURLToPath } from "node:url";
+import LMData from "./data.js";
+import { runDerivations } from "./derive-series.mjs";
+import { runBandDerivations } from "./derive-bands.mjs";
+import { fetchWithRetry, HTTP_MODE } from "./http.mjs";
 
 const DATA_DIR = "data";
 
@@ -15,43 +25,19 @@ const DATA_DIR = "data";
 const REVISION_BACKFILL_DAYS = 365 * 5;
 const FALLBACK_START = "1970-01-01";
 
-const SERIES = [
-  { id: "CPIAUCSL", name: "CPI (Inflation)" },
-  { id: "UNRATE", name: "Unemployment Rate" },
-  { id: "GDPC1", name: "Real GDP" },
-  { id: "MSPUS", name: "Median Home Price" },
-  { id: "MEHOINUSA646N", name: "Median Household Income" },
-  { id: "APU0000708111", name: "Egg Price/doz" },
-  { id: "APU000072610", name: "Electricty Price/kwh" },
-  { id: "APU0000709112", name: "Whole Milk Price/gal" },
-  { id: "APU000074714", name: "Gas Price/gal" },
-  { id: "APU0000717311", name: "Coffee Prices/lb" },
-  { id: "APU0000FN1101", name: "2 Litre Soda Price" },
-  { id: "APU0000718311", name: "16oz Chip bag" },
-  { id: "CUSR0000SAH3", name: "Household Furnishings basket" },
-  { id: "CUSR0000SAD", name: "Durables basket" },
-  { id: "CUSR0000SAF113", name: "Fruits & Veggies Basket" },
-  { id: "LNS11300060", name: "Prime Age LFPR" },
-  { id: "PAYEMS", name: "Total Nonfarm Employment" },
-  { id: "CES1021210001", name: "Total Coal Employment" },
-  { id: "USMINE", name: "Total Mining/Logging Employment" },
-  { id: "USCONS", name: "Total Construction Employment" },
-  { id: "MANEMP", name: "Total Manufacturing Employment" },
-  { id: "CES3133600101", name: "Total Car Manufacturing Employment" },
-  { id: "CES4348400001", name: "Total Trucking Employment" },
-  { id: "USINFO", name: "Total IT Employment" },
-  { id: "USFIRE", name: "Total Finance Employment" },
-  { id: "CES6562000101", name: "Total Healthcare Employment" },
-  { id: "CES9091000001", name: "Total Federal Employment" },
-  { id: "USGOVT", name: "Total Government Employment" },
-  { id: "TLMFGCONS", name: "Total Manufacturing Spending" },
-  { id: "A939RX0Q048SBEA", name: "Real GDP per Capita" },
-  { id: "BOPGSTB", name: "US Trade Deficit" },
-  { id: "GFDEBTN", name: "Total US Debt" },
-  { id: "GFDEGDQ188S", name: "Debt as % of GDP" },
-  { id: "FYFSD", name: "Federal Deficit" },
-  { id: "FEDFUNDS", name: "Federal Funds Rate" },
-];
+const REGISTRY_PATH = path.join(DATA_DIR, "series.json");
+const REVISIONS_DIR = path.join(DATA_DIR, "revisions");
+const REVISIONS_HEADER = "date,old_value,new_value,detected_at\n";
+
+/**
+ * Load every entry of the series registry.
+ * @returns {Promise<Array<{id:string,title:string,units:string,frequency:string,source:string}>>}
+ */
+async function loadRegistry() {
+  const json = JSON.parse(await fs.readFile(REGISTRY_PATH, "utf8"));
+  const series = Array.isArray(json?.series) ? json.series : [];
+  return series.filter(s => s && typeof s.id === "string");
+}
 
 /**
  * Ensure directory exists.
@@ -72,9 +58,9 @@ async function fetchObservations(seriesId, apiKey, observationStart) {
   url.searchParams.set("observation_start", observationStart);
   url.searchParams.set("limit", "100000");
 
-  const res = await fetch(url.toString(), {
+  const res = await fetchWithRetry(url.toString(), {
     headers: { "user-agent": "LiberalMarketsFREDBot/1.0 (GitHub Actions)" },
-  });
+  }, { label: seriesId });
   if (!res.ok) throw new Error(`${seriesId}: HTTP ${res.status}`);
 
   const data = await res.json();
@@ -86,24 +72,111 @@ async function fetchObservations(seriesId, apiKey, observationStart) {
 }
 
 /**
- * Parse CSV into Map(date -> value)
+ * Fetch series metadata (units, frequency, seasonal adjustment, ...).
+ */
+async function fetchSeriesInfo(seriesId, apiKey) {
+  const url = new URL("https://api.stlouisfed.org/fred/series");
+  url.searchParams.set("series_id", seriesId);
+  url.searchParams.set("api_key", apiKey);
+  url.searchParams.set("file_type", "json");
+
+  const res = await fetchWithRetry(url.toString(), {
+    headers: { "user-agent": "LiberalMarketsFREDBot/1.0 (GitHub Actions)" },
+  }, { label: `${seriesId} (series info)` });
+  if (!res.ok) throw new Error(`${seriesId} (series info): HTTP ${res.status}`);
+
+  const data = await res.json();
+  const info = Array.isArray(data.seriess) ? data.seriess[0] : null;
+  if (!info) throw new Error(`${seriesId} (series info): empty response`);
+  return info;
+}
+
+/**
+ * Shape FRED series info into the sidecar written next to each CSV.
+ * Deliberately no fetch timestamp so unchanged metadata produces no diff.
+ */
+function toMetaSidecar(info, entry) {
+  return {
+    id: info.id,
+    title: info.title,
+    source: "FRED",
+    units: info.units,
+    unitsShort: info.units_short,
+    frequency: info.frequency,
+    frequencyShort: info.frequency_short,
+    seasonalAdjustment: info.seasonal_adjustment,
+    seasonalAdjustmentShort: info.seasonal_adjustment_short,
+    observationStart: info.observation_start,
+    observationEnd: info.observation_end,
+    lastUpdated: info.last_updated,
+    notes: String(info.notes ?? "").trim(),
+    registryTitle: entry?.title ?? null,
+  };
+}
+
+/**
+ * Write a metadata sidecar as /data/<ID>.meta.json
+ */
+async function writeMetaSidecar(seriesId, meta) {
+  await fs.writeFile(
+    path.join(DATA_DIR, `${seriesId}.meta.json`),
+    JSON.stringify(meta, null, 2) + "\n",
+    "utf8"
+  );
+}
+
+/**
+ * Append revised observations to /data/revisions/<ID>.csv.
+ * The file is append-only: the first row for a date holds the first print we stored.
+ * @param {string} seriesId
+ * @param {{date:string, oldValue:string, newValue:string}[]} revisions
+ * @param {string} detectedAt YYYY-MM-DD
+ */
+async function appendRevisions(seriesId, revisions, detectedAt) {
+  if (!revisions.length) return;
+
+  await ensureDir(REVISIONS_DIR);
+  const filePath = path.join(REVISIONS_DIR, `${seriesId}.csv`);
+  const existing = await readIfExists(filePath);
+
+  const rows = revisions
+    .map(r => `${r.date},${r.oldValue},${r.newValue},${detectedAt}`)
+    .join("\n") + "\n";
+
+  await fs.appendFile(filePath, existing ? rows : REVISIONS_HEADER + rows, "utf8");
+}
+
+/**
+ * Merge fetched observations into a series CSV's values.
+ * A date we already had with a real value and a different new value is a revision;
+ * "." was never a print, so filling it in is just a late observation.
+ * @param {string} existingCsv current file contents ("" if none)
+ * @param {{date:string, value:string}[]} observations
+ * @returns {{map: Map<string, string>, changed: number, revisions: {date:string, oldValue:string, newValue:string}[]}}
  */
-function parseCsvToMap(text) {
-  const lines = text.trim().split("\n").filter(Boolean);
-  const map = new Map();
-  if (lines.length <= 1) return map;
-
-  for (let i = 1; i < lines.length; i++) {
-    const [date, value] = lines[i].split(",");
-    if (date) map.set(date.trim(), (value ?? "").trim());
+export function mergeObservations(existingCsv, observations) {
+  // date -> raw cell; "." stays so a late print isn't mistaken for a revision
+  const map = LMData.parseSeriesMap(existingCsv);
+
+  let changed = 0;
+  const revisions = [];
+  for (const o of observations) {
+    const prev = map.get(o.date);
+    if (prev !== o.value) {
+      if (prev !== undefined && prev !== ".") {
+        revisions.push({ date: o.date, oldValue: prev, newValue: o.value });
+      }
+      map.set(o.date, o.value);
+      changed++;
+    }
   }
-  return map;
+  return { map, changed, revisions };
 }
 
 /**
  * Serialize Map(date -> value) to CSV
  */
-function mapToCsv(map) {
+export function mapToCsv(map) {
   const rows = [...map.entries()].sort((a, b) => a[0].localeCompare(b[0]));
   const body = rows.map(([d, v]) => `${d},${v}`).join("\n");
   return `date,value\n${body}\n`;
@@ -154,92 +227,45 @@ function computeObservationStart(existingCsv) {
   return start < FALLBACK_START ? FALLBACK_START : start;
 }
 
-/**
- * Read series CSV into sorted array
- */
-async function readSeriesCsv(filePath) {
-  const text = await readIfExists(filePath);
-  const lines = text.trim().split("\n").filter(Boolean);
-  if (lines.length <= 1) return [];
-
-  const out = [];
-  for (let i = 1; i < lines.length; i++) {
-    const [date, val] = lines[i].split(",");
-    const value = Number(val);
-    if (date && Number.isFinite(value)) out.push({ date, value });
-  }
-  return out.sort((a, b) => a.date.localeCompare(b.date));
-}
-
-/**
- * Find latest value as-of target date
- */
-function asOf(series, targetDate) {
-  let lo = 0, hi = series.length - 1, best = null;
-  while (lo <= hi) {
-    const mid = (lo + hi) >> 1;
-    if (series[mid].date <= targetDate) {
-      best = series[mid].value;
-      lo = mid + 1;
-    } else {
-      hi = mid - 1;
-    }
-  }
-  return best;
-}
-
 async function main() {
-  const apiKey = process.env.FRED_API_KEY;
+  // Replays never reach FRED, and fixture keys ignore api_key, so any placeholder works.
+  const apiKey = process.env.FRED_API_KEY || (HTTP_MODE === "replay" ? "replay" : "");
   if (!apiKey) throw new Error("Missing FRED_API_KEY env var");
 
   await ensureDir(DATA_DIR);
 
-  for (const s of SERIES) {
+  const registry = await loadRegistry();
+  const series = registry.filter(s => s.source === "fred");
+  if (!series.length) throw new Error(`No FRED series found in ${REGISTRY_PATH}`);
+
+  const detectedAt = new Date().toISOString().slice(0, 10);
+
+  for (const s of series) {
     const filePath = path.join(DATA_DIR, `${s.id}.csv`);
     const existing = await readIfExists(filePath);
 
     const observationStart = computeObservationStart(existing);
     const observations = await fetchObservations(s.id, apiKey, observationStart);
-
-    const map = parseCsvToMap(existing);
-
-    let changed = 0;
-    for (const o of observations) {
-      if (map.get(o.date) !== o.value) {
-        map.set(o.date, o.value);
-        changed++;
-      }
-    }
+    const { map, changed, revisions } = mergeObservations(existing, observations);
 
     await fs.writeFile(filePath, mapToCsv(map), "utf8");
-    console.log(`${s.id}: fetched since ${observationStart}, ${changed} updates`);
-  }
+    await appendRevisions(s.id, revisions, detectedAt);
+    console.log(`${s.id}: fetched since ${observationStart}, ${changed} updates, ${revisions.length} revisions`);
 
-  // ---- Derived: House price to income ratio ----
-  {
-    const income = await readSeriesCsv(path.join(DATA_DIR, "MEHOINUSA646N.csv"));
-    const house = await readSeriesCsv(path.join(DATA_DIR, "MSPUS.csv"));
-
-    if (!income.length || !house.length) {
-      console.log("Derived ratio skipped (missing data)");
-    } else {
-      const ratioMap = new Map();
-      for (const inc of income) {
-        const h = asOf(house, inc.date);
-        if (!Number.isFinite(h) || inc.value === 0) continue;
-        ratioMap.set(inc.date, String(h / inc.value));
-      }
-      await fs.writeFile(
-        path.join(DATA_DIR, "HOUSE_TO_INCOME_RATIO.csv"),
-        mapToCsv(ratioMap),
-        "utf8"
-      );
-      console.log(`Derived: HOUSE_TO_INCOME_RATIO.csv (${ratioMap.size} rows)`);
-    }
+    const info = await fetchSeriesInfo(s.id, apiKey);
+    await writeMetaSidecar(s.id, toMetaSidecar(info, s));
   }
+
+  // Derived series (ratios, spreads, real values, ...) declared in the registry
+  await runDerivations({ dataDir: DATA_DIR, registry });
+
+  // Recession shading and other band layers declared in /data/regimes.json
+  await runBandDerivations({ dataDir: DATA_DIR });
 }
 
-main().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
\ No newline at end of file
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -1,85 +1,396 @@
+/**
+ * Build data/news.json from the feeds listed in data/news-feeds.json.
+ * - RSS <item> and Atom <entry> feeds via xml-feed.mjs, dates normalized to ISO 8601
+ * - only http(s) links are kept: an item linking anywhere else (javascript:, data:, ...)
+ *   is dropped, since news.json and the archive put links straight into href
+ * - exact duplicates dropped by canonical URL (tracking params, fragments, trailing slash)
+ * - near-duplicate headlines across outlets merged by title similarity; a clustered story
+ *   keeps one headline and lists every outlet that ran it
+ * - topic tags assigned here from the config's topic patterns, so the page only filters
+ * - every clustered story is also kept in a monthly archive, data/news/YYYY-MM.json
+ *   (deduped by canonical URL), with a compact term -> days search index in
+ *   data/news/index.json for the markets.html archive lookup
+ *
+ * NEWS_FEED_URL overrides the config with a single feed (handy for testing one source).
+ */
+
 import fs from "node:fs/promises";
 import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { fetchWithRetry } from "./http.mjs";
+import { parseFeedXml } from "./xml-feed.mjs";
 
-const FEED_URL =
-  process.env.NEWS_FEED_URL ||
-  "https://www.cnbc.com/id/10000664/device/rss/rss.html";
-
+const CONFIG_PATH = path.join("data", "news-feeds.json");
 const OUT_PATH = path.join("data", "news.json");
-const MAX_ITEMS = 18;
-
-function decodeEntities(value) {
-  return value
-    .replace(/&amp;/g, "&")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'");
+const ARCHIVE_DIR = path.join("data", "news");
+const INDEX_PATH = path.join(ARCHIVE_DIR, "index.json");
+const DEFAULT_MAX_ITEMS = 30;
+
+const CLUSTER_MIN_DICE = 0.5;     // title word-set similarity needed to merge two stories
+const CLUSTER_MIN_SHARED = 3;     // ...and at least this many shared words
+const MAX_TOPICS = 3;
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "from", "that", "this", "into", "over", "after", "about",
+  "are", "was", "were", "has", "have", "had", "its", "his", "her", "their", "they", "will",
+  "could", "would", "says", "said", "say", "new", "more", "than", "what", "why", "how",
+  "amid", "as", "at", "by", "in", "of", "on", "to", "up", "a", "an", "is", "be", "it",
+]);
+
+const TRACKING_PARAMS = /^(utm_\w+|mod|cmpid|ref|src|tsrc|guccounter|guce_\w+)$/i;
+
+/**
+ * @typedef {{id:string, name:string, url:string}} FeedConfig
+ * @typedef {{id:string, label:string, pattern:string, hot?:boolean}} TopicConfig
+ * @typedef {import("./xml-feed.mjs").FeedEntry & {source:string, feedIndex:number}} RawItem
+ */
+
+/**
+ * True for an absolute http: or https: URL.
+ * @param {string} link
+ * @returns {boolean}
+ */
+export function isWebUrl(link) {
+  try {
+    const { protocol } = new URL(link);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
 }
 
-function stripCdata(value) {
-  return value.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1");
+/**
+ * URL used for exact-duplicate detection: lowercase host, no fragment,
+ * no tracking params, no trailing slash.
+ * @param {string} link
+ * @returns {string}
+ */
+export function canonicalUrl(link) {
+  try {
+    const u = new URL(link);
+    u.hash = "";
+    u.hostname = u.hostname.toLowerCase().replace(/^www\./, "");
+    for (const key of [...u.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) u.searchParams.delete(key);
+    }
+    u.searchParams.sort();
+    const out = u.toString();
+    return out.endsWith("/") && !u.search ? out.slice(0, -1) : out;
+  } catch {
+    return String(link || "").trim();
+  }
+}
+
+/**
+ * Significant title words, lightly stemmed, for similarity.
+ * @param {string} title
+ * @returns {Set<string>}
+ */
+function titleWords(title) {
+  const words = String(title)
+    .toLowerCase()
+    .replace(/['’]s\b/g, "")
+    .split(/[^a-z0-9$%.]+/)
+    .map((w) => w.replace(/^\.+|\.+$/g, ""))
+    .filter((w) => w.length >= 2 && !STOPWORDS.has(w))
+    .map((w) => (w.length > 4 && w.endsWith("s") ? w.slice(0, -1) : w));
+  return new Set(words);
 }
 
-function extractTag(block, tag) {
-  const re = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, "i");
-  const match = block.match(re);
-  if (!match) return "";
-  return decodeEntities(stripCdata(match[1])).trim();
+/**
+ * Dice coefficient over word sets, plus the shared-word count.
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {{dice:number, shared:number}}
+ */
+function titleSimilarity(a, b) {
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  const total = a.size + b.size;
+  return { dice: total ? (2 * shared) / total : 0, shared };
 }
 
-function parseRss(xml) {
-  const items = [];
-  const blocks = xml.match(/<item[\s\S]*?<\/item>/gi) || [];
-  for (const block of blocks) {
-    const title = extractTag(block, "title");
-    const link = extractTag(block, "link") || extractTag(block, "guid");
-    const pubDate = extractTag(block, "pubDate");
-    if (!title || !link) continue;
-    items.push({ title, link, pubDate });
+/**
+ * Greedy single-pass clustering: each headline joins the first cluster containing a
+ * similar headline, otherwise starts its own.
+ * @param {RawItem[]} items newest first
+ * @returns {RawItem[][]}
+ */
+function clusterHeadlines(items) {
+  const clusters = [];
+  for (const item of items) {
+    const words = titleWords(item.title);
+    const home = clusters.find((c) => c.some((m) => {
+      const { dice, shared } = titleSimilarity(words, m.words);
+      return dice >= CLUSTER_MIN_DICE && shared >= CLUSTER_MIN_SHARED;
+    }));
+    const entry = { ...item, words };
+    if (home) home.push(entry);
+    else clusters.push([entry]);
   }
+  return clusters;
+}
+
+/**
+ * @param {TopicConfig[]} topics
+ * @returns {(title:string) => string[]} topic ids, config order, at most MAX_TOPICS
+ */
+function topicTagger(topics) {
+  const rules = topics
+    .filter((t) => t && t.id && t.pattern)
+    .map((t) => ({ id: t.id, re: new RegExp(t.pattern, "i") }));
+  return (title) => rules.filter((r) => r.re.test(title)).map((r) => r.id).slice(0, MAX_TOPICS);
+}
 
-  const deduped = [];
+/**
+ * Dedupe, cluster and tag raw feed items into the news.json item list.
+ * Items without an http(s) link are dropped; a non-http(s) thumbnail is cleared.
+ * The cluster headline comes from the earliest-listed feed; its date is the newest report.
+ * @param {RawItem[]} raw
+ * @param {{topics:TopicConfig[], maxItems:number}} opts
+ * @returns {Array<Object>}
+ */
+export function buildNewsItems(raw, { topics, maxItems }) {
   const seen = new Set();
-  for (const item of items) {
-    const key = item.link;
+  const unique = [];
+  for (const item of raw) {
+    if (!isWebUrl(item.link)) continue;
+    const key = canonicalUrl(item.link);
     if (seen.has(key)) continue;
     seen.add(key);
-    deduped.push(item);
-    if (deduped.length >= MAX_ITEMS) break;
+    unique.push(item);
+  }
+
+  unique.sort((a, b) => String(b.published || "").localeCompare(String(a.published || "")));
+
+  const tag = topicTagger(topics);
+  const out = [];
+  for (const cluster of clusterHeadlines(unique)) {
+    const lead = [...cluster].sort((a, b) => a.feedIndex - b.feedIndex)[0];
+    const published = cluster.map((m) => m.published).filter(Boolean).sort().at(-1) || null;
+    const sources = [];
+    for (const m of cluster) {
+      if (!sources.some((s) => s.name === m.source)) sources.push({ name: m.source, title: m.title, link: m.link });
+    }
+
+    out.push({
+      title: lead.title,
+      link: lead.link,
+      published,
+      source: lead.source,
+      author: lead.author || null,
+      summary: lead.summary || cluster.find((m) => m.summary)?.summary || null,
+      thumbnail: [lead, ...cluster].map((m) => m.thumbnail).find(isWebUrl) || null,
+      outlets: sources.length,
+      sources,
+      topics: tag(cluster.map((m) => m.title).join(" · ")),
+    });
   }
 
-  return deduped;
+  out.sort((a, b) => String(b.published || "").localeCompare(String(a.published || "")));
+  return out.slice(0, maxItems);
 }
 
-async function main() {
-  const res = await fetch(FEED_URL, {
+/**
+ * Archive record for one story. Only what the lookup/search needs; no summaries.
+ * @param {Object} item buildNewsItems() output
+ * @param {string} seenAt ISO time of this run
+ */
+function archiveRecord(item, seenAt) {
+  const published = item.published || seenAt;
+  return {
+    date: published.slice(0, 10),
+    published,
+    title: item.title,
+    link: item.link,
+    source: item.source,
+    outlets: item.outlets,
+    sources: item.sources.map((s) => s.name),
+    topics: item.topics,
+    firstSeen: seenAt,
+  };
+}
+
+async function readJsonIfExists(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Merge this run's stories into data/news/YYYY-MM.json (month of the publish date, UTC).
+ * A story already archived keeps its firstSeen; outlets and topics only grow.
+ * @param {Array<Object>} items
+ * @param {string} seenAt
+ * @returns {Promise<{added:number, months:string[]}>}
+ */
+async function updateArchive(items, seenAt) {
+  const byMonth = new Map();
+  for (const item of items) {
+    const rec = archiveRecord(item, seenAt);
+    const month = rec.date.slice(0, 7);
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(rec);
+  }
+
+  await fs.mkdir(ARCHIVE_DIR, { recursive: true });
+  let added = 0;
+
+  for (const [month, recs] of byMonth) {
+    const filePath = path.join(ARCHIVE_DIR, `${month}.json`);
+    const archive = await readJsonIfExists(filePath, { month, items: [] });
+    // Records from before links were checked are dropped here too
+    const existing = (Array.isArray(archive.items) ? archive.items : []).filter((it) => isWebUrl(it?.link));
+    const byUrl = new Map(existing.map((it) => [canonicalUrl(it.link), it]));
+
+    for (const rec of recs) {
+      const key = canonicalUrl(rec.link);
+      const prev = byUrl.get(key);
+      if (!prev) {
+        byUrl.set(key, rec);
+        added++;
+        continue;
+      }
+      prev.sources = [...new Set([...(prev.sources || []), ...rec.sources])];
+      prev.outlets = Math.max(prev.outlets || 1, rec.outlets, prev.sources.length);
+      prev.topics = [...new Set([...(prev.topics || []), ...rec.topics])];
+    }
+
+    const merged = [...byUrl.values()].sort((a, b) => String(b.published).localeCompare(String(a.published)));
+    await fs.writeFile(filePath, JSON.stringify({ month, items: merged }, null, 2) + "\n", "utf8");
+  }
+
+  return { added, months: [...byMonth.keys()].sort() };
+}
+
+/**
+ * Rebuild data/news/index.json from every month file:
+ * headline counts per month and per day, and for each title word (same stemming as
+ * clustering) or "#topic", the days it appears on. The page intersects days for a
+ * query, then loads only those months.
+ * @param {string} generatedAt
+ * @returns {Promise<{days:Object<string,number>}>}
+ */
+async function writeArchiveIndex(generatedAt) {
+  const names = (await fs.readdir(ARCHIVE_DIR)).filter((n) => /^\d{4}-\d{2}\.json$/.test(n)).sort();
+  const months = {};
+  const days = {};
+  const terms = new Map();
+
+  for (const name of names) {
+    const archive = await readJsonIfExists(path.join(ARCHIVE_DIR, name), { items: [] });
+    const items = Array.isArray(archive.items) ? archive.items : [];
+    months[name.slice(0, 7)] = items.length;
+
+    for (const it of items) {
+      if (!it?.date) continue;
+      days[it.date] = (days[it.date] || 0) + 1;
+      const words = [...titleWords(it.title || ""), ...(it.topics || []).map((t) => `#${t}`)];
+      for (const w of words) {
+        if (w.length < 3 && !w.startsWith("#")) continue;
+        if (!terms.has(w)) terms.set(w, new Set());
+        terms.get(w).add(it.date);
+      }
+    }
+  }
+
+  const index = {
+    version: 1,
+    generatedAt,
+    stopwords: [...STOPWORDS],
+    months,
+    days,
+    terms: Object.fromEntries([...terms.keys()].sort().map((w) => [w, [...terms.get(w)].sort()])),
+  };
+  await fs.writeFile(INDEX_PATH, JSON.stringify(index) + "\n", "utf8");
+  return index;
+}
+
+/**
+ * Feeds to read: the config list, or just NEWS_FEED_URL when set.
+ * @returns {Promise<{feeds:FeedConfig[], topics:TopicConfig[], maxItems:number}>}
+ */
+async function loadConfig() {
+  const json = JSON.parse(await fs.readFile(CONFIG_PATH, "utf8"));
+  const feeds = (Array.isArray(json?.feeds) ? json.feeds : []).filter((f) => f && f.url);
+  const topics = Array.isArray(json?.topics) ? json.topics : [];
+  const maxItems = Number.isInteger(json?.maxItems) ? json.maxItems : DEFAULT_MAX_ITEMS;
+
+  if (process.env.NEWS_FEED_URL) {
+    return { feeds: [{ id: "env", name: new URL(process.env.NEWS_FEED_URL).hostname, url: process.env.NEWS_FEED_URL }], topics, maxItems };
+  }
+  return { feeds, topics, maxItems };
+}
+
+/**
+ * @param {FeedConfig} feed
+ * @returns {Promise<import("./xml-feed.mjs").FeedEntry[]>}
+ */
+async function fetchFeed(feed) {
+  const res = await fetchWithRetry(feed.url, {
     headers: {
       "User-Agent": "liberalmarkets-newsbot/1.0",
-      Accept: "application/rss+xml, application/xml;q=0.9, */*;q=0.8",
+      Accept: "application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8",
     },
-  });
+  }, { label: `Feed ${feed.id}` });
 
   if (!res.ok) {
-    throw new Error(`Failed to fetch RSS: ${res.status}`);
+    throw new Error(`HTTP ${res.status}`);
+  }
+  const { kind, items } = parseFeedXml(await res.text());
+  if (kind === "unknown") throw new Error("not an RSS or Atom document");
+  return items;
+}
+
+async function main() {
+  const { feeds, topics, maxItems } = await loadConfig();
+
+  const raw = [];
+  const feedStatus = [];
+  for (const [feedIndex, feed] of feeds.entries()) {
+    try {
+      const items = await fetchFeed(feed);
+      for (const it of items) raw.push({ ...it, source: feed.name, feedIndex });
+      feedStatus.push({ id: feed.id, name: feed.name, url: feed.url, ok: true, count: items.length });
+      console.log(`${feed.id}: ${items.length} items`);
+    } catch (err) {
+      const error = err instanceof Error ? err.message : String(err);
+      feedStatus.push({ id: feed.id, name: feed.name, url: feed.url, ok: false, count: 0, error });
+      console.warn(`${feed.id}: ${error}`);
+    }
+  }
+
+  if (!feedStatus.some((f) => f.ok)) {
+    throw new Error("Every news feed failed");
   }
 
-  const xml = await res.text();
-  const items = parseRss(xml);
+  const clusteredAll = buildNewsItems(raw, { topics, maxItems: Infinity });
+  const items = clusteredAll.slice(0, maxItems);
+  const used = new Set(items.flatMap((it) => it.sources.map((s) => s.name)));
 
   const payload = {
     generatedAt: new Date().toISOString(),
-    source: "CNBC Finance RSS",
-    feed: FEED_URL,
+    source: feeds.filter((f) => used.has(f.name)).map((f) => f.name).join(", "),
+    feeds: feedStatus,
+    topics: topics.map((t) => ({ id: t.id, label: t.label, ...(t.hot ? { hot: true } : {}) })),
     items,
   };
 
   await fs.mkdir(path.dirname(OUT_PATH), { recursive: true });
   await fs.writeFile(OUT_PATH, JSON.stringify(payload, null, 2) + "\n", "utf8");
-  console.log(`Wrote ${items.length} items to ${OUT_PATH}`);
+  const clustered = items.filter((it) => it.outlets > 1).length;
+  console.log(`Wrote ${items.length} items (${clustered} multi-outlet) from ${raw.length} headlines to ${OUT_PATH}`);
+
+  const { added, months } = await updateArchive(clusteredAll, payload.generatedAt);
+  const index = await writeArchiveIndex(payload.generatedAt);
+  console.log(`Archive: +${added} headlines in ${months.join(", ") || "no months"}; index covers ${Object.keys(index.days).length} days`);
 }
 
-main().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -1,65 +1,93 @@
 /**
- * Fetch daily OHLC CSV from Stooq for each symbol in WATCH,
+ * Fetch daily closes for each symbol in WATCH (and HEATMAP),
  * then write tape.json with last close + prev close + pct change.
+ * Stooq is the default provider; PROVIDER_CHAINS lists fallbacks per symbol
+ * (see quote-providers.mjs) and each item records which provider answered.
+ * Every fetched symbol's full daily history is merged into data/market/<sym>.csv
+ * (date,open,high,low,close,volume) so charts and correlations can look back years,
+ * not just HISTORY_LIMIT sessions.
+ * Runs are gated by the NYSE calendar (holidays, half days); pass --force to skip that.
  *
- * Output: /tape.json
+ * Output: /tape.json, /heatmap.json, /data/market/*.csv
  */
 
 import fs from "node:fs/promises";
+import path from "node:path";
+import { sleepMs, HTTP_MODE } from "./http.mjs";
+import { fetchQuoteRows, sourceLabel } from "./quote-providers.mjs";
+import MarketCalendar from "./market-calendar.js";
+import LMData from "./data.js";
 
 /**
- * Exit early unless local NY time is within +/- graceMinutes of one of the allowed times.
- * @param {Array<[number, number]>} allowedTimes - array of [hour, minute] in NY time
- * @param {number} graceMinutes - tolerance window (e.g., 20 means allow 09:40–10:20)
+ * Fetch windows, anchored to the NYSE session of the day (see market-calendar.js):
+ * "open" from 30 minutes after the open until the close, "close" from 30 minutes after
+ * the close (13:00 on half days) until midnight. GRACE_MINUTES lets a cron fire early.
  */
-function exitUnlessNYTimeMatches(allowedTimes, graceMinutes = 20) {
-  const now = new Date();
-
-  // Get NY time parts
-  const parts = new Intl.DateTimeFormat("en-US", {
-    timeZone: "America/New_York",
-    hour12: false,
-    hour: "2-digit",
-    minute: "2-digit",
-    weekday: "short",
-  }).formatToParts(now);
-
-  const get = (t) => parts.find(p => p.type === t)?.value;
-  const weekday = get("weekday");
-  const hour = Number(get("hour"));
-  const minute = Number(get("minute"));
-
-  // Weekends: bail
-  if (weekday === "Sat" || weekday === "Sun") {
-    console.log("Weekend in NY, skipping.");
-    process.exit(0);
-  }
+const FETCH_SLOTS = [   // latest first
+  { name: "close", anchor: "close", offsetMinutes: 30 },
+  { name: "open", anchor: "open", offsetMinutes: 30 },
+];
+const GRACE_MINUTES = 15;
+const FORCE_FETCH = process.argv.includes("--force") || process.env.TAPE_FORCE === "1";
 
-  const nowTotal = hour * 60 + minute;
+/**
+ * Which fetch slot an instant falls in.
+ * @param {Date} when
+ * @returns {{date:string, slot:(string|null), reason:string}}
+ */
+function fetchSlotAt(when) {
+  const info = MarketCalendar.sessionState("NYSE", when);
+  if (!info.trading) {
+    return { date: info.date, slot: null, reason: `NYSE closed on ${info.date} (${info.holiday || "weekend"})` };
+  }
 
-  const ok = allowedTimes.some(([h, m]) => {
-    const target = h * 60 + m;
-    const diff = Math.abs(nowTotal - target);
+  const { sessions } = info.schedule;
+  const anchors = { open: sessions[0][0], close: sessions[sessions.length - 1][1] };
+  for (const s of FETCH_SLOTS) {
+    if (info.minutes >= anchors[s.anchor] + s.offsetMinutes - GRACE_MINUTES) {
+      return { date: info.date, slot: s.name, reason: `${info.date} ${s.name}${info.halfDay ? " (half day)" : ""}` };
+    }
+  }
+  return { date: info.date, slot: null, reason: `before the first fetch window on ${info.date}` };
+}
 
-    // Normal window OR crossing midnight edge case (rare here, but correct)
-    const wrapDiff = Math.min(diff, 1440 - diff);
-    return wrapDiff <= graceMinutes;
-  });
+/**
+ * Exit unless now is inside a fetch slot that the last tape.json didn't already cover.
+ * Both DST cron pairs fire every day; whichever lands in a slot first does the work.
+ */
+async function exitUnlessFetchSlot() {
+  if (FORCE_FETCH) {
+    console.log("Forced run, skipping the market calendar check.");
+    return;
+  }
 
-  if (!ok) {
-    console.log(
-      `NY time ${String(hour).padStart(2,"0")}:${String(minute).padStart(2,"0")} not within ±${graceMinutes}m of scheduled times, skipping.`
-    );
+  const now = fetchSlotAt(new Date());
+  if (!now.slot) {
+    console.log(`${now.reason}, skipping.`);
     process.exit(0);
   }
 
-  console.log(`NY time within ±${graceMinutes}m window, proceeding.`);
+  try {
+    const prior = JSON.parse(await fs.readFile("tape.json", "utf8"));
+    const at = prior?.generatedAt ? new Date(prior.generatedAt) : null;
+    const last = at && !Number.isNaN(at.getTime()) ? fetchSlotAt(at) : null;
+    if (last?.slot === now.slot && last.date === now.date) {
+      console.log(`tape.json already covers ${now.reason}, skipping.`);
+      process.exit(0);
+    }
+  } catch {
+    // no prior output: fetch
+  }
+
+  console.log(`Fetch window ${now.reason}, proceeding.`);
 }
 
-// Example: allow 10:00 and 16:30 with 25 minute grace
-exitUnlessNYTimeMatches([[10, 0], [16, 30]], 45);
+// (replays run whenever; the fixtures are the schedule)
+if (HTTP_MODE !== "replay") await exitUnlessFetchSlot();
 
 
+// tape.json symbols, in order. The homepage's default watchlist mirrors this list;
+// user watchlists (app.js) can also pick anything in HEATMAP.
 const WATCH = [
   { sym: "2yusy.b", name: "US 2Y Yield" },
   { sym: "5yusy.b", name: "US 5Y Yield" },
@@ -138,21 +166,35 @@ const HEATMAP = [
   { sym: "slx.us", name: "Steel", group: "Macro" },
 ];
 
-// --- Request pacing + retry policy (Stooq is friendly until it isn't) ---
+// --- Provider fallback order per symbol (default: Stooq only) ---
+const DEFAULT_CHAIN = [{ provider: "stooq" }];
+
+const PROVIDER_CHAINS = {
+  "2yusy.b": [{ provider: "stooq" }, { provider: "fred", series: "DGS2" }],
+  "5yusy.b": [{ provider: "stooq" }, { provider: "fred", series: "DGS5" }],
+  "10yusy.b": [{ provider: "stooq" }, { provider: "fred", series: "DGS10" }],
+  "30yusy.b": [{ provider: "stooq" }, { provider: "fred", series: "DGS30" }],
+  "usdeur": [{ provider: "stooq" }, { provider: "fred", series: "DEXUSEU", invert: true }],
+  "usdjpy": [{ provider: "stooq" }, { provider: "fred", series: "DEXJPUS" }],
+  "usdcny": [{ provider: "stooq" }, { provider: "fred", series: "DEXCHUS" }],
+  "usdtwd": [{ provider: "stooq" }, { provider: "fred", series: "DEXTAUS" }],
+  "cb.f": [{ provider: "stooq" }, { provider: "fred", series: "DCOILBRENTEU" }],
+  "cl.f": [{ provider: "stooq" }, { provider: "fred", series: "DCOILWTICO" }],
+  "^spx": [{ provider: "stooq" }, { provider: "fred", series: "SP500" }],
+  "^nkx": [{ provider: "stooq" }, { provider: "fred", series: "NIKKEI225" }],
+};
+
+// --- Request pacing (Stooq is friendly until it isn't); retry/backoff lives in http.mjs ---
 const REQUEST_GAP_MS = 800;       // baseline delay between symbols
 const REQUEST_JITTER_MS = 400;    // random extra delay to look less bot-like
 const BATCH_SIZE = 10;            // symbols per batch (lower = gentler on Stooq)
 const BATCH_PAUSE_MS = 7_000;     // pause between batches
 const BATCH_JITTER_MS = 2_000;    // random extra pause between batches
 
-const RETRY_COUNT = 4;            // retries after the initial attempt
-const BACKOFF_BASE_MS = 800;      // exponential backoff base
-const BACKOFF_MAX_MS = 15_000;    // cap backoff so it doesn't explode
 const HISTORY_LIMIT = 45;         // keep payload light but useful for rolling stats
 
-function sleepMs(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
+const MARKET_DIR = path.join("data", "market");
+const MARKET_COLUMNS = ["open", "high", "low", "close", "volume"];
 
 /**
  * Sleep with jitter to avoid perfectly-regular request intervals.
@@ -168,99 +210,14 @@ function sleepJitter(baseMs, jitterMs) {
 }
 
 /**
- * @param {number} attempt 0-based attempt number
- * @returns {number}
- */
-function backoffDelayMs(attempt) {
-  const exp = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * (2 ** attempt));
-  const jitter = Math.floor(Math.random() * 250);
-  return exp + jitter;
-}
-
-/**
- * @param {number} status
- * @returns {boolean}
- */
-function isRetryableStatus(status) {
-  return status === 429 || status === 500 || status === 502 || status === 503 || status === 504;
-}
-
-/**
- * Fetch text with retry + exponential backoff. Honors Retry-After when present.
- * @param {string} url
- * @param {RequestInit} options
- * @param {string} label
- * @returns {Promise<string>}
- */
-async function fetchTextWithRetry(url, options, label) {
-  let lastErr = null;
-
-  for (let attempt = 0; attempt <= RETRY_COUNT; attempt++) {
-    try {
-      const res = await fetch(url, options);
-
-      if (res.ok) {
-        return await res.text();
-      }
-
-      const status = res.status;
-      const retryable = isRetryableStatus(status);
-
-      if (!retryable || attempt === RETRY_COUNT) {
-        throw new Error(`${label} HTTP ${status}`);
-      }
-
-      const ra = res.headers.get("retry-after");
-      let waitMs = backoffDelayMs(attempt);
-
-      if (ra) {
-        const raNum = Number(ra);
-        if (Number.isFinite(raNum) && raNum >= 0) {
-          waitMs = Math.min(BACKOFF_MAX_MS, Math.floor(raNum * 1000));
-        }
-      }
-
-      console.warn(`${label}: retrying after HTTP ${status} (attempt ${attempt + 1}/${RETRY_COUNT + 1}) in ${waitMs}ms`);
-      await sleepMs(waitMs);
-    } catch (e) {
-      lastErr = e;
-
-      if (attempt === RETRY_COUNT) break;
-
-      const waitMs = backoffDelayMs(attempt);
-      console.warn(`${label}: network error, retrying (attempt ${attempt + 1}/${RETRY_COUNT + 1}) in ${waitMs}ms`);
-      await sleepMs(waitMs);
-    }
-  }
-
-  throw lastErr instanceof Error ? lastErr : new Error(String(lastErr));
-}
-
-/**
- * Parse Stooq daily CSV and return the latest snapshot plus trailing history.
- * @param {string} csv
+ * Reduce provider rows to the latest snapshot plus trailing history.
+ * @param {Array<{date:string, close:number}>} rows ascending
  * @param {number} maxPoints
  * @returns {{date:string, close:number, prevDate:(string|null), prevClose:(number|null), history:Array<{date:string,close:number}>}}
  */
-function parseLastCloseMaybePrev(csv, maxPoints = HISTORY_LIMIT) {
-  const lines = csv.trim().split("\n").filter(Boolean);
-
-  // Expect at least: header + 1 row
-  if (lines.length < 2) {
-    throw new Error("No daily data returned (header-only CSV)");
-  }
-
-  const rows = [];
-  for (const line of lines.slice(1)) {
-    const parts = line.split(",");
-    const date = String(parts[0] ?? "").trim();
-    const close = Number(parts[4]);
-    if (!date || !Number.isFinite(close)) continue;
-    rows.push({ date, close });
-  }
-
+function summarizeRows(rows, maxPoints = HISTORY_LIMIT) {
   if (!rows.length) {
-    throw new Error("No numeric close values in daily CSV");
+    throw new Error("No numeric close values");
   }
 
   const last = rows[rows.length - 1];
@@ -271,7 +228,7 @@ function parseLastCloseMaybePrev(csv, maxPoints = HISTORY_LIMIT) {
     throw new Error("Close value is not numeric");
   }
 
-  const history = rows.slice(-Math.max(2, maxPoints));
+  const history = rows.slice(-Math.max(2, maxPoints)).map(r => ({ date: r.date, close: r.close }));
 
   // If we have at least two data rows, compute prev
   if (rows.length >= 2) {
@@ -292,22 +249,73 @@ function parseLastCloseMaybePrev(csv, maxPoints = HISTORY_LIMIT) {
 }
 
 /**
- * Fetch Stooq daily CSV for a symbol.
+ * File name for a symbol's history: lowercase, anything outside [a-z0-9.-] becomes "_"
+ * ("^spx" -> "_spx.csv"). markets.html mirrors this in marketCsvPath().
  * @param {string} sym
- * @returns {Promise<string>}
+ * @returns {string}
  */
-async function fetchStooqDailyCsv(sym) {
-  const url = `https://stooq.com/q/d/l/?s=${encodeURIComponent(sym)}&i=d`;
-  return await fetchTextWithRetry(
-    url,
-    {
-      headers: {
-        "user-agent": "LiberalMarketsTapeBot/1.0 (GitHub Actions)",
-        "accept": "text/csv,*/*",
-      },
-    },
-    `Daily CSV ${sym}`
-  );
+function marketCsvPath(sym) {
+  return path.join(MARKET_DIR, `${String(sym).toLowerCase().replace(/[^a-z0-9.-]/g, "_")}.csv`);
+}
+
+/**
+ * Parse a data/market CSV into a Map of date -> row (missing fields stay undefined).
+ * @param {string} text
+ * @returns {Map<string, Object>}
+ */
+function parseMarketCsv(text) {
+  const { header, rows } = LMData.parseCsv(text);
+  const byDate = new Map();
+
+  for (const parts of rows) {
+    const date = parts[0];
+    if (!date) continue;
+
+    const row = { date };
+    header.forEach((col, i) => {
+      if (!i || !MARKET_COLUMNS.includes(col) || parts[i] === "" || parts[i] == null) return;
+      const v = Number(parts[i]);
+      if (Number.isFinite(v)) row[col] = v;
+    });
+    if (Number.isFinite(row.close)) byDate.set(date, row);
+  }
+  return byDate;
+}
+
+/**
+ * Merge freshly fetched rows into the symbol's history file, like the FRED CSVs:
+ * dates we already have are refreshed, older history the provider no longer returns is kept.
+ * Fallback providers only supply closes; open/high/low/volume stay blank (or keep an
+ * earlier Stooq value) for those rows.
+ * @param {string} sym
+ * @param {Array<{date:string, close:number, open?:number, high?:number, low?:number, volume?:number}>} rows
+ * @returns {Promise<{added:number, total:number}>}
+ */
+async function appendMarketHistory(sym, rows) {
+  const filePath = marketCsvPath(sym);
+  let existing = new Map();
+  try {
+    existing = parseMarketCsv(await fs.readFile(filePath, "utf8"));
+  } catch {
+    // first run for this symbol
+  }
+
+  const before = existing.size;
+  for (const r of rows) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(r.date) || !Number.isFinite(r.close)) continue;
+    existing.set(r.date, { ...existing.get(r.date), ...r });
+  }
+
+  const fmt = (v) => (Number.isFinite(v) ? String(v) : "");
+  const lines = [["date", ...MARKET_COLUMNS].join(",")];
+  for (const date of [...existing.keys()].sort()) {
+    const r = existing.get(date);
+    lines.push([date, ...MARKET_COLUMNS.map(c => fmt(r[c]))].join(","));
+  }
+
+  await fs.mkdir(MARKET_DIR, { recursive: true });
+  await fs.writeFile(filePath, lines.join("\n") + "\n", "utf8");
+  return { added: existing.size - before, total: existing.size };
 }
 
 /**
@@ -321,30 +329,42 @@ function pctChange(close, prevClose) {
 }
 
 /**
- * Read prior output to provide a fallback prev close when daily CSV is missing it.
+ * @typedef {{date:(string|null),close:number,prevDate:(string|null),prevClose:(number|null),deltaPct:(number|null),history:Array<{date:string,close:number}>,provider:(string|null),lastGoodAt:(string|null)}} LastGood
+ */
+
+/**
+ * Read prior output: the last good values per symbol. Used to fill a missing prev close,
+ * and carried forward (stale) when a symbol fails outright this run.
+ * Items that were already stale keep their original lastGoodAt.
  * @param {string} path
- * @returns {Promise<Map<string,{date:(string|null),close:number,prevDate:(string|null),prevClose:(number|null)}>>}
+ * @returns {Promise<Map<string,LastGood>>}
  */
 async function readExistingItemsMap(path) {
   try {
     const text = await fs.readFile(path, "utf8");
     const json = JSON.parse(text);
     const items = Array.isArray(json?.items) ? json.items : [];
+    const generatedAt = typeof json?.generatedAt === "string" ? json.generatedAt : null;
     const map = new Map();
 
     for (const item of items) {
       if (!item || typeof item.sym !== "string") continue;
-      if (item.ok !== true) continue;
+      if (item.ok !== true && item.stale !== true) continue;
 
       const close = Number(item.close);
       if (!Number.isFinite(close)) continue;
 
       const prevClose = Number(item.prevClose);
+      const deltaPct = Number(item.deltaPct);
       map.set(item.sym, {
         date: typeof item.date === "string" ? item.date : null,
         close,
         prevDate: typeof item.prevDate === "string" ? item.prevDate : null,
         prevClose: Number.isFinite(prevClose) ? prevClose : null,
+        deltaPct: Number.isFinite(deltaPct) ? deltaPct : null,
+        history: Array.isArray(item.history) ? item.history : [],
+        provider: typeof item.provider === "string" ? item.provider : null,
+        lastGoodAt: item.stale ? (item.lastGoodAt ?? null) : generatedAt,
       });
     }
 
@@ -357,7 +377,7 @@ async function readExistingItemsMap(path) {
 /**
  * Fill missing prevClose using prior run data if possible.
  * @param {{date:string,close:number,prevDate:(string|null),prevClose:(number|null),deltaPct:number}} cur
- * @param {{date:(string|null),close:number,prevDate:(string|null),prevClose:(number|null)}|undefined} fallback
+ * @param {LastGood|undefined} fallback
  * @returns {{date:string,close:number,prevDate:(string|null),prevClose:(number|null),deltaPct:number}}
  */
 function applyPrevFallback(cur, fallback) {
@@ -387,117 +407,102 @@ function applyPrevFallback(cur, fallback) {
   return cur;
 }
 
-/**
- * Fetch a single quote row from Stooq (works even when daily history is missing).
- * @param {string} sym
- * @returns {Promise<{date:string, close:number}>}
- */
-async function fetchStooqQuote(sym) {
-  // f=sd2t2c = symbol, date, time, close (simple)
-  const url = `https://stooq.com/q/l/?s=${encodeURIComponent(sym)}&f=sd2t2c&h&e=csv`;
-  const text = await fetchTextWithRetry(
-    url,
-    {
-      headers: {
-        "user-agent": "LiberalMarketsTapeBot/1.0 (GitHub Actions)",
-        "accept": "text/csv,*/*",
-      },
-    },
-    `Quote ${sym}`
-  );
-
-  const lines = text.trim().split("\n").filter(Boolean);
-  if (lines.length < 2) throw new Error("No quote data returned");
-
-  // header: Symbol,Date,Time,Close
-  const row = lines[1].split(",");
-  const date = row[1];
-  const close = Number(row[3]);
-  if (!Number.isFinite(close)) throw new Error("Quote close not numeric");
-
-  return { date, close };
-}
+/** Symbols whose data/market CSV was already updated this run. */
+const historyWritten = new Set();
 
 /**
- * Fetch daily history (fallback to quote) and compute last close + prev close + pct.
+ * Walk the symbol's provider chain and compute last close + prev close + pct.
+ * If every provider fails and a prior run had the symbol, the last good values are
+ * carried forward with ok:false, stale:true and lastGoodAt so the page can show them dimmed.
+ * On success the full provider history is also merged into data/market/<sym>.csv.
  * @param {{sym:string,name:string,group?:string}} w
- * @param {Map<string,{date:(string|null),close:number,prevDate:(string|null),prevClose:(number|null)}>} fallbackMap
- * @returns {Promise<{sym:string,name:string,group:(string|null),date?:string,close?:number,prevDate?:(string|null),prevClose?:(number|null),deltaPct?:number,history?:Array<{date:string,close:number}>,ok:boolean,error?:string}>}
+ * @param {Map<string,LastGood>} fallbackMap
+ * @returns {Promise<{sym:string,name:string,group:(string|null),date?:string,close?:number,prevDate?:(string|null),prevClose?:(number|null),deltaPct?:number,history?:Array<{date:string,close:number}>,provider?:string,ok:boolean,stale?:boolean,lastGoodAt?:(string|null),error?:string}>}
  */
 async function fetchOne(w, fallbackMap) {
-  try {
-    const csv = await fetchStooqDailyCsv(w.sym);
+  const chain = PROVIDER_CHAINS[w.sym] || DEFAULT_CHAIN;
+  const errors = [];
 
-    // Detect header-only CSV quickly
-    const lines = csv.trim().split("\n").filter(Boolean);
-
-    let date, close, prevDate = null, prevClose = null, deltaPct = 0;
-    let history = [];
-
-    if (lines.length >= 2) {
-      const parsed = parseLastCloseMaybePrev(csv);
-      date = parsed.date;
-      close = parsed.close;
-      prevDate = parsed.prevDate;
-      prevClose = parsed.prevClose;
-      history = parsed.history;
-
-      if (prevClose !== null && prevClose !== 0) {
-        deltaPct = pctChange(close, prevClose);
+  for (const source of chain) {
+    try {
+      const rows = await fetchQuoteRows(w.sym, source);
+      const parsed = summarizeRows(rows);
+      const deltaPct = parsed.prevClose !== null && parsed.prevClose !== 0
+        ? pctChange(parsed.close, parsed.prevClose)
+        : 0;
+
+      const withFallback = applyPrevFallback(
+        { date: parsed.date, close: parsed.close, prevDate: parsed.prevDate, prevClose: parsed.prevClose, deltaPct },
+        fallbackMap?.get(w.sym)
+      );
+
+      if (errors.length) console.warn(`${w.sym}: served by ${sourceLabel(source)} after ${errors.join("; ")}`);
+
+      // Symbols on both lists are fetched twice per run; the history only needs writing once.
+      if (!historyWritten.has(w.sym)) {
+        historyWritten.add(w.sym);
+        try {
+          const { added, total } = await appendMarketHistory(w.sym, rows);
+          if (added) console.log(`${w.sym}: +${added} rows in ${marketCsvPath(w.sym)} (${total} total)`);
+        } catch (e) {
+          console.warn(`${w.sym}: could not update history: ${e instanceof Error ? e.message : String(e)}`);
+        }
       }
-    } else {
-      // Truly empty: fallback to quote
-      const q = await fetchStooqQuote(w.sym);
-      date = q.date;
-      close = q.close;
-      deltaPct = 0;
-      history = [{ date: q.date, close: q.close }];
-    }
 
-    // If header-only daily (lines length == 1), fallback to quote
-    if (lines.length === 1) {
-      const q = await fetchStooqQuote(w.sym);
-      date = q.date;
-      close = q.close;
-      prevDate = null;
-      prevClose = null;
-      deltaPct = 0;
-      history = [{ date: q.date, close: q.close }];
+      return {
+        sym: w.sym,
+        name: w.name,
+        group: w.group ?? null,
+        date: withFallback.date,
+        close: withFallback.close,
+        prevDate: withFallback.prevDate,
+        prevClose: withFallback.prevClose,
+        deltaPct: withFallback.deltaPct,
+        history: parsed.history,
+        provider: sourceLabel(source),
+        ok: true,
+      };
+    } catch (err) {
+      errors.push(`${sourceLabel(source)}: ${err instanceof Error ? err.message : String(err)}`);
     }
+  }
 
-    const withFallback = applyPrevFallback(
-      { date, close, prevDate, prevClose, deltaPct },
-      fallbackMap?.get(w.sym)
-    );
+  const error = errors.join("; ");
+  const last = fallbackMap?.get(w.sym);
 
+  if (last) {
     return {
       sym: w.sym,
       name: w.name,
       group: w.group ?? null,
-      date: withFallback.date,
-      close: withFallback.close,
-      prevDate: withFallback.prevDate,
-      prevClose: withFallback.prevClose,
-      deltaPct: withFallback.deltaPct,
-      history,
-      ok: true,
-    };
-  } catch (err) {
-    return {
-      sym: w.sym,
-      name: w.name,
-      group: w.group ?? null,
+      date: last.date,
+      close: last.close,
+      prevDate: last.prevDate,
+      prevClose: last.prevClose,
+      deltaPct: last.deltaPct ?? 0,
+      history: last.history,
+      provider: last.provider,
       ok: false,
-      error: err instanceof Error ? err.message : String(err),
+      stale: true,
+      lastGoodAt: last.lastGoodAt,
+      error,
     };
   }
+
+  return {
+    sym: w.sym,
+    name: w.name,
+    group: w.group ?? null,
+    ok: false,
+    error,
+  };
 }
 
 /**
  * Process a watchlist in small batches with delays between each request and batch.
  * @param {string} label
  * @param {Array<{sym:string,name:string,group?:string}>} list
- * @param {Map<string,{date:(string|null),close:number,prevDate:(string|null),prevClose:(number|null)}>} fallbackMap
+ * @param {Map<string,LastGood>} fallbackMap
  * @returns {Promise<Array<any>>}
  */
 async function fetchInBatches(label, list, fallbackMap) {
@@ -525,6 +530,16 @@ async function fetchInBatches(label, list, fallbackMap) {
   return out;
 }
 
+/**
+ * Provider names that answered this run, e.g. "stooq+fred".
+ * @param {Array<{provider?:string, ok:boolean}>} items
+ * @returns {string}
+ */
+function providersUsed(items) {
+  const names = new Set(items.filter((x) => x.ok && x.provider).map((x) => x.provider.split(":")[0]));
+  return names.size ? [...names].join("+") : "stooq";
+}
+
 async function main() {
   const [priorTapeMap, priorHeatmapMap] = await Promise.all([
     readExistingItemsMap("tape.json"),
@@ -537,28 +552,32 @@ async function main() {
 
   const payload = {
     generatedAt: now,
-    source: "stooq",
+    source: providersUsed(results),
     items: results,
   };
 
   await fs.writeFile("tape.json", JSON.stringify(payload, null, 2) + "\n", "utf8");
-  console.log(`Wrote tape.json with ${results.length} items @ ${now}`);
+  console.log(`Wrote tape.json with ${results.length} items (${results.filter((x) => x.stale).length} stale) @ ${now}`);
 
-  // Build heatmap payload (bigger watchlist) from the same Stooq source
+  // Build heatmap payload (bigger watchlist) from the same provider chains
   const heatmapItems = await fetchInBatches("heatmap", HEATMAP, priorHeatmapMap);
 
   const heatmapPayload = {
     generatedAt: now,
-    source: "stooq",
+    source: providersUsed(heatmapItems),
     items: heatmapItems,
   };
 
   await fs.writeFile("heatmap.json", JSON.stringify(heatmapPayload, null, 2) + "\n", "utf8");
-  console.log(`Wrote heatmap.json with ${heatmapItems.length} items @ ${now}`);
+  console.log(`Wrote heatmap.json with ${heatmapItems.length} items (${heatmapItems.filter((x) => x.stale).length} stale) @ ${now}`);
 
-  // If everything failed, exit non-zero so you notice.
+  // Nothing fetched but earlier closes carried forward: still write and let
+  // validate-data.mjs judge their age. Nothing to show at all: exit non-zero so you notice.
   const okCount = results.filter((x) => x.ok).length;
-  if (okCount === 0) {
+  const staleCount = results.filter((x) => x.stale).length;
+  if (okCount === 0 && staleCount > 0) {
+    console.warn(`All symbols failed this run; ${staleCount} carried forward as stale.`);
+  } else if (okCount === 0) {
     console.error("All symbols failed. Check symbol naming / Stooq availability.");
     process.exit(2);
   }
@@ -0,0 +1,221 @@
+/**
+ * Shared HTTP layer for the data fetch scripts.
+ * - fetchWithRetry(): retry + exponential backoff, honors Retry-After
+ * - Record/replay fixtures so scripts can run offline and deterministically:
+ *     node scripts/fetch-tape.mjs --record   # hit the network, save every response
+ *     node scripts/fetch-tape.mjs --replay   # serve saved responses, no network
+ *   (or HTTP_FIXTURES=record|replay). Fixtures live in scripts/fixtures/http/
+ *   (override with HTTP_FIXTURES_DIR), one JSON file per request.
+ * - Fixture keys drop secrets (api_key, token, ...) so FRED keys never land in git.
+ * - Every attempt is recorded in order, so a 503-then-200 sequence replays the same
+ *   way and exercises the retry path.
+ * - scripts/test/ replays the committed FRED set (node --test scripts/test/).
+ */
+
+import fs from "node:fs/promises";
+import { readFileSync, existsSync } from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const RETRY_COUNT = 4;            // retries after the initial attempt
+const BACKOFF_BASE_MS = 800;      // exponential backoff base
+const BACKOFF_MAX_MS = 15_000;    // cap backoff so it doesn't explode
+
+const SECRET_PARAMS = ["api_key", "apikey", "token", "access_token", "key"];
+
+/** @type {"live"|"record"|"replay"} */
+export const HTTP_MODE =
+  process.argv.includes("--replay") || process.env.HTTP_FIXTURES === "replay" ? "replay" :
+  process.argv.includes("--record") || process.env.HTTP_FIXTURES === "record" ? "record" :
+  "live";
+
+const FIXTURES_DIR = process.env.HTTP_FIXTURES_DIR
+  ? path.resolve(process.env.HTTP_FIXTURES_DIR)
+  : path.join(SCRIPT_DIR, "fixtures", "http");
+
+/** Attempts seen per fixture key during this process (record + replay). */
+const attemptsByKey = new Map();
+
+/**
+ * Sleep, except in replay mode where pacing and backoff would only slow tests down.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function sleepMs(ms) {
+  if (HTTP_MODE === "replay") return Promise.resolve();
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * @param {number} attempt 0-based attempt number
+ * @returns {number}
+ */
+function backoffDelayMs(attempt) {
+  const exp = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * (2 ** attempt));
+  const jitter = Math.floor(Math.random() * 250);
+  return exp + jitter;
+}
+
+/**
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status === 500 || status === 502 || status === 503 || status === 504;
+}
+
+/**
+ * URL with secret query params removed (used for fixture keys and logs).
+ * @param {string} url
+ * @returns {string}
+ */
+export function redactUrl(url) {
+  const u = new URL(url);
+  for (const p of SECRET_PARAMS) u.searchParams.delete(p);
+  u.searchParams.sort();
+  return u.toString();
+}
+
+/**
+ * @param {string} url
+ * @param {RequestInit} options
+ * @returns {string} path of the fixture file for this request
+ */
+function fixturePath(url, options) {
+  const method = String(options?.method || "GET").toUpperCase();
+  const safeUrl = redactUrl(url);
+  const hash = crypto.createHash("sha1").update(`${method} ${safeUrl}`).digest("hex").slice(0, 16);
+  const host = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, "_");
+  return path.join(FIXTURES_DIR, `${host}-${hash}.json`);
+}
+
+/**
+ * Serve the next recorded response for this request.
+ * @returns {Response}
+ */
+function replayResponse(url, options) {
+  const file = fixturePath(url, options);
+  if (!existsSync(file)) {
+    const err = new Error(`No HTTP fixture for ${redactUrl(url)} (${path.relative(process.cwd(), file)}); run once with --record`);
+    err.code = "ENOFIXTURE";
+    throw err;
+  }
+
+  const fixture = JSON.parse(readFileSync(file, "utf8"));
+  const seen = attemptsByKey.get(file) || 0;
+  attemptsByKey.set(file, seen + 1);
+
+  const responses = Array.isArray(fixture.responses) ? fixture.responses : [];
+  const r = responses[Math.min(seen, responses.length - 1)];
+  if (!r) throw new Error(`Empty HTTP fixture ${file}`);
+  if (r.error) throw new Error(r.error);
+
+  return new Response(r.body, { status: r.status, headers: r.headers || {} });
+}
+
+/**
+ * Append one attempt (response or network error) to the fixture for this request.
+ * The first attempt in a process starts the file fresh.
+ */
+async function recordAttempt(url, options, entry) {
+  const file = fixturePath(url, options);
+  const seen = attemptsByKey.get(file) || 0;
+  attemptsByKey.set(file, seen + 1);
+
+  let fixture = { method: String(options?.method || "GET").toUpperCase(), url: redactUrl(url), responses: [] };
+  if (seen > 0) {
+    try {
+      fixture = JSON.parse(await fs.readFile(file, "utf8"));
+    } catch {
+      // start over
+    }
+  }
+  fixture.recordedAt = new Date().toISOString();
+  fixture.responses.push(entry);
+
+  await fs.mkdir(FIXTURES_DIR, { recursive: true });
+  await fs.writeFile(file, JSON.stringify(fixture, null, 2) + "\n", "utf8");
+}
+
+/**
+ * One request, honoring the record/replay mode.
+ * @param {string} url
+ * @param {RequestInit} options
+ * @returns {Promise<Response>}
+ */
+async function fetchOnce(url, options) {
+  if (HTTP_MODE === "replay") return replayResponse(url, options);
+  if (HTTP_MODE === "live") return fetch(url, options);
+
+  let res;
+  try {
+    res = await fetch(url, options);
+  } catch (e) {
+    await recordAttempt(url, options, { error: e?.message || String(e) });
+    throw e;
+  }
+
+  const body = await res.text();
+  const headers = {};
+  for (const h of ["content-type", "retry-after"]) {
+    const v = res.headers.get(h);
+    if (v != null) headers[h] = v;
+  }
+  await recordAttempt(url, options, { status: res.status, headers, body });
+  return new Response(body, { status: res.status, headers });
+}
+
+/**
+ * Fetch with retry + exponential backoff. Honors Retry-After when present.
+ * Resolves with the final Response (ok or not); callers decide what a bad status means.
+ * Rejects only if every attempt failed at the network level.
+ * @param {string} url
+ * @param {RequestInit} [options]
+ * @param {{label?: string, retries?: number}} [opts]
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, options = {}, opts = {}) {
+  const label = opts.label || redactUrl(url);
+  const retries = Number.isInteger(opts.retries) ? opts.retries : RETRY_COUNT;
+  let lastErr = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    let res;
+    try {
+      res = await fetchOnce(url, options);
+    } catch (e) {
+      lastErr = e;
+
+      if (e?.code === "ENOFIXTURE" || attempt === retries) break;
+
+      const waitMs = backoffDelayMs(attempt);
+      console.warn(`${label}: network error, retrying (attempt ${attempt + 1}/${retries + 1}) in ${waitMs}ms`);
+      await sleepMs(waitMs);
+      continue;
+    }
+
+    if (res.ok || !isRetryableStatus(res.status) || attempt === retries) return res;
+
+    const ra = res.headers.get("retry-after");
+    let waitMs = backoffDelayMs(attempt);
+
+    if (ra) {
+      const raNum = Number(ra);
+      if (Number.isFinite(raNum) && raNum >= 0) {
+        waitMs = Math.min(BACKOFF_MAX_MS, Math.floor(raNum * 1000));
+      }
+    }
+
+    console.warn(`${label}: retrying after HTTP ${res.status} (attempt ${attempt + 1}/${retries + 1}) in ${waitMs}ms`);
+    await sleepMs(waitMs);
+  }
+
+  throw lastErr instanceof Error ? lastErr : new Error(String(lastErr));
+}
+
+if (HTTP_MODE !== "live") {
+  console.log(`HTTP ${HTTP_MODE} mode: fixtures in ${path.relative(process.cwd(), FIXTURES_DIR) || "."}`);
+}
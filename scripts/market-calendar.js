@@ -0,0 +1,450 @@
+/**
+ * market-calendar.js
+ * Exchange calendars for NYSE, LSE, XETRA, TSE and HKEX:
+ * - regular sessions (with lunch breaks), pre/after windows, half-day schedules
+ * - holidays computed per year from each exchange's rules (observed/substitute days),
+ *   plus one-off closures that no rule predicts
+ * - sessionState(): what an exchange is doing right now, in its own time zone
+ *
+ * Loaded by markets.html (window.MarketCalendar) and imported by scripts/fetch-tape.mjs
+ * (CommonJS default export), so the page pills and the fetch schedule agree.
+ * Times are minutes after local midnight; dates are "YYYY-MM-DD" in the exchange's zone.
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.MarketCalendar = api;
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  /**
+   * @typedef {[number, number]} Window  [start, end) in local minutes
+   * @typedef {{pre: Window|null, sessions: Window[], after: Window|null}} Schedule
+   * @typedef {{name:string, tz:string, regular:Schedule, halfDay:Schedule|null, holidays:(year:number) => Array<[string, string, Substitute]>, halfDays:(year:number, closed:Map<string,string>) => string[], extraClosures?:Object<string,string>}} Exchange
+   * @typedef {"none"|"observed"|"sunday"|"weekend"} Substitute
+   *   observed: Sat -> Fri, Sun -> Mon (US). sunday: Sun -> next free weekday (HK, JP).
+   *   weekend: Sat/Sun -> next free weekday (UK).
+   */
+
+  const H = (h, m = 0) => h * 60 + m;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // --- Date helpers (UTC-based so local time zones never shift a calendar day) ---
+
+  function ymd(y, m, d) {
+    const dt = new Date(Date.UTC(y, m - 1, d));
+    return dt.toISOString().slice(0, 10);
+  }
+
+  function addDays(date, n) {
+    return new Date(Date.parse(date) + n * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /** 0 = Sunday … 6 = Saturday */
+  function dow(date) {
+    return new Date(Date.parse(date)).getUTCDay();
+  }
+
+  function isWeekend(date) {
+    const d = dow(date);
+    return d === 0 || d === 6;
+  }
+
+  /** nth (1-based) weekday of a month; n = -1 for the last one. */
+  function nthWeekday(year, month, weekday, n) {
+    if (n > 0) {
+      const first = dow(ymd(year, month, 1));
+      return ymd(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+    }
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const last = dow(ymd(year, month, lastDay));
+    return ymd(year, month, lastDay - ((last - weekday + 7) % 7));
+  }
+
+  /** Gregorian Easter Sunday (anonymous algorithm). */
+  function easter(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return ymd(year, month, day);
+  }
+
+  /**
+   * Resolve a year's rule list into closed dates. Holidays that land on a weekday are
+   * placed first, then weekend ones move to their substitute day (in date order, skipping
+   * days already taken), which is how the UK and HK stack Christmas and Boxing Day.
+   * @param {Array<[string, string, Substitute]>} list [name, date, substitute]
+   * @returns {Map<string,string>} date -> holiday name
+   */
+  function resolveHolidays(list) {
+    const out = new Map();
+    const sorted = [...list].sort((a, b) => a[1].localeCompare(b[1]));
+
+    for (const [name, date] of sorted) {
+      if (!isWeekend(date) && !out.has(date)) out.set(date, name);
+    }
+
+    for (const [name, date, sub] of sorted) {
+      if (!isWeekend(date) || sub === "none") continue;
+      const d = dow(date);
+
+      if (sub === "observed") {
+        const moved = d === 6 ? addDays(date, -1) : addDays(date, 1);
+        if (!out.has(moved)) out.set(moved, `${name} (observed)`);
+        continue;
+      }
+      if (sub === "sunday" && d !== 0) continue;
+
+      let next = addDays(date, 1);
+      while (isWeekend(next) || out.has(next)) next = addDays(next, 1);
+      out.set(next, `${name} (substitute)`);
+    }
+    return out;
+  }
+
+  // --- Japan: national holidays + TSE year-end closure ---
+
+  function vernalEquinox(year) {
+    return ymd(year, 3, Math.floor(20.8431 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4)));
+  }
+
+  function autumnalEquinox(year) {
+    return ymd(year, 9, Math.floor(23.2488 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4)));
+  }
+
+  function tseHolidays(year) {
+    const national = [
+      ["New Year's Day", ymd(year, 1, 1)],
+      ["Coming of Age Day", nthWeekday(year, 1, 1, 2)],
+      ["National Foundation Day", ymd(year, 2, 11)],
+      ["Emperor's Birthday", ymd(year, 2, 23)],
+      ["Vernal Equinox Day", vernalEquinox(year)],
+      ["Showa Day", ymd(year, 4, 29)],
+      ["Constitution Memorial Day", ymd(year, 5, 3)],
+      ["Greenery Day", ymd(year, 5, 4)],
+      ["Children's Day", ymd(year, 5, 5)],
+      ["Marine Day", nthWeekday(year, 7, 1, 3)],
+      ["Mountain Day", ymd(year, 8, 11)],
+      ["Respect for the Aged Day", nthWeekday(year, 9, 1, 3)],
+      ["Autumnal Equinox Day", autumnalEquinox(year)],
+      ["Sports Day", nthWeekday(year, 10, 1, 2)],
+      ["Culture Day", ymd(year, 11, 3)],
+      ["Labour Thanksgiving Day", ymd(year, 11, 23)],
+    ];
+
+    // Citizens' holiday: a day sandwiched between two national holidays (e.g. September).
+    const dates = new Set(national.map(([, d]) => d));
+    const citizens = [];
+    for (const d of dates) {
+      const mid = addDays(d, 1);
+      if (dates.has(addDays(d, 2)) && !dates.has(mid) && dow(mid) !== 0) citizens.push(["Citizens' Holiday", mid]);
+    }
+
+    return [
+      ...national.map(([name, d]) => [name, d, "sunday"]),
+      ...citizens.map(([name, d]) => [name, d, "none"]),
+      ["Year-end closure", ymd(year, 1, 2), "none"],
+      ["Year-end closure", ymd(year, 1, 3), "none"],
+      ["Year-end closure", ymd(year, 12, 31), "none"],
+    ];
+  }
+
+  // --- Hong Kong: lunar-calendar holidays come from the published tables below ---
+
+  /**
+   * Lunar New Year's Day, Ching Ming, Buddha's Birthday, Tuen Ng, the day after
+   * Mid-Autumn and Chung Yeung, per year. Extend when the HK government publishes
+   * the next year's list; years not listed only get the fixed-date holidays.
+   */
+  const HK_LUNAR = {
+    2024: { lny: "2024-02-10", chingMing: "2024-04-04", buddha: "2024-05-15", tuenNg: "2024-06-10", midAutumn: "2024-09-18", chungYeung: "2024-10-11" },
+    2025: { lny: "2025-01-29", chingMing: "2025-04-04", buddha: "2025-05-05", tuenNg: "2025-05-31", midAutumn: "2025-10-07", chungYeung: "2025-10-29" },
+    2026: { lny: "2026-02-17", chingMing: "2026-04-05", buddha: "2026-05-24", tuenNg: "2026-06-19", midAutumn: "2026-09-26", chungYeung: "2026-10-18" },
+    2027: { lny: "2027-02-06", chingMing: "2027-04-05", buddha: "2027-05-13", tuenNg: "2027-06-09", midAutumn: "2027-09-16", chungYeung: "2027-10-08" },
+    2028: { lny: "2028-01-26", chingMing: "2028-04-04", buddha: "2028-05-02", tuenNg: "2028-05-28", midAutumn: "2028-10-04", chungYeung: "2028-10-26" },
+  };
+
+  function hkexHolidays(year) {
+    const e = easter(year);
+    const list = [
+      ["New Year's Day", ymd(year, 1, 1), "sunday"],
+      ["Good Friday", addDays(e, -2), "none"],
+      ["Easter Monday", addDays(e, 1), "none"],
+      ["Labour Day", ymd(year, 5, 1), "sunday"],
+      ["HKSAR Establishment Day", ymd(year, 7, 1), "sunday"],
+      ["National Day", ymd(year, 10, 1), "sunday"],
+      ["Christmas Day", ymd(year, 12, 25), "sunday"],
+    ];
+
+    // "The first weekday after Christmas Day" is its own holiday.
+    let boxing = ymd(year, 12, 26);
+    while (isWeekend(boxing)) boxing = addDays(boxing, 1);
+    list.push(["First weekday after Christmas", boxing, "none"]);
+
+    const lunar = HK_LUNAR[year];
+    if (lunar) {
+      const lnyDays = [0, 1, 2].map((n) => addDays(lunar.lny, n));
+      lnyDays.forEach((d, i) => list.push([`Lunar New Year (day ${i + 1})`, d, "none"]));
+      // A Sunday inside the first three days makes the fourth day a holiday.
+      if (lnyDays.some((d) => dow(d) === 0)) list.push(["Lunar New Year (day 4)", addDays(lunar.lny, 3), "none"]);
+
+      list.push(
+        ["Ching Ming Festival", lunar.chingMing, "sunday"],
+        ["Buddha's Birthday", lunar.buddha, "sunday"],
+        ["Tuen Ng Festival", lunar.tuenNg, "sunday"],
+        ["Day after Mid-Autumn Festival", lunar.midAutumn, "sunday"],
+        ["Chung Yeung Festival", lunar.chungYeung, "sunday"],
+      );
+    }
+    return list;
+  }
+
+  /**
+   * Weekday, non-holiday dates from a candidate list (half-day eves).
+   * @param {string[]} dates
+   * @param {Map<string,string>} closed
+   */
+  function openWeekdays(dates, closed) {
+    return dates.filter((d) => d && !isWeekend(d) && !closed.has(d));
+  }
+
+  /** @type {Object<string, Exchange>} */
+  const EXCHANGES = {
+    NYSE: {
+      name: "New York Stock Exchange",
+      tz: "America/New_York",
+      regular: { pre: [H(4), H(9, 30)], sessions: [[H(9, 30), H(16)]], after: [H(16), H(20)] },
+      halfDay: { pre: [H(4), H(9, 30)], sessions: [[H(9, 30), H(13)]], after: [H(13), H(17)] },
+      holidays(year) {
+        const list = [
+          // Jan 1 on a Saturday is not observed on the Friday before.
+          ["New Year's Day", ymd(year, 1, 1), dow(ymd(year, 1, 1)) === 6 ? "none" : "observed"],
+          ["Martin Luther King Jr. Day", nthWeekday(year, 1, 1, 3), "none"],
+          ["Washington's Birthday", nthWeekday(year, 2, 1, 3), "none"],
+          ["Good Friday", addDays(easter(year), -2), "none"],
+          ["Memorial Day", nthWeekday(year, 5, 1, -1), "none"],
+          ["Independence Day", ymd(year, 7, 4), "observed"],
+          ["Labor Day", nthWeekday(year, 9, 1, 1), "none"],
+          ["Thanksgiving Day", nthWeekday(year, 11, 4, 4), "none"],
+          ["Christmas Day", ymd(year, 12, 25), "observed"],
+        ];
+        if (year >= 2022) list.push(["Juneteenth", ymd(year, 6, 19), "observed"]);
+        return list;
+      },
+      halfDays(year, closed) {
+        return openWeekdays([
+          ymd(year, 7, 3),
+          addDays(nthWeekday(year, 11, 4, 4), 1),
+          ymd(year, 12, 24),
+        ], closed);
+      },
+      extraClosures: {
+        "2025-01-09": "National Day of Mourning (President Carter)",
+      },
+    },
+
+    LSE: {
+      name: "London Stock Exchange",
+      tz: "Europe/London",
+      regular: { pre: [H(7), H(8)], sessions: [[H(8), H(16, 30)]], after: [H(16, 30), H(17, 30)] },
+      halfDay: { pre: [H(7), H(8)], sessions: [[H(8), H(12, 30)]], after: [H(12, 30), H(13)] },
+      holidays(year) {
+        const e = easter(year);
+        return [
+          ["New Year's Day", ymd(year, 1, 1), "weekend"],
+          ["Good Friday", addDays(e, -2), "none"],
+          ["Easter Monday", addDays(e, 1), "none"],
+          ["Early May Bank Holiday", year === 2020 ? "2020-05-08" : nthWeekday(year, 5, 1, 1), "none"],
+          ["Spring Bank Holiday", year === 2022 ? "2022-06-02" : nthWeekday(year, 5, 1, -1), "none"],
+          ["Summer Bank Holiday", nthWeekday(year, 8, 1, -1), "none"],
+          ["Christmas Day", ymd(year, 12, 25), "weekend"],
+          ["Boxing Day", ymd(year, 12, 26), "weekend"],
+        ];
+      },
+      halfDays(year, closed) {
+        return openWeekdays([ymd(year, 12, 24), ymd(year, 12, 31)], closed);
+      },
+      extraClosures: {
+        "2022-06-03": "Platinum Jubilee Bank Holiday",
+        "2022-09-19": "State Funeral of Queen Elizabeth II",
+        "2023-05-08": "Coronation Bank Holiday",
+      },
+    },
+
+    XETRA: {
+      name: "Xetra (Frankfurt)",
+      tz: "Europe/Berlin",
+      regular: { pre: [H(8), H(9)], sessions: [[H(9), H(17, 30)]], after: null },
+      halfDay: null,
+      holidays(year) {
+        const e = easter(year);
+        return [
+          ["New Year's Day", ymd(year, 1, 1), "none"],
+          ["Good Friday", addDays(e, -2), "none"],
+          ["Easter Monday", addDays(e, 1), "none"],
+          ["Labour Day", ymd(year, 5, 1), "none"],
+          ["Christmas Eve", ymd(year, 12, 24), "none"],
+          ["Christmas Day", ymd(year, 12, 25), "none"],
+          ["Boxing Day", ymd(year, 12, 26), "none"],
+          ["New Year's Eve", ymd(year, 12, 31), "none"],
+        ];
+      },
+      halfDays() {
+        return [];
+      },
+    },
+
+    TSE: {
+      name: "Tokyo Stock Exchange",
+      tz: "Asia/Tokyo",
+      regular: { pre: [H(8), H(9)], sessions: [[H(9), H(11, 30)], [H(12, 30), H(15, 30)]], after: [H(15, 30), H(16)] },
+      halfDay: null,
+      holidays: tseHolidays,
+      halfDays() {
+        return [];
+      },
+    },
+
+    HKEX: {
+      name: "Hong Kong Exchanges",
+      tz: "Asia/Hong_Kong",
+      regular: { pre: [H(9), H(9, 30)], sessions: [[H(9, 30), H(12)], [H(13), H(16)]], after: [H(16), H(16, 10)] },
+      halfDay: { pre: [H(9), H(9, 30)], sessions: [[H(9, 30), H(12)]], after: [H(12), H(12, 10)] },
+      holidays: hkexHolidays,
+      halfDays(year, closed) {
+        const lny = HK_LUNAR[year]?.lny;
+        return openWeekdays([lny ? addDays(lny, -1) : null, ymd(year, 12, 24), ymd(year, 12, 31)], closed);
+      },
+    },
+  };
+
+  /** @type {Map<string, {closed: Map<string,string>, half: Set<string>}>} */
+  const yearCache = new Map();
+
+  /**
+   * Closed dates and half days for one exchange-year (memoized).
+   * @param {string} code e.g. "NYSE"
+   * @param {number} year
+   * @returns {{closed: Map<string,string>, half: Set<string>}}
+   */
+  function calendarYear(code, year) {
+    const key = `${code}:${year}`;
+    if (yearCache.has(key)) return yearCache.get(key);
+
+    const ex = getExchange(code);
+    const closed = resolveHolidays(ex.holidays(year));
+    for (const [date, name] of Object.entries(ex.extraClosures || {})) {
+      if (date.startsWith(`${year}-`)) closed.set(date, name);
+    }
+    const half = new Set(ex.halfDays(year, closed));
+
+    const out = { closed: new Map([...closed].sort((x, y) => x[0].localeCompare(y[0]))), half };
+    yearCache.set(key, out);
+    return out;
+  }
+
+  function getExchange(code) {
+    const ex = EXCHANGES[String(code || "").toUpperCase()];
+    if (!ex) throw new Error(`Unknown exchange: ${code}`);
+    return ex;
+  }
+
+  /**
+   * Holidays (closed weekdays) for a year.
+   * @param {string} code
+   * @param {number} year
+   * @returns {Map<string,string>} date -> name
+   */
+  function holidays(code, year) {
+    return new Map(calendarYear(code, year).closed);
+  }
+
+  /**
+   * What kind of day a local date is on an exchange.
+   * @param {string} code
+   * @param {string} date YYYY-MM-DD in the exchange's time zone
+   * @returns {{date:string, trading:boolean, holiday:(string|null), halfDay:boolean, schedule:(Schedule|null)}}
+   */
+  function dayInfo(code, date) {
+    const ex = getExchange(code);
+    const { closed, half } = calendarYear(code, Number(date.slice(0, 4)));
+
+    if (isWeekend(date)) return { date, trading: false, holiday: null, halfDay: false, schedule: null };
+    if (closed.has(date)) return { date, trading: false, holiday: closed.get(date), halfDay: false, schedule: null };
+
+    const halfDay = half.has(date) && Boolean(ex.halfDay);
+    return { date, trading: true, holiday: null, halfDay, schedule: halfDay ? ex.halfDay : ex.regular };
+  }
+
+  /**
+   * Local calendar date, minutes after midnight and weekday in a time zone.
+   * @param {Date} when
+   * @param {string} timeZone
+   * @returns {{date:string, minutes:number, weekday:string}}
+   */
+  function zonedParts(when, timeZone) {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      weekday: "short",
+    }).formatToParts(when);
+    const get = (t) => parts.find((p) => p.type === t)?.value;
+    return {
+      date: `${get("year")}-${get("month")}-${get("day")}`,
+      minutes: (Number(get("hour")) % 24) * 60 + Number(get("minute")),
+      weekday: get("weekday") || "",
+    };
+  }
+
+  const inWindow = (w, m) => Array.isArray(w) && m >= w[0] && m < w[1];
+
+  /**
+   * Exchange state at an instant.
+   * state: "open" | "lunch" | "pre" | "after" | "closed"
+   * @param {string} code
+   * @param {Date} [when]
+   * @returns {{exchange:string, state:string, date:string, minutes:number, weekday:string, trading:boolean, holiday:(string|null), halfDay:boolean, schedule:(Schedule|null)}}
+   */
+  function sessionState(code, when = new Date()) {
+    const ex = getExchange(code);
+    const local = zonedParts(when, ex.tz);
+    const day = dayInfo(code, local.date);
+    const base = { exchange: String(code).toUpperCase(), ...local, ...day };
+
+    if (!day.trading) return { ...base, state: "closed" };
+
+    const { pre, sessions, after } = day.schedule;
+    const m = local.minutes;
+    let state = "closed";
+    if (sessions.some((w) => inWindow(w, m))) state = "open";
+    else if (m >= sessions[0][0] && m < sessions[sessions.length - 1][1]) state = "lunch";
+    else if (inWindow(pre, m)) state = "pre";
+    else if (inWindow(after, m)) state = "after";
+
+    return { ...base, state };
+  }
+
+  return {
+    EXCHANGES,
+    zonedParts,
+    holidays,
+    dayInfo,
+    sessionState,
+    isTradingDay: (code, date) => dayInfo(code, date).trading,
+  };
+});
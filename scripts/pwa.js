@@ -0,0 +1,73 @@
+/**
+ * pwa.js
+ * Registers the service worker (sw.js) and shows an "Offline — showing data as of X"
+ * banner while the page is running on cached data: when the browser reports offline,
+ * or when sw.js answers a request from cache because the network failed.
+ * X is the cached data manifest's generatedAt.
+ *
+ * Loaded with defer by every installable page; needs nothing else on the page.
+ */
+
+(function () {
+  const BANNER_ID = "offlineBanner";
+  const MANIFEST_PATH = "data/manifest.json";
+
+  /**
+   * @param {string|null} iso
+   * @returns {string}
+   */
+  function fmtAsOf(iso) {
+    const d = iso ? new Date(iso) : null;
+    if (!d || Number.isNaN(d.getTime())) return "the last visit";
+    return d.toLocaleString(undefined, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+  }
+
+  /**
+   * generatedAt of the manifest sw.js last cached, when the banner isn't told.
+   * @returns {Promise<string|null>}
+   */
+  async function cachedAsOf() {
+    if (typeof caches === "undefined") return null;
+    try {
+      const res = await caches.match(new URL(MANIFEST_PATH, document.baseURI).href, { ignoreSearch: true });
+      return res ? (await res.json())?.generatedAt || null : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function showBanner(asOf) {
+    const when = fmtAsOf(asOf || await cachedAsOf());
+    let el = document.getElementById(BANNER_ID);
+    if (!el) {
+      el = document.createElement("div");
+      el.id = BANNER_ID;
+      el.setAttribute("role", "status");
+      // Inline so it looks the same on pages with different stylesheets.
+      el.style.cssText = [
+        "position:fixed", "left:50%", "bottom:16px", "transform:translateX(-50%)", "z-index:1000",
+        "padding:8px 14px", "border-radius:999px", "background:#171717", "color:#f7f5f0",
+        "font:500 13px/1.3 system-ui,sans-serif", "box-shadow:0 4px 16px rgba(0,0,0,.25)",
+        "max-width:calc(100% - 32px)", "text-align:center",
+      ].join(";");
+      document.body.appendChild(el);
+    }
+    el.textContent = `Offline — showing data as of ${when}`;
+  }
+
+  function hideBanner() {
+    document.getElementById(BANNER_ID)?.remove();
+  }
+
+  window.addEventListener("offline", () => showBanner());
+  window.addEventListener("online", hideBanner);
+  if (!navigator.onLine) showBanner();
+
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (e.data?.type === "lm-offline") showBanner(e.data.asOf);
+  });
+  navigator.serviceWorker.register(new URL("sw.js", document.baseURI).href).catch((err) => {
+    console.warn("Service worker registration failed", err);
+  });
+})();
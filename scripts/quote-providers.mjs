@@ -0,0 +1,168 @@
+/**
+ * Quote providers for fetch-tape.mjs.
+ * Every provider turns a source spec into ascending daily rows [{date, close}]
+ * (Stooq daily files also carry open/high/low/volume):
+ *
+ *   { provider: "stooq" }                                   // symbol's own Stooq ticker
+ *   { provider: "stooq", sym: "^spx" }                      // a different Stooq ticker
+ *   { provider: "fred", series: "DGS10" }                   // FRED daily series (no API key)
+ *   { provider: "fred", series: "DEXUSEU", invert: true }   // USD per EUR -> EUR per USD
+ *   { provider: "csv", url: "https://…", dateColumn: "Date", closeColumn: "Close" }
+ *
+ * fetch-tape.mjs walks a symbol's chain in order and records which provider answered.
+ */
+
+import { fetchWithRetry } from "./http.mjs";
+import LMData from "./data.js";
+
+const USER_AGENT = "LiberalMarketsTapeBot/1.0 (GitHub Actions)";
+
+/**
+ * @typedef {{provider:string, sym?:string, series?:string, invert?:boolean, url?:string, dateColumn?:string, closeColumn?:string}} QuoteSource
+ * @typedef {{date:string, close:number, open?:number, high?:number, low?:number, volume?:number}} QuoteRow
+ */
+
+/**
+ * Fetch text with retry + exponential backoff (see http.mjs).
+ * @param {string} url
+ * @param {RequestInit} options
+ * @param {string} label
+ * @returns {Promise<string>}
+ */
+async function fetchTextWithRetry(url, options, label) {
+  const res = await fetchWithRetry(url, options, { label });
+  if (!res.ok) throw new Error(`${label} HTTP ${res.status}`);
+  return await res.text();
+}
+
+const csvHeaders = { "user-agent": USER_AGENT, "accept": "text/csv,*/*" };
+
+/**
+ * Stooq daily CSV (Date,Open,High,Low,Close,Volume), falling back to the
+ * single-row quote endpoint when the daily file comes back header-only.
+ * @param {string} sym
+ * @returns {Promise<QuoteRow[]>}
+ */
+async function stooqRows(sym) {
+  const csv = await fetchTextWithRetry(
+    `https://stooq.com/q/d/l/?s=${encodeURIComponent(sym)}&i=d`,
+    { headers: csvHeaders },
+    `Daily CSV ${sym}`
+  );
+
+  const { rows } = LMData.parseCsv(csv);
+  if (rows.length) {
+    const out = [];
+    for (const parts of rows) {
+      const date = String(parts[0] ?? "");
+      const close = Number(parts[4]);
+      if (!date || !Number.isFinite(close)) continue;
+      const row = { date, close };
+      for (const [key, idx] of [["open", 1], ["high", 2], ["low", 3], ["volume", 5]]) {
+        const v = Number(parts[idx]);
+        if (parts[idx] && Number.isFinite(v)) row[key] = v;
+      }
+      out.push(row);
+    }
+    if (!out.length) throw new Error("No numeric close values in daily CSV");
+    return out;
+  }
+
+  // Header-only daily: try the quote endpoint (works even when daily history is missing)
+  // f=sd2t2c = symbol, date, time, close (simple)
+  const text = await fetchTextWithRetry(
+    `https://stooq.com/q/l/?s=${encodeURIComponent(sym)}&f=sd2t2c&h&e=csv`,
+    { headers: csvHeaders },
+    `Quote ${sym}`
+  );
+
+  const quote = LMData.parseCsv(text).rows[0];
+  if (!quote) throw new Error("No quote data returned");
+
+  // header: Symbol,Date,Time,Close
+  const close = Number(quote[3]);
+  if (!Number.isFinite(close)) throw new Error("Quote close not numeric");
+  return [{ date: quote[1], close }];
+}
+
+/**
+ * FRED daily series via the public fredgraph CSV (no API key needed).
+ * Pulls the full file (no start date) so the URL, and its replay fixture, stay stable.
+ * Missing observations (".", blank) are skipped.
+ * @param {string} series
+ * @param {boolean} invert
+ * @returns {Promise<QuoteRow[]>}
+ */
+async function fredRows(series, invert) {
+  const url = `https://fred.stlouisfed.org/graph/fredgraph.csv?id=${encodeURIComponent(series)}`;
+  const text = await fetchTextWithRetry(url, { headers: csvHeaders }, `FRED ${series}`);
+
+  const out = [];
+  for (const [date, raw] of LMData.parseCsv(text).rows) {
+    const v = Number(raw);
+    if (!date || raw === "." || raw === "" || !Number.isFinite(v)) continue;
+    if (invert && v === 0) continue;
+    out.push({ date, close: invert ? 1 / v : v });
+  }
+  if (!out.length) throw new Error(`No numeric observations for ${series}`);
+  return out;
+}
+
+/**
+ * Any CSV with a date column and a close column (matched case-insensitively).
+ * @param {QuoteSource} source
+ * @returns {Promise<QuoteRow[]>}
+ */
+async function csvRows(source) {
+  if (!source.url) throw new Error("csv provider needs a url");
+  const text = await fetchTextWithRetry(source.url, { headers: csvHeaders }, `CSV ${source.url}`);
+  const { header, rows } = LMData.parseCsv(text);
+
+  const find = (name, fallback) => {
+    const idx = name ? header.findIndex(h => h.toLowerCase() === name.toLowerCase()) : -1;
+    return idx >= 0 ? idx : fallback;
+  };
+  const dateIdx = find(source.dateColumn || "date", 0);
+  // a header-less file has header []; -1 then reads the last column
+  const closeIdx = find(source.closeColumn || "close", header.length - 1);
+
+  const out = [];
+  for (const parts of rows) {
+    const date = String(parts[dateIdx] ?? "").slice(0, 10);
+    const close = Number(parts.at(closeIdx));
+    if (!date || !Number.isFinite(close)) continue;
+    out.push({ date, close });
+  }
+  if (!out.length) throw new Error("No numeric close values in CSV");
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** @type {Record<string, (sym:string, source:QuoteSource) => Promise<QuoteRow[]>>} */
+const PROVIDERS = {
+  stooq: (sym, source) => stooqRows(source.sym || sym),
+  fred: (_sym, source) => fredRows(source.series, Boolean(source.invert)),
+  csv: (_sym, source) => csvRows(source),
+};
+
+/**
+ * Short label for logs and error messages, e.g. "fred:DGS10".
+ * @param {QuoteSource} source
+ * @returns {string}
+ */
+export function sourceLabel(source) {
+  if (source.provider === "fred") return `fred:${source.series}${source.invert ? "^-1" : ""}`;
+  if (source.provider === "stooq" && source.sym) return `stooq:${source.sym}`;
+  return source.provider;
+}
+
+/**
+ * Daily rows for a symbol from one source.
+ * @param {string} sym
+ * @param {QuoteSource} source
+ * @returns {Promise<QuoteRow[]>}
+ */
+export async function fetchQuoteRows(sym, source) {
+  const provider = PROVIDERS[source?.provider];
+  if (!provider) throw new Error(`Unknown quote provider: ${source?.provider}`);
+  return await provider(sym, source);
+}
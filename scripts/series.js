@@ -0,0 +1,206 @@
+/**
+ * series.js
+ * Shared access to data/series.json (the series registry) for every page:
+ * - one fetch per page load, memoized (files go through LMData, scripts/data.js)
+ * - lookup by series id or CSV path
+ * - per-series metadata sidecars (data/<ID>.meta.json) for units / SA / frequency
+ * - value formatting driven by the registry's format/scale/decimals
+ */
+
+(function () {
+  /**
+   * @typedef {Object} SeriesEntry
+   * @property {string} id
+   * @property {string} title
+   * @property {string} units
+   * @property {string} frequency
+   * @property {string} source
+   * @property {"index"|"percent"|"currency"|"count"|"ratio"} format
+   * @property {string} category
+   * @property {number} [scale]    raw value × scale = value in base units
+   * @property {number} [decimals]
+   */
+
+  /**
+   * @typedef {Object} SeriesSidecar
+   * @property {string} id
+   * @property {string} units               e.g. "Index 1982-1984=100"
+   * @property {string} unitsShort          e.g. "Index 1982-1984=100"
+   * @property {string} frequency           e.g. "Monthly"
+   * @property {string} seasonalAdjustment  e.g. "Seasonally Adjusted"
+   * @property {string} seasonalAdjustmentShort e.g. "SA" / "NSA"
+   * @property {string|null} lastUpdated
+   */
+
+  const REGISTRY_PATH = "data/series.json";
+
+  /** @type {Promise<Map<string, SeriesEntry>>|null} */
+  let registryPromise = null;
+
+  /** @type {Map<string, Promise<SeriesSidecar|null>>} */
+  const sidecarCache = new Map();
+
+  /**
+   * Load the registry once per page.
+   * @returns {Promise<Map<string, SeriesEntry>>}
+   */
+  function loadSeriesRegistry() {
+    if (registryPromise) return registryPromise;
+
+    registryPromise = (async () => {
+      const json = await window.LMData.json(REGISTRY_PATH);
+      const list = Array.isArray(json?.series) ? json.series : [];
+
+      const map = new Map();
+      for (const entry of list) {
+        if (entry && typeof entry.id === "string") map.set(entry.id.toUpperCase(), entry);
+      }
+      return map;
+    })().catch(() => new Map());
+
+    return registryPromise;
+  }
+
+  /**
+   * CSV path for a registry entry.
+   * @param {SeriesEntry|string} entryOrId
+   * @returns {string}
+   */
+  function seriesCsvPath(entryOrId) {
+    const id = typeof entryOrId === "string" ? entryOrId : entryOrId?.id;
+    return `data/${id}.csv`;
+  }
+
+  /**
+   * Pull a series id out of a CSV path like "data/CPIAUCSL.csv".
+   * @param {string} path
+   * @returns {string|null}
+   */
+  function seriesIdFromPath(path) {
+    const m = String(path || "").match(/([A-Za-z0-9_]+)\.csv(?:[?#].*)?$/);
+    return m ? m[1].toUpperCase() : null;
+  }
+
+  /**
+   * Find a registry entry by id or CSV path.
+   * @param {string} idOrPath
+   * @returns {Promise<SeriesEntry|null>}
+   */
+  async function findSeries(idOrPath) {
+    const map = await loadSeriesRegistry();
+    const raw = String(idOrPath || "").trim();
+    const id = raw.includes("/") || raw.endsWith(".csv") ? seriesIdFromPath(raw) : raw.toUpperCase();
+    return (id && map.get(id)) || null;
+  }
+
+  /**
+   * Load data/<ID>.meta.json, written by the FRED fetcher. Null if missing (not
+   * requested at all when the manifest doesn't list it).
+   * @param {string} id
+   * @returns {Promise<SeriesSidecar|null>}
+   */
+  function loadSeriesSidecar(id) {
+    const key = String(id || "").toUpperCase();
+    if (!key) return Promise.resolve(null);
+    if (sidecarCache.has(key)) return sidecarCache.get(key);
+
+    const path = `data/${key}.meta.json`;
+    const p = window.LMData.listed(path)
+      .then(listed => (listed ? window.LMData.json(path) : null))
+      .catch(() => null);
+
+    sidecarCache.set(key, p);
+    return p;
+  }
+
+  /**
+   * Map a FRED units string onto a registry format + scale.
+   * "Billions of Chained 2017 Dollars" -> currency × 1e9, "Percent" -> percent, ...
+   * @param {string} units
+   * @returns {{format: SeriesEntry["format"], scale: number}|null}
+   */
+  function formatFromUnits(units) {
+    const u = String(units || "").toLowerCase();
+    if (!u) return null;
+
+    const mult = u.match(/^(thousands|millions|billions|trillions) of/);
+    const scale = mult
+      ? { thousands: 1e3, millions: 1e6, billions: 1e9, trillions: 1e12 }[mult[1]]
+      : 1;
+
+    if (u.includes("percent")) return { format: "percent", scale: 1 };
+    if (u.startsWith("index")) return { format: "index", scale: 1 };
+    if (u.includes("dollars per") || u.startsWith("u.s. $ per")) return null;
+    if (u.includes("dollar")) return { format: "currency", scale };
+    if (u.includes("persons") || u.includes("units") || u.includes("number")) return { format: "count", scale };
+    if (u.includes("ratio")) return { format: "ratio", scale: 1 };
+    return null;
+  }
+
+  /**
+   * Registry entry merged with its metadata sidecar. Format and scale come from
+   * the sidecar's FRED units when they map cleanly, otherwise from the registry.
+   * @param {string} idOrPath
+   * @returns {Promise<(SeriesEntry & {sidecar: SeriesSidecar|null})|null>}
+   */
+  async function describeSeries(idOrPath) {
+    const raw = String(idOrPath || "").trim();
+    const id = raw.includes("/") || raw.endsWith(".csv") ? seriesIdFromPath(raw) : raw.toUpperCase();
+    if (!id) return null;
+
+    const [entry, sidecar] = await Promise.all([findSeries(id), loadSeriesSidecar(id)]);
+    if (!entry && !sidecar) return null;
+
+    const fromUnits = formatFromUnits(sidecar?.units);
+    return {
+      ...(entry || { id, title: sidecar.title, frequency: sidecar.frequency, source: "fred", category: "" }),
+      ...(fromUnits || {}),
+      units: sidecar?.units || entry?.units || "",
+      sidecar: sidecar || null,
+    };
+  }
+
+  /**
+   * Format a raw series value the way the registry says it should read.
+   * Large currency/count values are compacted (K/M/B/T) after applying scale.
+   * @param {SeriesEntry|null} entry
+   * @param {number} value
+   * @returns {string}
+   */
+  function formatSeriesValue(entry, value) {
+    if (!Number.isFinite(value)) return "—";
+
+    const format = entry?.format || "number";
+    const scale = Number(entry?.scale) || 1;
+    const decimals = Number.isFinite(entry?.decimals) ? entry.decimals : 2;
+    const scaled = value * scale;
+
+    if (format === "percent") return `${scaled.toFixed(decimals)}%`;
+    if (format === "index" || format === "ratio") {
+      return scaled.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    }
+
+    const abs = Math.abs(scaled);
+    const sign = scaled < 0 ? "-" : "";
+    const prefix = format === "currency" ? "$" : "";
+    const units = [
+      [1e12, "T"],
+      [1e9, "B"],
+      [1e6, "M"],
+    ];
+    for (const [div, suffix] of units) {
+      if (abs >= div) return `${sign}${prefix}${(abs / div).toFixed(decimals)}${suffix}`;
+    }
+    return `${sign}${prefix}${abs.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: decimals })}`;
+  }
+
+  window.SeriesRegistry = {
+    load: loadSeriesRegistry,
+    find: findSeries,
+    sidecar: loadSeriesSidecar,
+    describe: describeSeries,
+    csvPath: seriesCsvPath,
+    idFromPath: seriesIdFromPath,
+    format: formatSeriesValue,
+  };
+})();
@@ -0,0 +1,184 @@
+/**
+ * chart.js in Node: YoY/MoM against hand-computed values, the MoM gate, and snapshots
+ * of known series rendered through renderWireChart onto svgSurface (the SVG export
+ * path, no DOM) in dashboard and solo mode, compared with the SVGs committed in
+ * scripts/fixtures/charts. After an intended drawing change, look at the new SVGs and
+ * commit them:
+ *
+ *   node --test scripts/test/
+ *   UPDATE_SNAPSHOTS=1 node --test scripts/test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import { fileURLToPath } from "node:url";
+import LMData from "../data.js";
+
+const SCRIPTS_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const CHARTS_DIR = path.join(SCRIPTS_DIR, "fixtures", "charts");
+const UPDATE = process.env.UPDATE_SNAPSHOTS === "1";
+
+const WIDTH = 640;
+const HEIGHT = 300;
+
+/**
+ * chart.js is a classic browser script: run it in a context of its own, where its
+ * top-level functions land on the context's global. No document, so the fallback
+ * palette applies and text is measured at 0.6em per character. Axis numbers use the
+ * default locale; pin it so the snapshots don't depend on the machine's. URL is a
+ * web API, not a language builtin, so the context gets Node's.
+ */
+const chart = vm.createContext({ URL });
+chart.window = chart;
+vm.runInContext(`{
+  const toLocaleString = Number.prototype.toLocaleString;
+  Number.prototype.toLocaleString = function (locale, options) {
+    return toLocaleString.call(this, locale ?? "en-US", options);
+  };
+}`, chart);
+vm.runInContext(fs.readFileSync(path.join(SCRIPTS_DIR, "chart.js"), "utf8"), chart, { filename: "chart.js" });
+
+/** @param {string} id */
+const series = (id) => LMData.parseSeries(fs.readFileSync(path.join(CHARTS_DIR, `${id}.csv`), "utf8"));
+
+const cpi = series("CPIAUCSL");
+const unrate = series("UNRATE");
+const gdp = series("GDPC1");
+
+/**
+ * Transformed value at a date.
+ * @param {Object[]} points
+ * @param {string} date
+ */
+const valueOn = (points, date) => points.find((p) => p.d === date)?.v;
+
+test("YoY of a monthly series is against the same month a year earlier", () => {
+  const yoy = chart.transformPoints(cpi, "yoy", null);
+  // CPIAUCSL 2023-01 300.420, 2022-01 282.543
+  assert.ok(Math.abs(valueOn(yoy, "2023-01-01") - 6.3272) < 1e-4);
+  // 2024-12 317.604, 2023-12 308.741
+  assert.ok(Math.abs(valueOn(yoy, "2024-12-01") - 2.8707) < 1e-4);
+  assert.equal(yoy[0].d, "2016-01-01");
+  assert.equal(yoy.length, cpi.length - 12);
+});
+
+test("MoM % ann. of a monthly series compounds the change from the month before", () => {
+  const mom = chart.transformPoints(cpi, "mom", null);
+  // (300.420 / 298.832)^12 - 1
+  assert.ok(Math.abs(valueOn(mom, "2023-01-01") - 6.5665) < 1e-4);
+  assert.equal(mom[0].d, "2015-02-01");
+});
+
+test("YoY of a quarterly series is against the same quarter a year earlier", () => {
+  const yoy = chart.transformPoints(gdp, "yoy", null);
+  assert.equal(yoy[0].d, "2016-01-01");
+  assert.equal(yoy.length, gdp.length - 4);
+});
+
+test("YoY of a daily series falls back over a weekend, within a week", () => {
+  // Weekdays from 2023-01-02 to 2024-03-29, value = 100 + weekday number
+  const daily = [];
+  for (let t = Date.UTC(2023, 0, 2), n = 0; t <= Date.UTC(2024, 2, 29); t += 86400000) {
+    const day = new Date(t).getUTCDay();
+    if (day === 0 || day === 6) continue;
+    daily.push({ t, v: 100 + n++, d: new Date(t).toISOString().slice(0, 10) });
+  }
+  const yoy = chart.transformPoints(daily, "yoy", null);
+  // 2024-03-04 (Mon) vs. 2023-03-03 (Fri; the 4th was a Saturday)
+  const now = daily.find((p) => p.d === "2024-03-04").v;
+  const then = daily.find((p) => p.d === "2023-03-03").v;
+  assert.ok(Math.abs(valueOn(yoy, "2024-03-04") - (now / then - 1) * 100) < 1e-9);
+  assert.equal(yoy[0].d, "2024-01-02");
+});
+
+test("monthsBefore clamps to the end of a shorter month", () => {
+  assert.equal(chart.monthsBefore(Date.UTC(2024, 2, 31), 1), Date.UTC(2024, 1, 29));
+  assert.equal(chart.monthsBefore(Date.UTC(2024, 1, 29), 12), Date.UTC(2023, 1, 28));
+  assert.equal(chart.monthsBefore(Date.UTC(2024, 0, 15), 1), Date.UTC(2023, 11, 15));
+});
+
+test("event sources are kept only as http(s) URLs", () => {
+  assert.equal(chart.webUrl("https://www.fec.gov/data/"), "https://www.fec.gov/data/");
+  assert.equal(chart.webUrl("javascript:alert(1)"), "");
+  assert.equal(chart.webUrl("https://"), "");
+  assert.equal(chart.webUrl(undefined), "");
+});
+
+/**
+ * Markup of an offscreen dashboard render.
+ * @param {Object[]} points
+ * @param {Object} [opts]
+ */
+function render(points, opts = {}) {
+  const surface = chart.svgSurface(WIDTH, HEIGHT);
+  chart.renderWireChart(surface, points, { offscreen: true, width: WIDTH, height: HEIGHT, ...opts });
+  return surface.markup();
+}
+
+test("MoM % ann. is offered for a monthly series, not a quarterly one", () => {
+  // A transform the chart refuses falls back to level
+  assert.notEqual(render(cpi, { transform: { mode: "mom" } }), render(cpi));
+  assert.equal(render(gdp, { transform: { mode: "mom" } }), render(gdp));
+  assert.notEqual(render(gdp, { transform: { mode: "yoy" } }), render(gdp));
+});
+
+/** A slice of data/events.json and data/bands.json, frozen here. */
+const events = {
+  categories: {
+    election: { label: "Elections", color: "#3d5a80", default: true },
+    fed: { label: "FOMC decisions", color: "#bc8a2f", default: false },
+  },
+  events: [
+    { date: "2016-11-08", label: "2016 Election", category: "election" },
+    { date: "2020-11-03", label: "2020 Election", category: "election", windowDays: { before: 30, after: 30 } },
+    { date: "2022-03-16", label: "First hike", category: "fed" },
+  ],
+};
+const bands = [
+  { id: "recession", label: "Recessions (NBER)", color: "#7d5a80", default: true, bands: [{ start: "2020-03-01", end: "2020-04-30", label: "2020 Recession" }] },
+];
+
+/**
+ * Render offscreen onto an svgSurface and compare with (or, under UPDATE_SNAPSHOTS=1,
+ * write) scripts/fixtures/charts/<name>.svg.
+ * @param {string} name
+ * @param {Object[]|Object} data points, or LineSpecs for overlays
+ * @param {Object} opts renderWireChart options
+ */
+function assertSnapshot(name, data, opts) {
+  const surface = chart.svgSurface(WIDTH, HEIGHT);
+  chart.renderWireChart(surface, data, { offscreen: true, width: WIDTH, height: HEIGHT, ...opts });
+  const svg = chart.svgDocument(WIDTH, HEIGHT, surface.markup());
+  const file = path.join(CHARTS_DIR, `${name}.svg`);
+  if (UPDATE || !fs.existsSync(file)) {
+    fs.writeFileSync(file, svg);
+    if (!UPDATE) assert.fail(`${name}.svg was missing and has been written; check it and commit it`);
+    return;
+  }
+  assert.equal(svg, fs.readFileSync(file, "utf8"), `${name}.svg differs (UPDATE_SNAPSHOTS=1 rewrites it)`);
+}
+
+for (const mode of ["dashboard", "solo"]) {
+  test(`${mode}: one line, default range, events and bands`, () => {
+    assertSnapshot(`cpi-${mode}`, cpi, { mode, title: "CPI", events, bands });
+  });
+
+  test(`${mode}: two lines on two axes over a zoomed window`, () => {
+    assertSnapshot(`cpi-unrate-${mode}`, [
+      { points: cpi, label: "CPI" },
+      { points: unrate, label: "Unemployment", unit: "percent" },
+    ], { mode, zoom: { start: "2019-01-01", end: "2021-12-31" }, bands });
+  });
+
+  test(`${mode}: YoY transform over the whole series`, () => {
+    assertSnapshot(`cpi-yoy-${mode}`, cpi, { mode, title: "CPI", defaultRange: "all", transform: { mode: "yoy" } });
+  });
+}
+
+test("rendering is deterministic and the modes differ", () => {
+  assert.equal(render(cpi, { mode: "solo" }), render(cpi, { mode: "solo" }));
+  assert.notEqual(render(cpi, { mode: "solo" }), render(cpi, { mode: "dashboard" }));
+});
@@ -0,0 +1,83 @@
+/**
+ * FRED fetcher: revision detection, and a full --replay run against the recorded
+ * fixtures in scripts/fixtures/http (FEDFUNDS: a 503 with Retry-After, then the
+ * observations; the series info) over the seed data in scripts/fixtures/fred/data.
+ *
+ *   node --test scripts/test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { fileURLToPath } from "node:url";
+import { mergeObservations, mapToCsv } from "../fetch-fred-csv.mjs";
+
+const SCRIPTS_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const FIXTURES_DIR = path.join(SCRIPTS_DIR, "fixtures");
+
+test("mergeObservations separates revisions from new and late prints", () => {
+  const existing = "date,value\n2024-01-01,5.33\n2024-02-01,5.33\n2024-03-01,.\n";
+  const { map, changed, revisions } = mergeObservations(existing, [
+    { date: "2024-01-01", value: "5.33" }, // unchanged
+    { date: "2024-02-01", value: "5.31" }, // revised
+    { date: "2024-03-01", value: "5.33" }, // "." filled in: not a revision
+    { date: "2024-04-01", value: "5.33" }, // new
+  ]);
+  assert.equal(changed, 3);
+  assert.deepEqual(revisions, [{ date: "2024-02-01", oldValue: "5.33", newValue: "5.31" }]);
+  assert.equal(mapToCsv(map), "date,value\n2024-01-01,5.33\n2024-02-01,5.31\n2024-03-01,5.33\n2024-04-01,5.33\n");
+});
+
+test("mergeObservations on an empty file records no revisions", () => {
+  const { map, changed, revisions } = mergeObservations("", [
+    { date: "2024-02-01", value: "2" },
+    { date: "2024-01-01", value: "1" },
+  ]);
+  assert.equal(changed, 2);
+  assert.deepEqual(revisions, []);
+  assert.equal(mapToCsv(map), "date,value\n2024-01-01,1\n2024-02-01,2\n");
+});
+
+test("--replay run: retries the recorded 503, merges, archives the revision", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "lm-fred-"));
+  try {
+    await fs.cp(path.join(FIXTURES_DIR, "fred", "data"), path.join(dir, "data"), { recursive: true });
+    const { stderr } = await promisify(execFile)(process.execPath, [path.join(SCRIPTS_DIR, "fetch-fred-csv.mjs"), "--replay"], {
+      cwd: dir,
+      env: { ...process.env, FRED_API_KEY: "", HTTP_FIXTURES: "", HTTP_FIXTURES_DIR: path.join(FIXTURES_DIR, "http") },
+      timeout: 30_000,
+    });
+    assert.match(stderr, /FEDFUNDS: retrying after HTTP 503/);
+
+    const csv = await fs.readFile(path.join(dir, "data", "FEDFUNDS.csv"), "utf8");
+    assert.equal(csv, [
+      "date,value",
+      "2023-10-01,5.33",
+      "2023-11-01,5.33",
+      "2023-12-01,5.33",
+      "2024-01-01,5.33",
+      "2024-02-01,5.33",
+      "2024-03-01,5.31",
+      "2024-04-01,5.33",
+      "2024-05-01,5.33",
+      "",
+    ].join("\n"));
+
+    const revisions = (await fs.readFile(path.join(dir, "data", "revisions", "FEDFUNDS.csv"), "utf8")).trim().split("\n");
+    assert.equal(revisions[0], "date,old_value,new_value,detected_at");
+    assert.match(revisions[1], /^2024-03-01,5\.33,5\.31,\d{4}-\d{2}-\d{2}$/);
+    assert.equal(revisions.length, 2);
+
+    const meta = JSON.parse(await fs.readFile(path.join(dir, "data", "FEDFUNDS.meta.json"), "utf8"));
+    assert.equal(meta.units, "Percent");
+    assert.equal(meta.frequencyShort, "M");
+    assert.equal(meta.seasonalAdjustmentShort, "NSA");
+    assert.equal(meta.registryTitle, "Federal Funds Rate");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,41 @@
+/**
+ * fetch-news: which links survive into news.json and the archive.
+ *
+ *   node --test scripts/test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildNewsItems, isWebUrl } from "../fetch-news.mjs";
+
+/** @returns {import("../fetch-news.mjs").RawItem} */
+function raw(title, link, extra = {}) {
+  return { title, link, published: "2024-06-03T14:00:00.000Z", source: "Wire", feedIndex: 0, ...extra };
+}
+
+test("isWebUrl accepts only absolute http(s) URLs", () => {
+  assert.equal(isWebUrl("https://www.reuters.com/markets/"), true);
+  assert.equal(isWebUrl("http://example.com/a?b=1"), true);
+  assert.equal(isWebUrl("javascript:alert(document.cookie)"), false);
+  assert.equal(isWebUrl("JavaScript:alert(1)"), false);
+  assert.equal(isWebUrl("data:text/html;base64,PHNjcmlwdD4="), false);
+  assert.equal(isWebUrl("vbscript:msgbox(1)"), false);
+  assert.equal(isWebUrl("/relative/story"), false);
+  assert.equal(isWebUrl(""), false);
+});
+
+test("buildNewsItems drops items whose link is not http(s)", () => {
+  const items = buildNewsItems([
+    raw("Fed holds rates steady as inflation cools", "https://example.com/fed"),
+    raw("Click here for a prize", "javascript:alert(1)"),
+    raw("Oil jumps on supply worries", "data:text/html,<script>alert(1)</script>"),
+  ], { topics: [], maxItems: 10 });
+  assert.deepEqual(items.map((it) => it.link), ["https://example.com/fed"]);
+});
+
+test("buildNewsItems clears a non-http(s) thumbnail", () => {
+  const [item] = buildNewsItems([
+    raw("Stocks rally into the close", "https://example.com/stocks", { thumbnail: "javascript:alert(1)" }),
+  ], { topics: [], maxItems: 10 });
+  assert.equal(item.thumbnail, null);
+});
@@ -0,0 +1,114 @@
+/**
+ * fetchWithRetry: retry on 429/5xx and network errors, Retry-After, backoff, give-up.
+ * fetch is replaced by a scripted fake and setTimeout records the waits instead of
+ * sleeping, so nothing here touches the network or the clock.
+ *
+ *   node --test scripts/test/
+ */
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { fetchWithRetry, redactUrl } from "../http.mjs";
+
+const realFetch = globalThis.fetch;
+const realSetTimeout = globalThis.setTimeout;
+
+/** Requested URLs and sleep durations of the current test. */
+let calls;
+let waits;
+
+/**
+ * Answer successive fetches with the given responses; an Error entry is thrown.
+ * @param {(Response|Error)[]} script
+ */
+function scriptFetch(script) {
+  globalThis.fetch = async (url) => {
+    calls.push(String(url));
+    const next = script[Math.min(calls.length - 1, script.length - 1)];
+    if (next instanceof Error) throw next;
+    return next.clone();
+  };
+}
+
+beforeEach((t) => {
+  calls = [];
+  waits = [];
+  globalThis.setTimeout = (fn, ms) => {
+    waits.push(ms);
+    return realSetTimeout(fn, 0);
+  };
+  t.mock.method(console, "warn", () => {});
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  globalThis.setTimeout = realSetTimeout;
+});
+
+test("retries a 503 and waits the Retry-After seconds", async () => {
+  scriptFetch([
+    new Response("busy", { status: 503, headers: { "retry-after": "3" } }),
+    new Response("ok", { status: 200 }),
+  ]);
+  const res = await fetchWithRetry("https://example.test/a");
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), "ok");
+  assert.equal(calls.length, 2);
+  assert.deepEqual(waits, [3000]);
+});
+
+test("caps a long Retry-After at the backoff ceiling", async () => {
+  scriptFetch([
+    new Response("", { status: 429, headers: { "retry-after": "120" } }),
+    new Response("ok", { status: 200 }),
+  ]);
+  await fetchWithRetry("https://example.test/a");
+  assert.deepEqual(waits, [15_000]);
+});
+
+test("backs off exponentially without Retry-After", async () => {
+  scriptFetch([
+    new Response("", { status: 502 }),
+    new Response("", { status: 504 }),
+    new Response("ok", { status: 200 }),
+  ]);
+  await fetchWithRetry("https://example.test/a");
+  assert.equal(waits.length, 2);
+  assert.ok(waits[0] >= 800 && waits[0] < 1050, `first wait ${waits[0]}`);
+  assert.ok(waits[1] >= 1600 && waits[1] < 1850, `second wait ${waits[1]}`);
+});
+
+test("returns a non-retryable status at once", async () => {
+  scriptFetch([new Response("missing", { status: 404 })]);
+  const res = await fetchWithRetry("https://example.test/a");
+  assert.equal(res.status, 404);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(waits, []);
+});
+
+test("hands back the last bad response once retries run out", async () => {
+  scriptFetch([new Response("busy", { status: 503 })]);
+  const res = await fetchWithRetry("https://example.test/a", {}, { retries: 2 });
+  assert.equal(res.status, 503);
+  assert.equal(calls.length, 3);
+  assert.equal(waits.length, 2);
+});
+
+test("retries network errors and rejects with the last one", async () => {
+  scriptFetch([new Error("ECONNRESET"), new Error("ETIMEDOUT")]);
+  await assert.rejects(fetchWithRetry("https://example.test/a", {}, { retries: 1 }), /ETIMEDOUT/);
+  assert.equal(calls.length, 2);
+});
+
+test("recovers when the network comes back", async () => {
+  scriptFetch([new Error("ECONNRESET"), new Response("ok", { status: 200 })]);
+  const res = await fetchWithRetry("https://example.test/a");
+  assert.equal(res.status, 200);
+});
+
+test("redactUrl drops secrets and sorts the query", () => {
+  assert.equal(
+    redactUrl("https://api.stlouisfed.org/fred/series?series_id=GDPC1&api_key=abc123&file_type=json"),
+    "https://api.stlouisfed.org/fred/series?file_type=json&series_id=GDPC1"
+  );
+});
@@ -0,0 +1,79 @@
+/**
+ * quote-providers: CSV bodies as the providers actually send them (BOM, CRLF, quoted
+ * fields, no header) go through LMData.parseCsv. fetch is replaced by a fake that
+ * serves one body per URL prefix.
+ *
+ *   node --test scripts/test/
+ */
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { fetchQuoteRows, sourceLabel } from "../quote-providers.mjs";
+
+const realFetch = globalThis.fetch;
+
+/** @param {Record<string, string>} bodies URL prefix -> CSV body */
+function serve(bodies) {
+  globalThis.fetch = async (url) => {
+    const hit = Object.keys(bodies).find((prefix) => String(url).startsWith(prefix));
+    return hit ? new Response(bodies[hit], { status: 200 }) : new Response("", { status: 404 });
+  };
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test("stooq daily CSV with a BOM and CRLF line endings", async () => {
+  serve({
+    "https://stooq.com/q/d/l/": "\uFEFFDate,Open,High,Low,Close,Volume\r\n2024-06-03,5283.4,5302.1,5234.3,5283.4,\r\n2024-06-04,5278.2,5298.8,5257.6,5291.3,2.1e9\r\n",
+  });
+  assert.deepEqual(await fetchQuoteRows("^spx", { provider: "stooq" }), [
+    { date: "2024-06-03", close: 5283.4, open: 5283.4, high: 5302.1, low: 5234.3 },
+    { date: "2024-06-04", close: 5291.3, open: 5278.2, high: 5298.8, low: 5257.6, volume: 2.1e9 },
+  ]);
+});
+
+test("stooq falls back to the quote endpoint when the daily file is header-only", async () => {
+  serve({
+    "https://stooq.com/q/d/l/": "Date,Open,High,Low,Close,Volume\n",
+    "https://stooq.com/q/l/": "Symbol,Date,Time,Close\nGC.F,2024-06-04,22:00:00,2346.1\n",
+  });
+  assert.deepEqual(await fetchQuoteRows("gc.f", { provider: "stooq" }), [{ date: "2024-06-04", close: 2346.1 }]);
+});
+
+test("fred skips missing observations and inverts", async () => {
+  serve({
+    "https://fred.stlouisfed.org/graph/fredgraph.csv": "observation_date,DEXUSEU\n2024-06-03,1.0850\n2024-06-04,.\n2024-06-05,\n2024-06-06,1.0000\n",
+  });
+  const source = { provider: "fred", series: "DEXUSEU", invert: true };
+  assert.equal(sourceLabel(source), "fred:DEXUSEU^-1");
+  const rows = await fetchQuoteRows("EURUSD", source);
+  assert.deepEqual(rows.map((r) => r.date), ["2024-06-03", "2024-06-06"]);
+  assert.ok(Math.abs(rows[0].close - 1 / 1.085) < 1e-12);
+  assert.equal(rows[1].close, 1);
+});
+
+test("csv provider: quoted commas, mixed-case column names, unsorted rows", async () => {
+  serve({
+    "https://data.example.test/": 'Name,Trade Date,Adj Close\n"Index, total return",2024-06-04T00:00:00Z,101.5\n"Index, total return",2024-06-03,"100.25"\n',
+  });
+  const rows = await fetchQuoteRows("TR", {
+    provider: "csv",
+    url: "https://data.example.test/tr.csv",
+    dateColumn: "trade date",
+    closeColumn: "ADJ CLOSE",
+  });
+  assert.deepEqual(rows, [
+    { date: "2024-06-03", close: 100.25 },
+    { date: "2024-06-04", close: 101.5 },
+  ]);
+});
+
+test("csv provider: a header-less file reads date first, close last", async () => {
+  serve({ "https://data.example.test/": "2024-06-03,1,2,3.5\n2024-06-04,1,2,3.75\n" });
+  assert.deepEqual(await fetchQuoteRows("X", { provider: "csv", url: "https://data.example.test/x.csv" }), [
+    { date: "2024-06-03", close: 3.5 },
+    { date: "2024-06-04", close: 3.75 },
+  ]);
+});
@@ -0,0 +1,165 @@
+/**
+ * xml-feed: parseFeedXml() over the feeds in scripts/fixtures/feeds, one per format
+ * (RSS 2.0, RSS 1.0/RDF, Atom) plus quirks.xml, which collects the breakage seen in
+ * the wild: a DOCTYPE with an internal subset, CDATA split across sections, HTML
+ * escaped twice, unclosed and mismatched tags, HTML entities XML doesn't define.
+ *
+ *   node --test scripts/test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseFeedXml, decodeEntities, tokenize } from "../xml-feed.mjs";
+
+const FEEDS_DIR = path.join(path.dirname(path.dirname(fileURLToPath(import.meta.url))), "fixtures", "feeds");
+
+/** @param {string} name */
+const feed = (name) => parseFeedXml(fs.readFileSync(path.join(FEEDS_DIR, name), "utf8"));
+
+test("RSS 2.0: numeric entities, CDATA, dc:creator, media:content, enclosure, guid permalink", () => {
+  assert.deepEqual(feed("rss2.xml"), {
+    kind: "rss",
+    title: "Markets",
+    link: "https://www.example-news.com/markets/",
+    items: [
+      {
+        title: "Stocks close higher as Treasury yields slide; Nvidia’s rally continues",
+        link: "https://www.example-news.com/2024/06/03/stock-market-today.html?utm_source=rss&utm_medium=feed",
+        published: "2024-06-03T20:05:11.000Z",
+        author: "Jesse Pound",
+        summary: "The S&P 500 rose 0.1% after weak manufacturing data.",
+        thumbnail: "https://image.example-news.com/api/v1/image/107423312-nyse.jpg?w=1280",
+      },
+      {
+        title: "Oil falls after OPEC+ agrees to unwind cuts",
+        link: "https://www.example-news.com/2024/06/03/oil-prices.html",
+        published: "2024-06-03T22:41:00.000Z",
+        author: "Spencer Kimball",
+        summary: "Brent crude dropped more than 3% — its lowest since February.",
+        thumbnail: "https://image.example-news.com/oil-rig.png",
+      },
+      {
+        title: "Permalink-only story",
+        link: "https://www.example-news.com/2024/06/03/guid-only.html",
+        published: "2024-06-03T15:00:00.000Z",
+        author: "",
+        summary: "",
+        thumbnail: "",
+      },
+    ],
+  });
+});
+
+test("RDF: items outside the channel, dc:date with an offset and date-only", () => {
+  assert.deepEqual(feed("rdf.xml"), {
+    kind: "rdf",
+    title: "Press Releases",
+    link: "https://www.example-bank.org/newsevents/",
+    items: [
+      {
+        title: "Federal Reserve issues FOMC statement",
+        link: "https://www.example-bank.org/newsevents/pressreleases/monetary20240501a.htm",
+        published: "2024-05-01T18:00:00.000Z",
+        author: "Board of Governors",
+        summary: "The Committee decided to maintain the target range at 5-1/4 to 5-1/2 percent.",
+        thumbnail: "",
+      },
+      {
+        title: "Agencies announce results of the Shared National Credit review",
+        link: "https://www.example-bank.org/newsevents/pressreleases/bcreg20240430a.htm",
+        published: "2024-04-30T00:00:00.000Z",
+        author: "",
+        summary: "",
+        thumbnail: "",
+      },
+    ],
+  });
+});
+
+test("Atom: self-closing links by rel, xml:base, escaped html, xhtml content, media:thumbnail", () => {
+  assert.deepEqual(feed("atom.xml"), {
+    kind: "atom",
+    title: "Liberty Street Notes",
+    link: "https://blog.example.org/",
+    items: [
+      {
+        title: "Why the neutral rate moved",
+        link: "https://blog.example.org/2024/06/neutral-rate/",
+        published: "2024-06-03T08:30:00.000Z",
+        author: "Ada Economist",
+        summary: "Estimates of r* rose by about half a point.",
+        thumbnail: "https://blog.example.org/img/neutral-rate.png",
+      },
+      {
+        title: "Updated-only entry",
+        link: "https://other.example.net/post?id=7",
+        published: "2024-05-28T16:45:00.000Z",
+        author: "",
+        summary: "Inline XHTML content.",
+        thumbnail: "",
+      },
+    ],
+  });
+});
+
+test("quirks: DOCTYPE subset, split CDATA, double escaping, broken tags, HTML entities", () => {
+  assert.deepEqual(feed("quirks.xml"), {
+    kind: "rss",
+    title: "Wire & Wire",
+    link: "https://wire.example.com/",
+    items: [
+      {
+        // "]]]]><![CDATA[>" is how a CDATA section carries a literal "]]>"
+        title: "Bond market says ]]> \"enough\"",
+        link: "https://wire.example.com/bonds-enough",
+        published: "2024-06-03T13:15:00.000Z",
+        author: "",
+        summary: "Traders’ bets shifted again.",
+        thumbnail: "https://wire.example.com/thumb.jpg",
+      },
+      {
+        title: "Dollar’s slide — what's next?",
+        link: "https://wire.example.com/dollar",
+        published: "2024-06-02T22:10:00.000Z",
+        author: "",
+        summary: "Unclosed bold and italic",
+        thumbnail: "",
+      },
+      {
+        title: "Mismatched close tags & an unterminated item",
+        link: "https://wire.example.com/unterminated",
+        published: null,
+        author: "",
+        summary: "Ends abruptly",
+        thumbnail: "",
+      },
+    ],
+  });
+});
+
+test("decodeEntities: numeric, HTML names, unknown names left alone", () => {
+  assert.equal(decodeEntities("Nvidia&#8217;s &#x2014; &rsquo;&hellip;&nbsp;&amp;"), "Nvidia’s — ’…\u00a0&");
+  assert.equal(decodeEntities("&copy2024 &bogus; &#xZZ;"), "&copy2024 &bogus; &#xZZ;");
+  assert.equal(decodeEntities("&#1114112;"), "&#1114112;");
+});
+
+test("tokenize: a DOCTYPE internal subset yields no tokens; adjacent CDATA joins", () => {
+  const tokens = tokenize('<!DOCTYPE rss [<!ENTITY x "y"> <!ELEMENT rss ANY>]><t><![CDATA[a]]><![CDATA[b]]></t>');
+  assert.deepEqual(tokens, [
+    { type: "open", name: "t", attrs: {}, selfClosing: false },
+    { type: "text", value: "ab" },
+    { type: "close", name: "t" },
+  ]);
+});
+
+test("a non-feed document parses to kind unknown with no items", () => {
+  assert.deepEqual(parseFeedXml("<html><body>Service Unavailable</body></html>"), {
+    kind: "unknown",
+    title: "",
+    link: "",
+    items: [],
+  });
+});
@@ -2,7 +2,7 @@
  * trump.js
  * Page-only behavior for trumptracker.html:
  * - falling man scroll indicator
- * - snapshot CSV loading
+ * - snapshot CSV loading (formatting from data/series.json + data/<ID>.meta.json)
  * - horizontal draggable snapshot rows (Firefox-safe)
  * - chart filtering via search
  */
@@ -14,29 +14,9 @@
 
   const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
 
-  function bustDaily(url) {
-    const day = new Date().toISOString().slice(0, 10);
-    return url.includes("?") ? `${url}&v=${day}` : `${url}?v=${day}`;
-  }
-
-  function parseFredCsv(text) {
-    const lines = String(text || "").trim().split(/\r?\n/);
-    let start = lines.findIndex(l => /^DATE\s*,/i.test(l));
-    if (start === -1) start = 0;
-    else start++;
-
-    const out = [];
-    for (let i = start; i < lines.length; i++) {
-      const [date, raw] = lines[i].split(",");
-      if (!date || raw === "." || raw == null) continue;
-      const v = Number(raw);
-      if (!Number.isFinite(v)) continue;
-      out.push({ date: date.trim(), value: v });
-    }
-    return out;
-  }
+  function formatValue(v, label, entry) {
+    if (entry && window.SeriesRegistry) return window.SeriesRegistry.format(entry, v);
 
-  function formatValue(v, label) {
     const l = (label || "").toLowerCase();
     if (l.includes("rate") || l.includes("%")) return `${v.toFixed(1)}%`;
     if (Math.abs(v) >= 1000) return v.toLocaleString(undefined, { maximumFractionDigits: 0 });
@@ -102,9 +82,12 @@
   ================================= */
 
   function initSnapshots() {
-    const snaps = document.querySelectorAll(".ttSnap[data-csv]");
+    const snaps = document.querySelectorAll(".ttSnap[data-csv], .ttSnap[data-series]");
+    const registry = window.SeriesRegistry || null;
+
     snaps.forEach(async snap => {
-      const url = snap.getAttribute("data-csv");
+      const seriesId = snap.getAttribute("data-series");
+      const url = snap.getAttribute("data-csv") || (seriesId ? `data/${seriesId}.csv` : "");
       const label = snap.getAttribute("data-label") || "";
       const valEl = snap.querySelector(".ttSnapVal");
       const chgEl = snap.querySelector(".ttSnapChg");
@@ -114,15 +97,20 @@
       chgEl.textContent = "loading…";
 
       try {
-        const res = await fetch(bustDaily(url), { cache: "no-store" });
-        if (!res.ok) throw new Error(res.status);
-        const rows = parseFredCsv(await res.text());
+        const entry = registry ? await registry.describe(seriesId || url) : null;
+        const rows = (await window.LMData.series(url)).map(p => ({ date: p.d, value: p.v }));
         if (!rows.length) throw new Error("no data");
 
         const last = rows[rows.length - 1];
         const prev = rows.length > 1 ? rows[rows.length - 2] : null;
 
-        valEl.textContent = formatValue(last.value, label);
+        valEl.textContent = formatValue(last.value, label, entry);
+        if (entry?.sidecar) {
+          const sa = entry.sidecar.seasonalAdjustmentShort;
+          snap.title = [entry.sidecar.units, sa && sa !== "NA" ? sa : "", entry.sidecar.frequency]
+            .filter(Boolean)
+            .join(" · ");
+        }
         chgEl.textContent = formatChange(
           last.value,
           prev?.value,
@@ -225,7 +213,8 @@
 
       cards.forEach(card => {
         const title = norm(card.querySelector(".chartTitleText")?.textContent);
-        const csv = norm(card.querySelector("canvas")?.dataset.csv);
+        const canvas = card.querySelector("canvas");
+        const csv = norm(canvas?.dataset.csv || canvas?.dataset.series);
         card.style.display =
           !needle || title.includes(needle) || csv.includes(needle)
             ? ""
@@ -0,0 +1,648 @@
+/**
+ * Validate refreshed data before a workflow commits it.
+ * Compares the working tree against HEAD so broken output never replaces good data.
+ *
+ *   node scripts/validate-data.mjs            # everything
+ *   node scripts/validate-data.mjs fred       # data/<ID>.csv for every registry series
+ *   node scripts/validate-data.mjs tape news  # tape.json + heatmap.json + data/market/*.csv, data/news.json + data/news/
+ *   node scripts/validate-data.mjs manifest   # data/manifest.json matches the files on disk
+ *   node scripts/validate-data.mjs events     # data/events.json (hand-edited marker catalog)
+ *   node scripts/validate-data.mjs bands      # data/regimes.json and the derived data/bands.json
+ *   node scripts/validate-data.mjs --report validation.md
+ *
+ * Series rules (defaults by registry frequency/format, override with a `validate`
+ * block on the registry entry: { maxJumpPct, maxJumpAbs, maxGapPeriods }):
+ * - latest row has a numeric value
+ * - history does not shrink vs. HEAD (row count, first date)
+ * - dates sit on the expected cadence (month starts, quarter starts, one per year)
+ * - new/changed rows: no gap wider than maxGapPeriods, no implausible jump
+ *
+ * Tape rules: at least MIN_USABLE_SHARE of items usable, and no fewer usable items
+ * than HEAD; ok items carry a numeric close. Usable is ok, or stale (carried forward
+ * by fetch-tape) with a close and a lastGoodAt at most MAX_STALE_DAYS before the
+ * payload's generatedAt.
+ * Market history (data/market/<sym>.csv): no shrinking, dates ascending, numeric closes.
+ * News archive (data/news/YYYY-MM.json): no month loses headlines, every entry has a date in its month.
+ * Manifest: every data file listed, with the hash of its current contents.
+ * Events: real dates, known categories, http(s) sources.
+ * Bands: unique layer ids, real dates, end after start, derived layers not emptied.
+ *
+ * Prints a report, appends it to $GITHUB_STEP_SUMMARY when set, exits 1 on failure.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import LMData from "./data.js";
+import { buildManifestFiles } from "./build-manifest.mjs";
+
+const DATA_DIR = "data";
+const REGISTRY_PATH = path.join(DATA_DIR, "series.json");
+const MARKET_DIR = path.join(DATA_DIR, "market");
+const NEWS_ARCHIVE_DIR = path.join(DATA_DIR, "news");
+const EVENTS_PATH = path.join(DATA_DIR, "events.json");
+const REGIMES_PATH = path.join(DATA_DIR, "regimes.json");
+const BANDS_PATH = path.join(DATA_DIR, "bands.json");
+
+const MAX_TAPE_MOVE_PCT = 50;      // a daily move beyond this is a parse error, not a market
+const MIN_USABLE_SHARE = 0.6;      // tape/heatmap: share of items that must be usable
+const MAX_STALE_DAYS = 7;          // carried-forward tape values older than this stop counting
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREQUENCY_RULES = {
+  daily: { days: 1, maxGapDays: 7 },
+  weekly: { days: 7, maxGapDays: 7 },
+  monthly: { days: 31, months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] },
+  quarterly: { days: 92, months: [1, 4, 7, 10] },
+  annual: { days: 366, onePerYear: true },   // fiscal-year series end in June/September
+};
+
+const DEFAULT_VALIDATE = {
+  maxJumpPct: 50,      // relative move between consecutive observations
+  maxJumpAbs: 15,      // percentage points, for percent-format series
+  maxGapPeriods: 2,    // e.g. one skipped month (shutdowns happen)
+};
+
+/**
+ * Committed version of a file, or "" if it isn't tracked yet.
+ * @param {string} filePath repo-relative
+ * @returns {string}
+ */
+function readHead(filePath) {
+  try {
+    return execFileSync("git", ["show", `HEAD:${filePath}`], {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  } catch {
+    return "";
+  }
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse date,value CSV keeping raw values so "." / blanks can be reported.
+ * @returns {Array<{date:string, raw:string, value:number}>}
+ */
+function parseCsvRows(text) {
+  return [...LMData.parseSeriesMap(text)].map(([date, raw]) => ({ date, raw, value: Number(raw) }));
+}
+
+/**
+ * Rules for one CSV series. Returns human-readable failures.
+ * @param {{id:string, frequency:string, format:string, validate?:Object}} entry
+ * @param {string} text working-tree CSV
+ * @param {string} headText committed CSV ("" if new)
+ * @returns {string[]}
+ */
+function checkSeries(entry, text, headText) {
+  const problems = [];
+  const rules = { ...DEFAULT_VALIDATE, ...(entry.validate || {}) };
+  const freq = FREQUENCY_RULES[entry.frequency] || null;
+
+  const rows = parseCsvRows(text);
+  const headRows = parseCsvRows(headText);
+
+  if (!rows.length) return ["no rows"];
+
+  const last = rows.at(-1);
+  if (!last.raw || !Number.isFinite(last.value)) {
+    problems.push(`latest row ${last.date} has no numeric value ("${last.raw}")`);
+  }
+
+  if (rows.length < headRows.length) {
+    problems.push(`history shrank from ${headRows.length} to ${rows.length} rows`);
+  }
+  if (headRows.length && rows[0].date > headRows[0].date) {
+    problems.push(`first date moved forward from ${headRows[0].date} to ${rows[0].date}`);
+  }
+
+  const seen = new Set();
+  const years = new Set();
+  for (let i = 0; i < rows.length; i++) {
+    const { date } = rows[i];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      problems.push(`bad date "${date}"`);
+      break;
+    }
+    if (seen.has(date)) problems.push(`duplicate date ${date}`);
+    seen.add(date);
+    if (i && date < rows[i - 1].date) problems.push(`dates out of order at ${date}`);
+
+    if (freq?.months) {
+      const month = Number(date.slice(5, 7));
+      if (date.slice(8) !== "01" || !freq.months.includes(month)) {
+        problems.push(`${date} is off the ${entry.frequency} cadence`);
+        break;
+      }
+    }
+    if (freq?.onePerYear) {
+      if (years.has(date.slice(0, 4))) problems.push(`more than one ${entry.frequency} row in ${date.slice(0, 4)}`);
+      years.add(date.slice(0, 4));
+    }
+  }
+
+  // Only judge rows this run added or changed; history was already accepted.
+  const headByDate = new Map(headRows.map(r => [r.date, r.raw]));
+  const maxGapDays = freq ? (freq.maxGapDays ?? freq.days * rules.maxGapPeriods) : Infinity;
+
+  for (let i = 1; i < rows.length; i++) {
+    const cur = rows[i];
+    if (headByDate.get(cur.date) === cur.raw) continue;
+
+    const prev = rows[i - 1];
+    const gapDays = (Date.parse(cur.date) - Date.parse(prev.date)) / DAY_MS;
+    if (gapDays > maxGapDays) {
+      problems.push(`gap of ${Math.round(gapDays)} days before ${cur.date}`);
+    }
+
+    if (!Number.isFinite(cur.value) || !Number.isFinite(prev.value)) continue;
+    if (entry.format === "percent") {
+      const jump = Math.abs(cur.value - prev.value);
+      if (jump > rules.maxJumpAbs) {
+        problems.push(`${cur.date} jumps ${jump.toFixed(2)} pts (limit ${rules.maxJumpAbs})`);
+      }
+    } else if (prev.value !== 0) {
+      const jumpPct = Math.abs(cur.value / prev.value - 1) * 100;
+      if (jumpPct > rules.maxJumpPct) {
+        problems.push(`${cur.date} jumps ${jumpPct.toFixed(1)}% (limit ${rules.maxJumpPct}%)`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Every series in the registry that has a CSV (or had one at HEAD).
+ * @returns {Promise<Array<{name:string, problems:string[], note?:string}>>}
+ */
+async function validateFred() {
+  const json = JSON.parse(await fs.readFile(REGISTRY_PATH, "utf8"));
+  const registry = (Array.isArray(json?.series) ? json.series : []).filter(s => s && typeof s.id === "string");
+
+  const results = [];
+  for (const entry of registry) {
+    const filePath = path.join(DATA_DIR, `${entry.id}.csv`);
+    const [text, headText] = [await readIfExists(filePath), readHead(filePath)];
+
+    if (text == null) {
+      results.push(headText
+        ? { name: filePath, problems: ["file was deleted"] }
+        : { name: filePath, problems: [], note: "not fetched yet" });
+      continue;
+    }
+    results.push({ name: filePath, problems: checkSeries(entry, text, headText) });
+  }
+  return results;
+}
+
+/**
+ * Items of a tape/heatmap payload that still show a real value: ok, or stale with a
+ * close from within MAX_STALE_DAYS of the payload's generatedAt.
+ * @param {Object|null} payload
+ * @returns {Object[]}
+ */
+function usableTapeItems(payload) {
+  const items = Array.isArray(payload?.items) ? payload.items : [];
+  const asOf = Date.parse(payload?.generatedAt) || Date.now();
+  return items.filter(it => {
+    if (it?.ok) return true;
+    if (!it?.stale || !Number.isFinite(it.close)) return false;
+    const lastGood = Date.parse(it.lastGoodAt);
+    return Number.isFinite(lastGood) && asOf - lastGood <= MAX_STALE_DAYS * DAY_MS;
+  });
+}
+
+/**
+ * Parsed JSON, or null.
+ * @param {string} text
+ */
+function parseJsonOrNull(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * tape.json / heatmap.json payloads.
+ * @returns {Promise<Array<{name:string, problems:string[], note?:string}>>}
+ */
+async function validateTape() {
+  const results = [];
+  for (const filePath of ["tape.json", "heatmap.json"]) {
+    const text = await readIfExists(filePath);
+    if (text == null) {
+      results.push({ name: filePath, problems: ["file missing"] });
+      continue;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (e) {
+      results.push({ name: filePath, problems: [`invalid JSON: ${e.message}`] });
+      continue;
+    }
+
+    const items = Array.isArray(payload?.items) ? payload.items : [];
+    const problems = [];
+    if (!items.length) problems.push("no items");
+
+    const ok = items.filter(it => it?.ok);
+    const usable = usableTapeItems(payload);
+    const headUsable = usableTapeItems(parseJsonOrNull(readHead(filePath)));
+    const share = items.length ? usable.length / items.length : 0;
+    if (items.length && share < MIN_USABLE_SHARE) {
+      const failing = items.filter(it => !usable.includes(it)).slice(0, 5)
+        .map(it => `${it?.sym}: ${it?.stale ? `stale since ${it.lastGoodAt}` : it?.error || "not ok"}`);
+      problems.push(
+        `only ${usable.length}/${items.length} items usable (need ${Math.round(MIN_USABLE_SHARE * 100)}%)` +
+        (failing.length ? `; e.g. ${failing.join("; ")}` : "")
+      );
+    }
+    if (usable.length < headUsable.length) {
+      // Name the symbols that were usable at HEAD and aren't now
+      const wasUsable = new Set(headUsable.map(it => it?.sym));
+      const failing = items.filter(it => wasUsable.has(it?.sym) && !usable.includes(it)).slice(0, 5)
+        .map(it => `${it?.sym}: ${it?.stale ? `stale since ${it.lastGoodAt}` : it?.error || "not ok"}`);
+      problems.push(
+        `usable items dropped from ${headUsable.length} to ${usable.length}/${items.length}` +
+        (failing.length ? `; e.g. ${failing.join("; ")}` : "")
+      );
+    }
+
+    for (const it of ok) {
+      if (!Number.isFinite(it.close)) problems.push(`${it.sym} is ok but has no numeric close`);
+      if (Number.isFinite(it.deltaPct) && Math.abs(it.deltaPct) > MAX_TAPE_MOVE_PCT) {
+        problems.push(`${it.sym} moved ${it.deltaPct.toFixed(1)}% in a day`);
+      }
+    }
+
+    const stale = items.filter(it => it?.stale).length;
+    results.push({ name: filePath, problems, note: `${ok.length}/${items.length} ok, ${stale} stale, ${usable.length} usable` });
+  }
+  return results;
+}
+
+/**
+ * File names in dir, in the working tree or at HEAD, so deletions show up too.
+ * @param {string} dir
+ * @param {(name:string) => boolean} keep
+ * @returns {Promise<string[]>}
+ */
+async function dirAndHeadNames(dir, keep) {
+  let names = [];
+  try {
+    names = await fs.readdir(dir);
+  } catch {
+    // nothing written yet
+  }
+  let headNames = [];
+  try {
+    headNames = execFileSync("git", ["ls-tree", "--name-only", "HEAD", `${dir}/`], {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).split("\n").filter(Boolean).map(p => path.basename(p));
+  } catch {
+    // not a git checkout
+  }
+  return [...new Set([...names, ...headNames])].filter(keep).sort();
+}
+
+/**
+ * date,open,high,low,close,volume rows; only date and close matter for validation.
+ * @returns {Array<{date:string, close:number}>}
+ */
+function parseMarketRows(text) {
+  const { header, rows } = LMData.parseCsv(text);
+  const closeIdx = header.indexOf("close");
+  if (closeIdx < 0) return [];
+  return rows.map(parts => {
+    const raw = parts[closeIdx] ?? "";
+    return { date: parts[0] ?? "", close: raw === "" ? NaN : Number(raw) };
+  });
+}
+
+/**
+ * data/market/<sym>.csv history files written by fetch-tape.mjs.
+ * Anything tracked at HEAD must still exist and must not lose rows.
+ * @returns {Promise<Array<{name:string, problems:string[], note?:string}>>}
+ */
+async function validateMarketHistory() {
+  const results = [];
+  for (const name of await dirAndHeadNames(MARKET_DIR, n => n.endsWith(".csv"))) {
+    const filePath = path.join(MARKET_DIR, name);
+    const [text, headText] = [await readIfExists(filePath), readHead(filePath)];
+    if (text == null) {
+      results.push({ name: filePath, problems: ["file was deleted"] });
+      continue;
+    }
+
+    const rows = parseMarketRows(text);
+    const headRows = parseMarketRows(headText);
+    const problems = [];
+    if (!rows.length) problems.push("no rows");
+    if (rows.length < headRows.length) problems.push(`history shrank from ${headRows.length} to ${rows.length} rows`);
+    if (headRows.length && rows.length && rows[0].date > headRows[0].date) {
+      problems.push(`first date moved forward from ${headRows[0].date} to ${rows[0].date}`);
+    }
+    for (let i = 0; i < rows.length; i++) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(rows[i].date)) {
+        problems.push(`bad date "${rows[i].date}"`);
+        break;
+      }
+      if (i && rows[i].date <= rows[i - 1].date) {
+        problems.push(`dates out of order at ${rows[i].date}`);
+        break;
+      }
+    }
+    const badClose = rows.filter(r => !Number.isFinite(r.close)).length;
+    if (badClose) problems.push(`${badClose} rows without a numeric close`);
+
+    results.push({ name: filePath, problems, note: rows.length ? `${rows.length} rows through ${rows.at(-1).date}` : undefined });
+  }
+  return results;
+}
+
+/**
+ * data/news.json payload.
+ * @returns {Promise<Array<{name:string, problems:string[], note?:string}>>}
+ */
+async function validateNews() {
+  const filePath = path.join(DATA_DIR, "news.json");
+  const text = await readIfExists(filePath);
+  if (text == null) return [{ name: filePath, problems: ["file missing"] }];
+
+  try {
+    const payload = JSON.parse(text);
+    const items = payload?.items;
+    if (!Array.isArray(items) || !items.length) return [{ name: filePath, problems: ["no headlines"] }];
+    const bad = items.filter(it => !it?.title || !it?.link).length;
+    const feeds = Array.isArray(payload?.feeds) ? payload.feeds : [];
+    const feedNote = feeds.length ? ` from ${feeds.filter(f => f?.ok).length}/${feeds.length} feeds` : "";
+    return [{
+      name: filePath,
+      problems: bad ? [`${bad} headlines missing a title or link`] : [],
+      note: `${items.length} headlines${feedNote}`,
+    }];
+  } catch (e) {
+    return [{ name: filePath, problems: [`invalid JSON: ${e.message}`] }];
+  }
+}
+
+/**
+ * data/news/YYYY-MM.json month files and the index.json built from them.
+ * @returns {Promise<Array<{name:string, problems:string[], note?:string}>>}
+ */
+async function validateNewsArchive() {
+  const results = [];
+  const parseItems = (text) => {
+    const items = JSON.parse(text)?.items;
+    if (!Array.isArray(items)) throw new Error("items is not an array");
+    return items;
+  };
+
+  for (const name of await dirAndHeadNames(NEWS_ARCHIVE_DIR, n => /^\d{4}-\d{2}\.json$/.test(n))) {
+    const filePath = path.join(NEWS_ARCHIVE_DIR, name);
+    const month = name.slice(0, 7);
+    const [text, headText] = [await readIfExists(filePath), readHead(filePath)];
+    if (text == null) {
+      results.push({ name: filePath, problems: ["file was deleted"] });
+      continue;
+    }
+
+    let items;
+    try {
+      items = parseItems(text);
+    } catch (e) {
+      results.push({ name: filePath, problems: [`invalid archive: ${e.message}`] });
+      continue;
+    }
+
+    const problems = [];
+    let headCount = 0;
+    try {
+      headCount = headText == null ? 0 : parseItems(headText).length;
+    } catch {
+      // HEAD copy was already broken; nothing to compare against
+    }
+    if (items.length < headCount) problems.push(`archive shrank from ${headCount} to ${items.length} headlines`);
+    const misplaced = items.filter(it => !String(it?.date || "").startsWith(month)).length;
+    if (misplaced) problems.push(`${misplaced} headlines dated outside ${month}`);
+    const bad = items.filter(it => !it?.title || !it?.link).length;
+    if (bad) problems.push(`${bad} headlines missing a title or link`);
+
+    results.push({ name: filePath, problems, note: `${items.length} headlines` });
+  }
+
+  if (results.length) {
+    const indexPath = path.join(NEWS_ARCHIVE_DIR, "index.json");
+    const text = await readIfExists(indexPath);
+    let problems = [];
+    try {
+      if (text == null) throw new Error("file missing");
+      const index = JSON.parse(text);
+      if (!index?.days || !index?.terms) throw new Error("missing days or terms");
+    } catch (e) {
+      problems = [`invalid index: ${e.message}`];
+    }
+    results.push({ name: indexPath, problems });
+  }
+  return results;
+}
+
+/**
+ * data/manifest.json against a fresh build: a stale hash would pin visitors to old data.
+ * @returns {Promise<Array<{name:string, problems:string[], note?:string}>>}
+ */
+async function validateManifest() {
+  const filePath = path.join(DATA_DIR, "manifest.json");
+  const text = await readIfExists(filePath);
+  if (text == null) return [{ name: filePath, problems: ["file missing; run scripts/build-manifest.mjs"] }];
+
+  let listed;
+  try {
+    listed = JSON.parse(text)?.files;
+    if (!listed || typeof listed !== "object") throw new Error("no files map");
+  } catch (e) {
+    return [{ name: filePath, problems: [`invalid manifest: ${e.message}`] }];
+  }
+
+  const actual = await buildManifestFiles(listed);
+  const problems = [];
+  for (const [file, entry] of Object.entries(actual)) {
+    if (!listed[file]) problems.push(`${file} is not listed`);
+    else if (listed[file].hash !== entry.hash) problems.push(`${file} hash is stale`);
+  }
+  for (const file of Object.keys(listed)) {
+    if (!actual[file]) problems.push(`${file} is listed but missing`);
+  }
+  return [{ name: filePath, problems, note: `${Object.keys(listed).length} files` }];
+}
+
+/**
+ * data/events.json, the chart marker catalog (see scripts/chart.js loadEvents).
+ * @returns {Promise<Array<{name:string, problems:string[], note?:string}>>}
+ */
+async function validateEvents() {
+  const text = await readIfExists(EVENTS_PATH);
+  if (text == null) return [{ name: EVENTS_PATH, problems: ["file missing"] }];
+
+  let catalog;
+  try {
+    catalog = JSON.parse(text);
+    if (!catalog?.categories || !Array.isArray(catalog?.events)) throw new Error("missing categories or events");
+  } catch (e) {
+    return [{ name: EVENTS_PATH, problems: [`invalid catalog: ${e.message}`] }];
+  }
+
+  const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d || "")) && Number.isFinite(Date.parse(d));
+  const problems = [];
+  for (const ev of catalog.events) {
+    const name = `${ev?.date || "?"} ${ev?.label || "(no label)"}`;
+    if (!isDate(ev?.date)) problems.push(`${name}: bad date`);
+    if (!ev?.label) problems.push(`${name}: missing label`);
+    if (!catalog.categories[ev?.category]) problems.push(`${name}: unknown category "${ev?.category}"`);
+    if (ev?.window && !(Number(ev.window.before) >= 0 && Number(ev.window.after) >= 0)) problems.push(`${name}: window needs before/after days`);
+    if (ev?.source && !/^https?:\/\//.test(ev.source)) problems.push(`${name}: source is not a URL`);
+  }
+  return [{ name: EVENTS_PATH, problems, note: `${catalog.events.length} events` }];
+}
+
+/**
+ * Problems in a list of band layers (regimes.json as declared, bands.json as resolved).
+ * @param {any} payload
+ * @returns {string[]}
+ */
+function checkBandLayers(payload) {
+  if (!Array.isArray(payload?.layers)) return ["missing layers"];
+
+  const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(String(d || "")) && Number.isFinite(Date.parse(d));
+  const problems = [];
+  const ids = new Set();
+  for (const layer of payload.layers) {
+    if (!layer?.id || !layer?.label) problems.push(`layer ${layer?.id || "?"}: needs id and label`);
+    if (ids.has(layer?.id)) problems.push(`duplicate layer ${layer.id}`);
+    ids.add(layer?.id);
+    if (layer?.source && !/^https?:\/\//.test(layer.source)) problems.push(`${layer.id}: source is not a URL`);
+
+    for (const band of layer?.bands || []) {
+      const name = `${layer.id} ${band?.start || "?"} ${band?.label || "(no label)"}`;
+      if (!isDate(band?.start)) problems.push(`${name}: bad start date`);
+      if (!band?.label) problems.push(`${name}: missing label`);
+      if (band?.end != null && (!isDate(band.end) || band.end < band.start)) problems.push(`${name}: end must be a date after the start`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * data/regimes.json (band layer declarations) and data/bands.json (derive-bands.mjs output).
+ * @returns {Promise<Array<{name:string, problems:string[], note?:string}>>}
+ */
+async function validateBands() {
+  const results = [];
+  let declared = [];
+  for (const filePath of [REGIMES_PATH, BANDS_PATH]) {
+    const text = await readIfExists(filePath);
+    if (text == null) {
+      results.push({ name: filePath, problems: ["file missing"] });
+      continue;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (e) {
+      results.push({ name: filePath, problems: [`invalid JSON: ${e.message}`] });
+      continue;
+    }
+
+    const problems = checkBandLayers(payload);
+    if (filePath === REGIMES_PATH) {
+      declared = payload?.layers || [];
+    } else {
+      // Derived layers only grow: an emptied one means the indicator series broke.
+      const head = JSON.parse(readHead(filePath) || "{}");
+      for (const layer of declared) {
+        const now = payload?.layers?.find(l => l.id === layer.id);
+        if (!now) problems.push(`layer ${layer.id} missing (declared in ${REGIMES_PATH})`);
+        const before = head?.layers?.find(l => l.id === layer.id)?.bands?.length || 0;
+        if (layer.from && now && now.bands.length < before) {
+          problems.push(`${layer.id} shrank from ${before} to ${now.bands.length} bands`);
+        }
+      }
+    }
+    results.push({ name: filePath, problems, note: `${payload?.layers?.length || 0} layers` });
+  }
+  return results;
+}
+
+/**
+ * @param {Array<{name:string, problems:string[], note?:string}>} results
+ * @returns {string} markdown report
+ */
+function formatReport(results) {
+  const failed = results.filter(r => r.problems.length);
+  const lines = [
+    `## Data validation: ${failed.length ? `${failed.length} failing` : "all good"}`,
+    "",
+    `Checked ${results.length} files at ${new Date().toISOString()}.`,
+    "",
+  ];
+
+  for (const r of failed) {
+    lines.push(`- FAIL \`${r.name}\``);
+    for (const p of r.problems) lines.push(`  - ${p}`);
+  }
+  for (const r of results.filter(r => !r.problems.length && r.note)) {
+    lines.push(`- ok \`${r.name}\` (${r.note})`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const reportIdx = args.indexOf("--report");
+  const reportPath = reportIdx >= 0 ? args[reportIdx + 1] : null;
+  const targets = args.filter((a, i) => !a.startsWith("--") && (reportIdx < 0 || i !== reportIdx + 1));
+  const want = (t) => !targets.length || targets.includes(t);
+
+  const results = [
+    ...(want("fred") ? await validateFred() : []),
+    ...(want("tape") ? await validateTape() : []),
+    ...(want("tape") ? await validateMarketHistory() : []),
+    ...(want("news") ? await validateNews() : []),
+    ...(want("news") ? await validateNewsArchive() : []),
+    ...(want("manifest") ? await validateManifest() : []),
+    ...(want("events") ? await validateEvents() : []),
+    ...(want("bands") ? await validateBands() : []),
+  ];
+
+  const report = formatReport(results);
+  console.log(report);
+
+  if (reportPath) await fs.writeFile(reportPath, report, "utf8");
+  if (process.env.GITHUB_STEP_SUMMARY) await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, report, "utf8");
+
+  if (results.some(r => r.problems.length)) {
+    console.error("Validation failed; refusing to commit this data.");
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,370 @@
+/**
+ * Small, dependency-free XML reader for news feeds (RSS 2.0, RSS 1.0/RDF, Atom).
+ * - tokenizer: tags, attributes, text, CDATA (adjacent sections concatenate), comments,
+ *   processing instructions and DOCTYPEs; self-closing tags like Atom's <link/>
+ * - entities: the XML five, common HTML names (&nbsp; &rsquo; …), decimal and hex numerics;
+ *   summaries whose HTML was escaped twice are unescaped twice
+ * - tree builder that tolerates unclosed/mismatched tags instead of throwing
+ * - parseFeedXml(): title, link, published, author, summary and thumbnail per entry,
+ *   reading namespaced fields (dc:date, dc:creator, content:encoded, media:*) by name
+ */
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'",
+  nbsp: " ", ndash: "–", mdash: "—", hellip: "…",
+  lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”",
+  laquo: "«", raquo: "»", bull: "•", middot: "·",
+  copy: "©", reg: "®", trade: "™", euro: "€", pound: "£", yen: "¥",
+  eacute: "é", egrave: "è", aacute: "á", oacute: "ó", uacute: "ú",
+  iacute: "í", ntilde: "ñ", uuml: "ü", ouml: "ö", auml: "ä", ccedil: "ç",
+};
+
+const SUMMARY_MAX_CHARS = 280;
+
+/**
+ * @typedef {{type:"open", name:string, attrs:Object<string,string>, selfClosing:boolean}
+ *   | {type:"close", name:string}
+ *   | {type:"text", value:string}} XmlToken
+ * @typedef {{name:string, attrs:Object<string,string>, children:XmlNode[], text:string}} XmlNode
+ *   name is lowercased and keeps its prefix ("dc:date"); text runs are "#text" children
+ * @typedef {{title:string, link:string, published:(string|null), author:string, summary:string, thumbnail:string}} FeedEntry
+ */
+
+/**
+ * Decode named and numeric character references. Unknown names are left as-is.
+ * @param {string} value
+ * @returns {string}
+ */
+export function decodeEntities(value) {
+  return String(value ?? "").replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (match, ref) => {
+    if (ref[0] === "#") {
+      const code = ref[1] === "x" || ref[1] === "X" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      if (!Number.isFinite(code) || code < 0 || code > 0x10ffff) return match;
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        return match;
+      }
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()];
+    return named ?? match;
+  });
+}
+
+/**
+ * @param {string} raw everything between the tag name and ">"
+ * @returns {Object<string,string>}
+ */
+function parseAttributes(raw) {
+  const attrs = {};
+  const re = /([^\s=/]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let m;
+  while ((m = re.exec(raw))) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  return attrs;
+}
+
+/**
+ * Split XML into tokens. Never throws; an unterminated construct ends the stream.
+ * @param {string} xml
+ * @returns {XmlToken[]}
+ */
+export function tokenize(xml) {
+  const src = String(xml ?? "");
+  const tokens = [];
+  let i = 0;
+
+  const pushText = (value) => {
+    if (!value) return;
+    const last = tokens[tokens.length - 1];
+    if (last?.type === "text") last.value += value;
+    else tokens.push({ type: "text", value });
+  };
+
+  while (i < src.length) {
+    const lt = src.indexOf("<", i);
+    if (lt < 0) {
+      pushText(decodeEntities(src.slice(i)));
+      break;
+    }
+    if (lt > i) pushText(decodeEntities(src.slice(i, lt)));
+
+    if (src.startsWith("<![CDATA[", lt)) {
+      const end = src.indexOf("]]>", lt + 9);
+      pushText(src.slice(lt + 9, end < 0 ? src.length : end));
+      i = end < 0 ? src.length : end + 3;
+      continue;
+    }
+    if (src.startsWith("<!--", lt)) {
+      const end = src.indexOf("-->", lt + 4);
+      i = end < 0 ? src.length : end + 3;
+      continue;
+    }
+    if (src.startsWith("<?", lt)) {
+      const end = src.indexOf("?>", lt + 2);
+      i = end < 0 ? src.length : end + 2;
+      continue;
+    }
+    if (src.startsWith("<!", lt)) {
+      // DOCTYPE, possibly with an internal [ ... ] subset
+      let depth = 0;
+      let j = lt + 2;
+      for (; j < src.length; j++) {
+        if (src[j] === "[") depth++;
+        else if (src[j] === "]") depth--;
+        else if (src[j] === ">" && depth <= 0) break;
+      }
+      i = j + 1;
+      continue;
+    }
+
+    // Find the closing ">" outside quoted attribute values.
+    let j = lt + 1;
+    let quote = "";
+    for (; j < src.length; j++) {
+      const c = src[j];
+      if (quote) {
+        if (c === quote) quote = "";
+      } else if (c === '"' || c === "'") {
+        quote = c;
+      } else if (c === ">") {
+        break;
+      }
+    }
+    const body = src.slice(lt + 1, j);
+    i = j + 1;
+
+    if (body.startsWith("/")) {
+      tokens.push({ type: "close", name: body.slice(1).trim().toLowerCase() });
+      continue;
+    }
+
+    const selfClosing = body.endsWith("/");
+    const inner = selfClosing ? body.slice(0, -1) : body;
+    const nameMatch = inner.match(/^\s*([^\s/>]+)/);
+    if (!nameMatch) {
+      pushText("<");   // stray "<" in text
+      i = lt + 1;
+      continue;
+    }
+    tokens.push({
+      type: "open",
+      name: nameMatch[1].toLowerCase(),
+      attrs: parseAttributes(inner.slice(nameMatch[0].length)),
+      selfClosing,
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * Build a tree from tokens. A close tag pops back to its matching open tag;
+ * close tags with no open match are ignored, and anything left open closes at EOF.
+ * @param {string} xml
+ * @returns {XmlNode} synthetic root ("#document")
+ */
+export function parseXml(xml) {
+  const root = { name: "#document", attrs: {}, children: [], text: "" };
+  const stack = [root];
+
+  for (const tok of tokenize(xml)) {
+    const top = stack[stack.length - 1];
+    if (tok.type === "text") {
+      top.children.push({ name: "#text", attrs: {}, children: [], text: tok.value });
+    } else if (tok.type === "open") {
+      const node = { name: tok.name, attrs: tok.attrs, children: [], text: "" };
+      top.children.push(node);
+      if (!tok.selfClosing) stack.push(node);
+    } else {
+      const idx = stack.map((n) => n.name).lastIndexOf(tok.name);
+      if (idx > 0) stack.length = idx;
+    }
+  }
+  return root;
+}
+
+// --- Tree helpers ---
+
+/** @returns {XmlNode|null} first direct child with one of the names */
+function child(node, ...names) {
+  for (const name of names) {
+    const hit = node?.children.find((c) => c.name === name);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+/** @returns {XmlNode[]} every descendant with the name, document order */
+function descendants(node, name, out = []) {
+  for (const c of node?.children || []) {
+    if (c.name === name) out.push(c);
+    descendants(c, name, out);
+  }
+  return out;
+}
+
+/** Full text content in document order, as written. */
+function textContent(node) {
+  if (!node) return "";
+  return node.name === "#text" ? node.text : node.children.map(textContent).join("");
+}
+
+/** Text of the first matching child, whitespace-collapsed. */
+function childText(node, ...names) {
+  return textContent(child(node, ...names)).replace(/\s+/g, " ").trim();
+}
+
+const HTML_TAG_RE = /<\/?[a-z][a-z0-9]*(?:\s[^>]*)?\/?>/i;
+
+/**
+ * HTML fragment (escaped or CDATA) to plain text. Feeds that escape their HTML twice
+ * (&amp;lt;p&amp;gt;) still have tags after one pass; those get a second one.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  const strip = (value) => decodeEntities(
+    value
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<br\s*\/?>|<\/p>/gi, " ")
+      .replace(/<[^>]+>/g, "")
+  );
+  let text = strip(String(html ?? ""));
+  if (HTML_TAG_RE.test(text)) text = strip(text);
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function truncate(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  const space = cut.lastIndexOf(" ");
+  return `${(space > max * 0.6 ? cut.slice(0, space) : cut).trimEnd()}…`;
+}
+
+function resolveUrl(href, base) {
+  const value = String(href ?? "").trim();
+  if (!value) return "";
+  try {
+    return new URL(value, base || undefined).toString();
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Any feed date (RFC 822 from RSS, ISO 8601 from Atom/Dublin Core) as ISO, or null.
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function normalizeDate(value) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+  const t = Date.parse(raw);
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+// --- Field extraction ---
+
+function entryLink(entry, base) {
+  const links = entry.children.filter((c) => c.name === "link" || c.name === "atom:link");
+  for (const l of links) {
+    const rel = l.attrs.rel || "alternate";
+    if (l.attrs.href && rel === "alternate") return resolveUrl(l.attrs.href, base);
+  }
+  for (const l of links) {
+    const text = textContent(l).trim();
+    if (text) return resolveUrl(text, base);
+  }
+  const guid = child(entry, "guid");
+  const guidText = textContent(guid).trim();
+  if (guidText && guid.attrs.ispermalink !== "false" && /^https?:\/\//i.test(guidText)) return guidText;
+  const firstHref = links.find((l) => l.attrs.href);
+  return firstHref ? resolveUrl(firstHref.attrs.href, base) : "";
+}
+
+function entryAuthor(entry) {
+  const creator = childText(entry, "dc:creator");
+  if (creator) return creator;
+  const author = child(entry, "author");
+  if (author) {
+    const name = childText(author, "name");
+    if (name) return name;
+    // RSS: "editor@example.com (Jane Doe)"
+    const raw = textContent(author).replace(/\s+/g, " ").trim();
+    return raw.match(/\(([^)]+)\)/)?.[1]?.trim() || raw;
+  }
+  return "";
+}
+
+function entrySummary(entry) {
+  const node = child(entry, "description", "summary", "content:encoded", "content", "media:description");
+  const group = child(entry, "media:group");
+  const raw = node ? textContent(node) : textContent(child(group, "media:description"));
+  return truncate(htmlToText(raw), SUMMARY_MAX_CHARS);
+}
+
+function entryThumbnail(entry, base) {
+  const media = [entry, child(entry, "media:group")].filter(Boolean);
+  for (const scope of media) {
+    const thumb = child(scope, "media:thumbnail");
+    if (thumb?.attrs.url) return resolveUrl(thumb.attrs.url, base);
+  }
+  for (const scope of media) {
+    for (const c of scope.children.filter((n) => n.name === "media:content")) {
+      const type = c.attrs.type || "";
+      const isImage = c.attrs.medium === "image" || type.startsWith("image/") || (!type && !c.attrs.medium);
+      if (c.attrs.url && isImage) return resolveUrl(c.attrs.url, base);
+    }
+  }
+  const enclosure = entry.children.find((c) => c.name === "enclosure" && String(c.attrs.type || "").startsWith("image/"));
+  if (enclosure?.attrs.url) return resolveUrl(enclosure.attrs.url, base);
+  const itunes = child(entry, "itunes:image");
+  if (itunes?.attrs.href) return resolveUrl(itunes.attrs.href, base);
+
+  const html = textContent(child(entry, "content:encoded", "content", "description", "summary"));
+  const img = html.match(/<img\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/i)?.[1];
+  return img ? resolveUrl(decodeEntities(img), base) : "";
+}
+
+/**
+ * Parse an RSS 2.0, RSS 1.0 (RDF) or Atom document.
+ * Entries without a title or link are dropped.
+ * @param {string} xml
+ * @returns {{kind:("rss"|"rdf"|"atom"|"unknown"), title:string, link:string, items:FeedEntry[]}}
+ */
+export function parseFeedXml(xml) {
+  const doc = parseXml(xml);
+  const top = doc.children.find((c) => ["rss", "rdf:rdf", "feed"].includes(c.name)) || null;
+  const kind = top?.name === "feed" ? "atom" : top?.name === "rdf:rdf" ? "rdf" : top ? "rss" : "unknown";
+
+  const channel = kind === "rss" ? child(top, "channel") : kind === "rdf" ? child(top, "channel") : top;
+  const feedTitle = channel ? htmlToText(childText(channel, "title")) : "";
+  const feedLink = channel ? entryLink(channel, "") : "";
+  const base = top?.attrs["xml:base"] || feedLink;
+
+  const entries = kind === "atom"
+    ? descendants(top, "entry")
+    : descendants(top || doc, "item");
+
+  const items = [];
+  for (const entry of entries) {
+    const title = htmlToText(childText(entry, "title"));
+    const link = entryLink(entry, entry.attrs["xml:base"] || base);
+    if (!title || !link) continue;
+
+    items.push({
+      title,
+      link,
+      published: normalizeDate(
+        childText(entry, "pubdate", "dc:date", "published", "updated", "a10:updated", "dc:created")
+      ),
+      author: entryAuthor(entry),
+      summary: entrySummary(entry),
+      thumbnail: entryThumbnail(entry, base),
+    });
+  }
+
+  return { kind, title: feedTitle, link: feedLink, items };
+}
@@ -0,0 +1,192 @@
+/**
+ * sw.js
+ * Service worker for the installable pages (index, markets, trumptracker, games).
+ * - Shell (pages, scripts, CSS, logo) is precached on install. Pages are network-first
+ *   so a deploy shows up on the next load; scripts and CSS are requested as file?v=N,
+ *   so an exact cache hit is always current and only offline falls back to another version.
+ * - Data files (data/, tape.json, heatmap.json) live in their own cache that survives
+ *   shell upgrades. data/manifest.json is network-first; LMData requests listed files as
+ *   file?h=<hash>, which never change and are served from cache; anything else is
+ *   stale-while-revalidate. A new manifest drops cached copies whose hash it no longer lists.
+ * - When a request is answered from cache because the network failed, the page gets
+ *   {type: "lm-offline", asOf} (scripts/pwa.js shows the banner).
+ *
+ * Bump SHELL_VERSION when SHELL or a precached file changes, so installs refetch it.
+ */
+
+const SHELL_VERSION = 16;
+const SHELL_CACHE = `lm-shell-v${SHELL_VERSION}`;
+const DATA_CACHE = "lm-data";
+const MANIFEST_PATH = "data/manifest.json";
+
+const SHELL = [
+  "./",
+  "index.html",
+  "markets.html",
+  "trumptracker.html",
+  "games.html",
+  "site.webmanifest",
+  "styles.css",
+  "trump-style.css",
+  "trade-game.css",
+  "app.js",
+  "trade-game.js",
+  "scripts/pwa.js",
+  "scripts/data.js",
+  "scripts/series.js",
+  "scripts/chart.js",
+  "scripts/trump.js",
+  "scripts/market-calendar.js",
+  "assets/liberalmarketslogo.svg",
+];
+
+// Enough for the markets board and the homepage tape to render on a first offline visit.
+const DATA_PRECACHE = [MANIFEST_PATH, "tape.json", "heatmap.json", "data/news.json"];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL.map(scopeUrl));
+    const data = await caches.open(DATA_CACHE);
+    // Data is best effort: a missing file must not fail the install.
+    await Promise.all(DATA_PRECACHE.map(p => data.add(scopeUrl(p)).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name.startsWith("lm-shell-") && name !== SHELL_CACHE) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isDataUrl(url) {
+  const rel = url.href.slice(self.registration.scope.length).split(/[?#]/)[0];
+  return rel.startsWith("data/") || rel === "tape.json" || rel === "heatmap.json";
+}
+
+/**
+ * Data as-of time for the banner: the cached manifest's generatedAt.
+ * @returns {Promise<string|null>}
+ */
+async function cachedAsOf() {
+  const res = await caches.match(scopeUrl(MANIFEST_PATH), { ignoreSearch: true });
+  try {
+    return res ? (await res.json())?.generatedAt || null : null;
+  } catch {
+    return null;
+  }
+}
+
+async function notifyOffline(event) {
+  const client = await self.clients.get(event.clientId || event.resultingClientId);
+  if (client) client.postMessage({ type: "lm-offline", asOf: await cachedAsOf() });
+}
+
+/**
+ * Network, falling back to any cached version (query ignored) when offline.
+ * @param {FetchEvent} event
+ * @param {string} cacheName
+ */
+async function networkFirst(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(event.request);
+    if (res.ok) await cache.put(event.request, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    if (!cached) throw err;
+    event.waitUntil(notifyOffline(event));
+    return cached;
+  }
+}
+
+/**
+ * Exact cache hit, else network (and cache it), else any cached version when offline.
+ * @param {FetchEvent} event
+ * @param {string} cacheName
+ */
+async function cacheFirst(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(event.request);
+  if (hit) return hit;
+  try {
+    const res = await fetch(event.request);
+    if (res.ok) await cache.put(event.request, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    if (!cached) throw err;
+    event.waitUntil(notifyOffline(event));
+    return cached;
+  }
+}
+
+/**
+ * Cached copy (any query) right away, refreshed from the network in the background.
+ * Responses are stored under the bare path so the ?v=<day> cache-buster doesn't pile up.
+ * @param {FetchEvent} event
+ */
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(DATA_CACHE);
+  const key = event.request.url.split("?")[0];
+  const cached = await cache.match(key);
+  const network = fetch(event.request).then(async (res) => {
+    if (res.ok) await cache.put(key, res.clone());
+    return res;
+  });
+  if (!cached) return network;
+  event.waitUntil(network.catch(() => notifyOffline(event)));
+  return cached;
+}
+
+/**
+ * Drop hashed data copies the manifest no longer lists.
+ * @param {Response} res a clone of the fresh manifest
+ */
+async function pruneData(res) {
+  let files;
+  try {
+    files = (await res.json())?.files || {};
+  } catch {
+    return;
+  }
+  const current = new Set(Object.entries(files).map(([p, f]) => `${scopeUrl(p)}?h=${f?.hash}`));
+  const cache = await caches.open(DATA_CACHE);
+  for (const req of await cache.keys()) {
+    if (new URL(req.url).searchParams.has("h") && !current.has(req.url)) await cache.delete(req);
+  }
+}
+
+async function manifestFirst(event) {
+  const res = await networkFirst(event, DATA_CACHE);
+  if (res.ok) event.waitUntil(pruneData(res.clone()));
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin || !req.url.startsWith(self.registration.scope)) return;
+
+  if (req.mode === "navigate") {
+    event.respondWith(networkFirst(event, SHELL_CACHE));
+  } else if (isDataUrl(url)) {
+    if (url.pathname.endsWith(`/${MANIFEST_PATH}`)) event.respondWith(manifestFirst(event));
+    else if (url.searchParams.has("h")) event.respondWith(cacheFirst(event, DATA_CACHE));
+    else event.respondWith(staleWhileRevalidate(event));
+  } else {
+    event.respondWith(cacheFirst(event, SHELL_CACHE));
+  }
+});